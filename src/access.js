@@ -0,0 +1,349 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { ForbiddenError } from './store-error.js'
+import { arrange, predicate } from './query.js'
+
+/**
+ * A view of a Store acting for a source, given by {@link Store#as}.
+ *
+ * Every operation is checked against the rights granted to the source with {@link Store#allow}, and fails with a
+ * ForbiddenError when a right is missing. Writes are made with the source as `src`, `find` only gives the entries
+ * the source may `read`, its query and mapping never seeing the others, and a subscription needs the `subscribe` and
+ * `read` rights: pattern and global subscriptions only deliver the changes of the keys having both.
+ *
+ * @class Access
+ *
+ * @param {Store} store The Store the view acts on
+ * @param {string} src The source the view acts for
+ */
+export default class Access {
+  constructor (store, src) {
+    this.store = store
+    this.src = src
+  }
+
+  /**
+   * Throws if the source lacks a right on a key
+   *
+   * @private
+   * @param {string} right The right, `read`, `write` or `subscribe`
+   * @param {string} k The key of the entry
+   */
+  check (right, k) {
+    if (!this.store.can(this.src, right, k)) throw new ForbiddenError('store.error.access.denied', this.src, right, k)
+  }
+
+  /**
+   * Tells if the changes of a key are delivered to the subscriptions of the source
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {boolean} true if the source may subscribe to and read the key
+   */
+  visible (k) {
+    return this.store.can(this.src, 'subscribe', k) && this.store.can(this.src, 'read', k)
+  }
+
+  /**
+   * Wraps a subscription callback to only give it the changes of the visible keys
+   *
+   * @private
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback
+   * @returns {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} The wrapped callback
+   */
+  wrap (cb) {
+    return async (k, v, t, e) => {
+      if (this.visible(k)) await cb(k, v, t, e)
+    }
+  }
+
+  /**
+   * Checks presence of one entry, needs the `read` right
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    this.check('read', k)
+    return await this.store.has(k, { src: this.src })
+  }
+
+  /**
+   * Gets one entry, needs the `read` right
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    this.check('read', k)
+    return await this.store.get(k, { src: this.src })
+  }
+
+  /**
+   * Gets one entry with its metadata, needs the `read` right, see {@link Store#getWithMeta}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<{value: any, version: number}|undefined>} Resolves with the value and its version, undefined if the entry does not exist
+   */
+  async getWithMeta (k) {
+    this.check('read', k)
+    return await this.store.getWithMeta(k, { src: this.src })
+  }
+
+  /**
+   * Sets one entry for the source, needs the `write` right, see {@link Store#set}
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry
+   * @param {number} [options.ttl] the time to live of the entry in milliseconds, it never expires if omitted
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, { ttl } = {}) {
+    this.check('write', k)
+    await this.store.set(k, v, { ttl, src: this.src })
+  }
+
+  /**
+   * Deletes one entry for the source, needs the `write` right
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async del (k) {
+    this.check('write', k)
+    await this.store.del(k, { src: this.src })
+  }
+
+  /**
+   * Sets one entry for the source if its version is the expected one, needs the `write` right, see {@link Store#compareAndSet}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version, `0` for a missing entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry
+   * @param {number} [options.ttl] the time to live of the entry in milliseconds, it never expires if omitted
+   * @returns {Promise<number>} Resolves with the new version
+   */
+  async compareAndSet (k, version, v, { ttl } = {}) {
+    this.check('write', k)
+    return await this.store.compareAndSet(k, version, v, { ttl, src: this.src })
+  }
+
+  /**
+   * Deletes one entry for the source if its version is the expected one, needs the `write` right, see {@link Store#compareAndDelete}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async compareAndDelete (k, version) {
+    this.check('write', k)
+    await this.store.compareAndDelete(k, version, { src: this.src })
+  }
+
+  /**
+   * Sets the time to live of one entry, needs the `write` right, see {@link Store#expire}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} ms The time to live in milliseconds
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async expire (k, ms) {
+    this.check('write', k)
+    await this.store.expire(k, ms)
+  }
+
+  /**
+   * Gets the remaining time to live of one entry, needs the `read` right, see {@link Store#ttl}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<number|undefined>} Resolves with the remaining time in milliseconds
+   */
+  async ttl (k) {
+    this.check('read', k)
+    return await this.store.ttl(k)
+  }
+
+  /**
+   * Find entries the source may read matching a query, see {@link Store#find}
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries the source may read are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  find (q = undefined, f = x => x, options = undefined) {
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    const entries = this.scan(q, f)
+    return options ? arrange(entries, options) : entries
+  }
+
+  /**
+   * Scans the entries the source may read
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Store#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f) {
+    const p = predicate(q)
+    // only queries on keys are given to the Store, the query and the mapping never see the entries the source may not read
+    const keys = (q instanceof RegExp || typeof q === 'string') ? q : undefined
+    for await (const [k, v] of this.store.find(keys, x => x, { src: this.src })) {
+      if (!this.store.can(this.src, 'read', k)) continue
+      const kv = [k, f(v)]
+      if (p(kv)) yield kv
+    }
+  }
+
+  /**
+   * Finds the first entry the source may read matching a query and returns its value
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries the source may read are included.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
+    if (!done) {
+      const [, v] = value
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Checks if the source has a subscription on a key
+   *
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSub (k) {
+    return await this.store.hasSub(this.src, k)
+  }
+
+  /**
+   * Subscribes the source to an entry, needs the `subscribe` and `read` rights, see {@link Store#sub}
+   *
+   * @param {string} k The key of the subscribed value
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on the entry,
+   *  as long as the source keeps its rights
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async sub (k, cb, now, options) {
+    this.check('subscribe', k)
+    this.check('read', k)
+    await this.store.sub(this.src, k, this.wrap(cb), now, options)
+  }
+
+  /**
+   * Unsubscribes the source to an entry
+   *
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsub (k) {
+    await this.store.unsub(this.src, k)
+  }
+
+  /**
+   * Checks if the source has a subscription on a key pattern
+   *
+   * @param {RegExp|string} pattern The key pattern, see {@link Store#subPattern}
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubPattern (pattern) {
+    return await this.store.hasSubPattern(this.src, pattern)
+  }
+
+  /**
+   * Subscribes the source to every entry whose key matches a pattern, see {@link Store#subPattern}
+   *
+   * @param {RegExp|string} pattern The key pattern, see {@link Store#subPattern}
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered
+   *  on a matching entry the source may subscribe to and read
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type for every existing matching entry
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subPattern (pattern, cb, now, options) {
+    await this.store.subPattern(this.src, pattern, this.wrap(cb), now, options)
+  }
+
+  /**
+   * Unsubscribes the source to a key pattern
+   *
+   * @param {RegExp|string} pattern The key pattern, see {@link Store#subPattern}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPattern (pattern) {
+    await this.store.unsubPattern(this.src, pattern)
+  }
+
+  /**
+   * Watches the changes of a key, or of every key matching a pattern, that the source may subscribe to and read, see {@link Store#watch}
+   *
+   * @param {RegExp|string} [pattern='*'] A key, a RegExp or a glob
+   * @param {object} [options] the options of the watch, see {@link Store#watch}
+   * @returns {AsyncIterable.<ChangeEvent>} Async iterable of change events
+   */
+  async * watch (pattern = '*', options) {
+    for await (const e of this.store.watch(pattern, options)) {
+      if (this.visible(e.key)) yield e
+    }
+  }
+
+  /**
+   * Checks if the source has a global subscription
+   *
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubGlobal () {
+    return await this.store.hasSubGlobal(this.src)
+  }
+
+  /**
+   * Subscribes the source globally, see {@link Store#subGlobal}
+   *
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered
+   *  on an entry the source may subscribe to and read
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subGlobal (cb, options) {
+    await this.store.subGlobal(this.src, this.wrap(cb), options)
+  }
+
+  /**
+   * Unsubscribes the global subscription of the source
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubGlobal () {
+    await this.store.unsubGlobal(this.src)
+  }
+
+  /**
+   * Unsubscribes the source from every key and every pattern
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubEveryWhere () {
+    await this.store.unsubEveryWhere(this.src)
+  }
+}
@@ -0,0 +1,145 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { InvalidArgumentError } from './store-error.js'
+
+/**
+ * The tag of the encoded values JSON does not represent
+ *
+ * @private
+ */
+const TAG = '$t'
+
+const TYPED_ARRAYS = new Map([
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+  Float32Array, Float64Array, BigInt64Array, BigUint64Array
+].map(Type => [Type.name, Type]))
+
+const isPlainObject = (o) => Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null
+
+const toBase64 = (view) => Buffer.from(view.buffer, view.byteOffset, view.byteLength).toString('base64')
+
+/**
+ * Decodes base64 bytes into a new ArrayBuffer, aligned for any typed array
+ *
+ * @private
+ * @param {string} s The base64 bytes
+ * @returns {ArrayBuffer} The bytes
+ */
+function fromBase64 (s) {
+  const bytes = Buffer.from(s, 'base64')
+  const buffer = new ArrayBuffer(bytes.length)
+  new Uint8Array(buffer).set(bytes)
+  return buffer
+}
+
+/**
+ * Encodes a value into a JSON value, tagging the values JSON loses.
+ *
+ * `undefined`, `NaN`, the infinities, `-0`, BigInts, Dates, RegExps, Maps, Sets, ArrayBuffers, Buffers, typed arrays
+ * and DataViews are encoded as an object whose `$t` property gives their type, and a plain object having a `$t` property is escaped.
+ * Other objects are encoded as plain objects of their own enumerable properties, like `JSON.stringify` does.
+ *
+ * @param {any} v The value
+ * @returns {any} The JSON value, see {@link decode}
+ * @throws {InvalidArgumentError} When the value holds a function, a symbol, or itself
+ *
+ * @example
+ * JSON.stringify(encode({ at: new Date(0), tags: new Set(['a']) }))
+ * // '{"at":{"$t":"Date","v":0},"tags":{"$t":"Set","v":["a"]}}'
+ */
+export function encode (v) {
+  return encodeIn(v, new Set())
+}
+
+/**
+ * Encodes a value held by the objects being encoded
+ *
+ * @private
+ * @param {any} v The value
+ * @param {Set<object>} path The objects being encoded, holding the value
+ * @returns {any} The JSON value
+ */
+function encodeIn (v, path) {
+  switch (typeof v) {
+    case 'undefined':
+      return { [TAG]: 'undefined' }
+    case 'bigint':
+      return { [TAG]: 'BigInt', v: v.toString() }
+    case 'number':
+      return Number.isFinite(v) && !Object.is(v, -0) ? v : { [TAG]: 'Number', v: String(v === 0 ? '-0' : v) }
+    case 'function':
+    case 'symbol':
+      throw new InvalidArgumentError('store.error.codec.unsupported', typeof v)
+    case 'object':
+      break
+    default:
+      return v
+  }
+  if (v === null) return v
+  if (path.has(v)) throw new InvalidArgumentError('store.error.codec.circular')
+  path.add(v)
+  try {
+    if (Array.isArray(v)) return Array.from(v, x => encodeIn(x, path))
+    if (v instanceof Date) return { [TAG]: 'Date', v: Number.isNaN(v.getTime()) ? null : v.getTime() }
+    if (v instanceof RegExp) return { [TAG]: 'RegExp', v: v.source, flags: v.flags }
+    if (v instanceof Map) return { [TAG]: 'Map', v: Array.from(v, ([k, x]) => [encodeIn(k, path), encodeIn(x, path)]) }
+    if (v instanceof Set) return { [TAG]: 'Set', v: Array.from(v, x => encodeIn(x, path)) }
+    if (v instanceof ArrayBuffer) return { [TAG]: 'ArrayBuffer', v: toBase64(new Uint8Array(v)) }
+    if (Buffer.isBuffer(v)) return { [TAG]: 'Buffer', v: v.toString('base64') }
+    if (ArrayBuffer.isView(v) && TYPED_ARRAYS.has(v.constructor.name)) return { [TAG]: v.constructor.name, v: toBase64(v) }
+    if (v instanceof DataView) return { [TAG]: 'DataView', v: toBase64(v) }
+    const o = Object.fromEntries(Object.entries(v).map(([k, x]) => [k, encodeIn(x, path)]))
+    return isPlainObject(v) && Object.hasOwn(v, TAG) ? { [TAG]: 'Object', v: o } : o
+  } finally {
+    path.delete(v)
+  }
+}
+
+/**
+ * Decodes a JSON value given by {@link encode}
+ *
+ * @param {any} json The JSON value
+ * @returns {any} The value
+ * @throws {InvalidArgumentError} When a tag is unknown
+ */
+export function decode (json) {
+  if (json === null || typeof json !== 'object') return json
+  if (Array.isArray(json)) return json.map(decode)
+  if (!Object.hasOwn(json, TAG)) return decodeObject(json)
+  const { [TAG]: tag, v } = json
+  switch (tag) {
+    case 'undefined': return undefined
+    case 'BigInt': return BigInt(v)
+    case 'Number': return Number(v)
+    case 'Date': return new Date(v === null ? NaN : v)
+    case 'RegExp': return new RegExp(v, json.flags)
+    case 'Map': return new Map(v.map(([k, x]) => [decode(k), decode(x)]))
+    case 'Set': return new Set(v.map(decode))
+    case 'ArrayBuffer': return fromBase64(v)
+    case 'Buffer': return Buffer.from(v, 'base64')
+    case 'DataView': return new DataView(fromBase64(v))
+    case 'Object': return decodeObject(v)
+  }
+  if (TYPED_ARRAYS.has(tag)) return new (TYPED_ARRAYS.get(tag))(fromBase64(v))
+  throw new InvalidArgumentError('store.error.codec.unknown.tag', tag)
+}
+
+/**
+ * Decodes the properties of a plain object
+ *
+ * @private
+ * @param {object} json The JSON object
+ * @returns {object} The object
+ */
+function decodeObject (json) {
+  return Object.fromEntries(Object.entries(json).map(([k, x]) => [k, decode(x)]))
+}
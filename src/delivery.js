@@ -0,0 +1,261 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { InvalidArgumentError } from './store-error.js'
+
+const MODES = new Set(['serial', 'concurrent'])
+const OVERFLOWS = new Set(['block', 'dropOldest', 'coalesce'])
+
+const noop = () => {}
+
+/**
+ * The deliveries whose callback is running, in the async context of the callbacks
+ *
+ * @private
+ */
+const delivering = new AsyncLocalStorage()
+
+/**
+ * The queue delivering the publishes of one subscription to its callback.
+ *
+ * Publishes are delivered in order, one after the other in `serial` mode, or without waiting for the previous ones
+ * in `concurrent` mode. Without buffer nor timing, the publisher waits for the delivery, as if it called the callback.
+ *
+ * With a bounded `buffer`, the publisher only waits for room in the buffer, when the `overflow` policy is `block`.
+ * When the buffer is full, `dropOldest` discards the oldest publish, and `coalesce` replaces the publish of the same key,
+ * or the oldest one. With `throttle`, a key is delivered at most once per period, the latest publish being delivered
+ * at its end. With `debounce`, a key is delivered once no publish happened for the period.
+ *
+ * A publish made by a callback of the delivery, or by a callback it triggered, is only queued: waiting for its delivery,
+ * queued behind the running callback, would never end.
+ *
+ * @class Delivery
+ *
+ * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent): Promise<void>} deliver Delivers a publish to the callback
+ * @param {DeliveryOptions} [options] the delivery options
+ * @param {Set<Delivery>} [busy] the set of busy deliveries, that this one joins while it has publishes to deliver
+ */
+export default class Delivery {
+  constructor (deliver, { mode = 'serial', buffer = Infinity, overflow = 'block', throttle = 0, debounce = 0 } = {}, busy = new Set()) {
+    if (!MODES.has(mode)) throw new InvalidArgumentError('store.error.delivery.invalid.mode', mode)
+    if (!OVERFLOWS.has(overflow)) throw new InvalidArgumentError('store.error.delivery.invalid.overflow', overflow)
+    if (!(buffer >= 1)) throw new InvalidArgumentError('store.error.delivery.invalid.buffer', buffer)
+    this.deliver = deliver
+    this.mode = mode
+    this.buffer = buffer
+    this.overflow = overflow
+    this.throttle = throttle
+    this.debounce = debounce
+    this.detached = buffer !== Infinity || throttle > 0 || debounce > 0
+    this.busy = busy
+    this.queue = []
+    this.inflight = 0
+    this.pumping = false
+    this.timers = new Map()
+    this.waiting = []
+    this.canceled = false
+  }
+
+  /**
+   * Queues a publish
+   *
+   * @param {string} k The key of the entry
+   * @param {*} v The value of the entry
+   * @param {PubSubType} t The type of publish
+   * @param {ChangeEvent} [e] The event describing the publish
+   * @returns {Promise<void>} Resolves when the publish is delivered, or only queued when the delivery has a buffer or a timing,
+   *  or when the publish is made by a callback of the delivery
+   */
+  push (k, v, t, e) {
+    return new Promise((resolve, reject) => {
+      if (this.canceled) return resolve()
+      const context = delivering.getStore()
+      const reentrant = !!context && context.has(this)
+      const attached = !this.detached && !reentrant
+      const item = { k, v, t, e, context, resolve: attached ? resolve : noop, reject: attached ? reject : noop, admit: noop }
+      if (this.debounce > 0) this.debounced(item)
+      else if (this.throttle > 0) this.throttled(item)
+      else this.enqueue(item)
+      if (!attached) {
+        if (!reentrant && this.queue.indexOf(item) >= this.buffer) item.admit = resolve
+        else resolve()
+      }
+      this.touch()
+    })
+  }
+
+  /**
+   * Appends a publish to the queue, applying the overflow policy when the buffer is full
+   *
+   * @private
+   * @param {object} item The publish
+   */
+  enqueue (item) {
+    if (this.queue.length >= this.buffer && this.overflow !== 'block') {
+      const i = this.overflow === 'coalesce' ? this.queue.findIndex(({ k }) => k === item.k) : -1
+      const [dropped] = this.queue.splice(i === -1 ? 0 : i, 1)
+      dropped.resolve()
+      this.admit()
+    }
+    this.queue.push(item)
+    this.pump()
+  }
+
+  /**
+   * Holds a publish until no other publish of its key happens for the debounce period
+   *
+   * @private
+   * @param {object} item The publish
+   */
+  debounced (item) {
+    const staged = this.timers.get(item.k)
+    if (staged) {
+      clearTimeout(staged.timer)
+      staged.item.resolve()
+    }
+    this.timers.set(item.k, { item, timer: setTimeout(() => this.release(item.k), this.debounce) })
+  }
+
+  /**
+   * Delivers a publish if its key was not delivered during the throttle period, otherwise holds it until the period ends
+   *
+   * @private
+   * @param {object} item The publish
+   */
+  throttled (item) {
+    const staged = this.timers.get(item.k)
+    if (staged) {
+      if (staged.item) staged.item.resolve()
+      staged.item = item
+      return
+    }
+    this.timers.set(item.k, { item: null, timer: setTimeout(() => this.release(item.k), this.throttle) })
+    this.enqueue(item)
+  }
+
+  /**
+   * Ends the debounce or throttle period of a key, queuing its held publish
+   *
+   * @private
+   * @param {string} k The key
+   */
+  release (k) {
+    const { item, timer } = this.timers.get(k)
+    clearTimeout(timer)
+    this.timers.delete(k)
+    if (item && this.debounce > 0) this.enqueue(item)
+    else if (item) this.throttled(item)
+    this.touch()
+  }
+
+  /**
+   * Unblocks the publishers whose publish entered the buffer
+   *
+   * @private
+   */
+  admit () {
+    for (let i = 0; i < Math.min(this.buffer, this.queue.length); i++) {
+      this.queue[i].admit()
+      this.queue[i].admit = noop
+    }
+  }
+
+  /**
+   * Delivers the queued publishes
+   *
+   * @private
+   * @returns {Promise<void>} Resolves when the queue is empty
+   */
+  async pump () {
+    if (this.pumping) return
+    this.pumping = true
+    this.touch()
+    // delivers after the publisher is done queuing
+    await Promise.resolve()
+    while (this.queue.length > 0) {
+      const item = this.queue.shift()
+      this.admit()
+      const sent = this.send(item)
+      if (this.mode === 'serial') await sent
+    }
+    this.pumping = false
+    this.touch()
+  }
+
+  /**
+   * Delivers a publish
+   *
+   * @private
+   * @param {object} item The publish
+   * @returns {Promise<void>} Resolves when the publish is delivered, never rejects
+   */
+  async send ({ k, v, t, e, context, resolve, reject }) {
+    this.inflight += 1
+    try {
+      await delivering.run(new Set(context).add(this), () => this.deliver(k, v, t, e))
+      resolve()
+    } catch (error) {
+      reject(error)
+    } finally {
+      this.inflight -= 1
+      this.touch()
+    }
+  }
+
+  /**
+   * Updates the busy set, and wakes up the ones waiting for the queue to be empty
+   *
+   * @private
+   */
+  touch () {
+    const idle = this.queue.length === 0 && this.inflight === 0 && !this.pumping
+    if (idle && this.timers.size === 0) this.busy.delete(this)
+    else this.busy.add(this)
+    if (idle) this.waiting.splice(0).forEach(resolve => resolve())
+  }
+
+  /**
+   * Cancels the delivery when its subscription is removed: the held and queued publishes are dropped,
+   * and the publishers waiting for them are released. A running callback is not interrupted.
+   *
+   * @param {object} [options] the options of the cancellation
+   * @param {boolean} [options.pending=false] delivers the held and queued publishes instead of dropping them,
+   *  when the subscription ends with a last publish like the deletion of its key
+   */
+  cancel ({ pending = false } = {}) {
+    this.canceled = true
+    if (pending) {
+      Array.from(this.timers.keys()).forEach(k => this.release(k))
+      return
+    }
+    this.timers.forEach(({ item, timer }) => {
+      clearTimeout(timer)
+      if (item) item.resolve()
+    })
+    this.timers.clear()
+    this.queue.splice(0).forEach(item => {
+      item.admit()
+      item.resolve()
+    })
+    this.touch()
+  }
+
+  /**
+   * Ends every debounce and throttle period, then waits for the queue to be empty
+   *
+   * @returns {Promise<void>} Resolves when every queued publish is delivered
+   */
+  async drain () {
+    Array.from(this.timers.keys()).forEach(k => this.release(k))
+    if (this.queue.length > 0 || this.inflight > 0 || this.pumping) await new Promise(resolve => this.waiting.push(resolve))
+  }
+}
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { keyPattern } from './query.js'
+
+/**
+ * A key of a Store computed from other entries, see {@link Store#derive}.
+ *
+ * It depends on a list of keys, whose values are given to the function, or on a key pattern,
+ * the function being given the [key, value] pairs of the matching entries. The derived key is never one of its inputs.
+ *
+ * @private
+ * @class Derivation
+ *
+ * @param {string} k The derived key
+ * @param {Array<string>|RegExp|string} deps The keys, or the key pattern, the derived key depends on
+ * @param {function(...any): Promise<any>} fn Computes the value of the derived key
+ * @param {object} [options] the options of the derivation
+ * @param {string} [options.src] the source given to the subscribers of the derived key
+ */
+export default class Derivation {
+  constructor (k, deps, fn, { src } = {}) {
+    this.k = k
+    this.keys = Array.isArray(deps) ? deps : null
+    this.pattern = Array.isArray(deps) ? null : keyPattern(deps)
+    this.fn = fn
+    this.src = src
+  }
+
+  /**
+   * Checks if a key is an input of the derived key
+   *
+   * @param {string} k The key
+   * @returns {boolean} true if a change of the key changes the inputs
+   */
+  dependsOn (k) {
+    if (k === this.k) return false
+    return this.keys ? this.keys.includes(k) : this.pattern.test(k)
+  }
+
+  /**
+   * Gets the derived keys this one depends on
+   *
+   * @param {Map<string, Derivation>} derived The derivations of the Store
+   * @returns {Array<string>} The derived keys
+   */
+  upstream (derived) {
+    return Array.from(derived.keys()).filter(k => this.dependsOn(k))
+  }
+
+  /**
+   * Computes the value of the derived key from the current entries of the Store
+   *
+   * @param {Store} store The Store
+   * @returns {Promise<any>} Resolves with the value, undefined to delete the derived key
+   */
+  async compute (store) {
+    if (this.keys) return await this.fn(...await Promise.all(this.keys.map(k => store.get(k))))
+    const entries = []
+    for await (const [k, v] of store.find(this.pattern.prefix)) {
+      if (this.dependsOn(k)) entries.push([k, v])
+    }
+    return await this.fn(entries)
+  }
+}
@@ -10,7 +10,21 @@
  */
 
 import Store from './store.js'
-import PubSub from './pubsub.js'
-import StoreError from './store-error.js'
+import PubSub, { PubSubType, ChangeEvent } from './pubsub.js'
+import StoreError, { NotFoundError, InvalidArgumentError, ForbiddenError, ClosedError, TimeoutError, ConflictError, UniqueViolationError, ValidationError, SubscriberError } from './store-error.js'
+import SqliteBackend from './sqlite-backend.js'
+import JournalBackend from './journal-backend.js'
+import Transaction from './transaction.js'
+import Snapshot from './snapshot.js'
+import Namespace from './namespace.js'
+import Access from './access.js'
+import Delivery from './delivery.js'
+import Instrumentation, { Histogram } from './instrumentation.js'
+import Replication, { Follower } from './replication.js'
+import StoreServer from './store-server.js'
+import RemoteStore from './remote-store.js'
+import StoreIndex from './store-index.js'
+import { validate } from './schema.js'
+import { encode, decode } from './codec.js'
 
-export { Store, PubSub, StoreError }
+export { Store, PubSub, PubSubType, ChangeEvent, StoreError, NotFoundError, InvalidArgumentError, ForbiddenError, ClosedError, TimeoutError, ConflictError, UniqueViolationError, ValidationError, SubscriberError, SqliteBackend, JournalBackend, Transaction, Snapshot, Namespace, Access, Delivery, Instrumentation, Histogram, Replication, Follower, StoreServer, RemoteStore, StoreIndex, validate, encode, decode }
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import * as diagnostics from 'node:diagnostics_channel'
+import { performance } from 'node:perf_hooks'
+
+/**
+ * Whether the runtime has TracingChannels, since Node 18.19 and 19.9, the operations being only counted otherwise
+ *
+ * @private
+ */
+const TRACING = typeof diagnostics.tracingChannel === 'function'
+
+/**
+ * The upper bounds in milliseconds of the latency histogram buckets, the last bucket holding every greater latency
+ *
+ * @private
+ */
+const BOUNDS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+/**
+ * A latency histogram, counting the latencies in buckets of exponential bounds
+ *
+ * @class Histogram
+ */
+export class Histogram {
+  constructor () {
+    this.counts = new Array(BOUNDS.length + 1).fill(0)
+    this.count = 0
+    this.sum = 0
+    this.min = Infinity
+    this.max = 0
+  }
+
+  /**
+   * Records a latency
+   *
+   * @param {number} ms The latency in milliseconds
+   */
+  record (ms) {
+    const i = BOUNDS.findIndex(bound => ms <= bound)
+    this.counts[i === -1 ? BOUNDS.length : i] += 1
+    this.count += 1
+    this.sum += ms
+    this.min = Math.min(this.min, ms)
+    this.max = Math.max(this.max, ms)
+  }
+
+  /**
+   * Estimates a percentile as the upper bound of the bucket holding it, the maximum for the last bucket
+   *
+   * @param {number} p The percentile, between 0 and 100
+   * @returns {number} The estimated latency in milliseconds, 0 when nothing is recorded
+   */
+  percentile (p) {
+    const rank = Math.ceil(this.count * p / 100)
+    let seen = 0
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i]
+      if (seen >= rank && seen > 0) return Math.min(i < BOUNDS.length ? BOUNDS[i] : this.max, this.max)
+    }
+    return 0
+  }
+
+  /**
+   * Summarizes the histogram
+   *
+   * @returns {{count: number, sum: number, min: number, max: number, mean: number, p50: number, p90: number, p99: number, buckets: Object<string, number>}}
+   *  The latencies in milliseconds, and the count of each bucket by upper bound, `+Inf` for the last one
+   */
+  toJSON () {
+    const buckets = {}
+    this.counts.forEach((n, i) => { buckets[i < BOUNDS.length ? BOUNDS[i] : '+Inf'] = n })
+    return {
+      count: this.count,
+      sum: this.sum,
+      min: this.count > 0 ? this.min : 0,
+      max: this.max,
+      mean: this.count > 0 ? this.sum / this.count : 0,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p99: this.percentile(99),
+      buckets
+    }
+  }
+}
+
+/**
+ * The metrics and traces of the Store operations and of the subscriber deliveries.
+ *
+ * Every traced operation is counted with its errors and latency, and published on the `node:diagnostics_channel`
+ * TracingChannel named `wool-store:<operation>`, whose `start`, `end`, `asyncStart`, `asyncEnd` and `error` channels
+ * receive the context of the call, with its `result` or `error`. On a runtime without TracingChannel, the operations
+ * are only counted.
+ *
+ * @class Instrumentation
+ */
+export default class Instrumentation {
+  constructor () {
+    this.metrics = new Map()
+    this.channels = new Map()
+  }
+
+  /**
+   * Gets the TracingChannel of an operation
+   *
+   * @param {string} name The name of the operation
+   * @returns {TracingChannel|undefined} The TracingChannel named `wool-store:<name>`, undefined if the runtime has none
+   */
+  channel (name) {
+    if (!TRACING) return undefined
+    let channel = this.channels.get(name)
+    if (!channel) this.channels.set(name, channel = diagnostics.tracingChannel('wool-store:' + name))
+    return channel
+  }
+
+  /**
+   * Gets the metrics of an operation
+   *
+   * @private
+   * @param {string} name The name of the operation
+   * @returns {{count: number, errors: number, latency: Histogram}} The metrics
+   */
+  metric (name) {
+    let metric = this.metrics.get(name)
+    if (!metric) this.metrics.set(name, metric = { count: 0, errors: 0, latency: new Histogram() })
+    return metric
+  }
+
+  /**
+   * Records the end of an operation
+   *
+   * @private
+   * @param {string} name The name of the operation
+   * @param {number} start The time the operation started, from `performance.now()`
+   * @param {boolean} failed Whether the operation failed
+   */
+  record (name, start, failed) {
+    const metric = this.metric(name)
+    metric.count += 1
+    if (failed) metric.errors += 1
+    metric.latency.record(performance.now() - start)
+  }
+
+  /**
+   * Traces an asynchronous operation, called synchronously
+   *
+   * @param {string} name The name of the operation
+   * @param {object} ctx The context of the operation, given to the channel subscribers
+   * @param {function(): Promise<any>} fn The operation
+   * @returns {Promise<any>} Resolves or rejects like the operation
+   */
+  trace (name, ctx, fn) {
+    const start = performance.now()
+    const channel = this.channel(name)
+    return (channel ? channel.tracePromise(fn, ctx) : new Promise(resolve => resolve(fn()))).then(result => {
+      this.record(name, start, false)
+      return result
+    }, error => {
+      this.record(name, start, true)
+      throw error
+    })
+  }
+
+  /**
+   * Traces the iteration of entries, from its first step until it is done or stopped
+   *
+   * @param {string} name The name of the operation
+   * @param {object} ctx The context of the operation, given to the channel subscribers
+   * @param {function(): AsyncIterable<any>} fn Gives the entries
+   * @returns {AsyncIterable<any>} The entries
+   */
+  async * traceIterable (name, ctx, fn) {
+    const channel = this.channel(name)
+    const publish = (event) => { if (channel) channel[event].publish(ctx) }
+    const began = performance.now()
+    publish('start')
+    publish('end')
+    let failed = false
+    try {
+      yield * fn()
+    } catch (e) {
+      failed = true
+      ctx.error = e
+      publish('error')
+      throw e
+    } finally {
+      publish('asyncStart')
+      publish('asyncEnd')
+      this.record(name, began, failed)
+    }
+  }
+
+  /**
+   * Summarizes the metrics of every operation
+   *
+   * @returns {Object<string, {count: number, errors: number, latency: object}>} The count, errors and latency summary
+   *  of every operation, see {@link Histogram#toJSON}
+   */
+  toJSON () {
+    const operations = {}
+    for (const [name, { count, errors, latency }] of this.metrics) operations[name] = { count, errors, latency: latency.toJSON() }
+    return operations
+  }
+}
@@ -0,0 +1,349 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { EventEmitter } from 'node:events'
+import { mkdir, open, readFile, rename, truncate } from 'node:fs/promises'
+import { join } from 'node:path'
+import StoreError, { ClosedError } from './store-error.js'
+import { decode, encode } from './codec.js'
+
+const JOURNAL = 'journal.ndjson'
+const SNAPSHOT = 'snapshot.ndjson'
+
+/**
+ * Maps the values held by a journal or snapshot record, leaving its other properties as is
+ *
+ * @private
+ * @param {object} r The record
+ * @param {function(v: any): any} f Maps a value, {@link encode} or {@link decode}
+ * @returns {object} The mapped record
+ */
+function mapValues (r, f) {
+  if (r.op === 'batch') return { ...r, ops: r.ops.map(op => mapValues(op, f)) }
+  return Object.hasOwn(r, 'v') ? { ...r, v: f(r.v) } : r
+}
+
+/**
+ * Reads the complete lines of a NDJSON file, a last line not terminated by a newline is a torn write and is ignored.
+ * The values of the records are decoded, see {@link decode}.
+ *
+ * @private
+ * @param {string} path The path of the file
+ * @returns {Promise<{records: Array<object>, size: number}>} The parsed records and the size in bytes of the complete lines
+ */
+async function readNdjson (path) {
+  let buf
+  try {
+    buf = await readFile(path)
+  } catch (e) {
+    if (e.code === 'ENOENT') return { records: [], size: 0 }
+    throw e
+  }
+  const size = buf.lastIndexOf(0x0a) + 1
+  const records = buf.subarray(0, size).toString('utf8').split('\n').slice(0, -1).map((line, i) => {
+    try {
+      return mapValues(JSON.parse(line), decode)
+    } catch (e) {
+      throw new StoreError('store.error.journal.corrupted', path, i + 1).causedBy(e)
+    }
+  })
+  return { records, size }
+}
+
+/**
+ * A Store backend keeping entries in memory and making every mutation durable in an append-only NDJSON journal.
+ *
+ * The journal is periodically compacted into a snapshot file, both are replayed by {@link JournalBackend.open}.
+ * Mutations are written in call order, and applied in memory once written. The values are encoded with
+ * {@link encode}, so that Dates, Maps, typed arrays, BigInts… are the same once the Store is opened again, and the
+ * expiry times of the entries are journaled with them, so that the entries still expire.
+ *
+ * The compaction runs once the write reaching `compactEvery` records resolves, a failing compaction leaves the
+ * records in the journal and is reported by a `compactError` event, or as a process warning if nothing listens.
+ *
+ * @class JournalBackend
+ * @extends EventEmitter
+ * @fires JournalBackend#compactError
+ *
+ * @param {string} path The directory holding the journal and snapshot files
+ * @param {object} [options] the backend options
+ * @param {number} [options.compactEvery=1000] the number of journal records triggering a compaction
+ * @param {boolean} [options.fsync=false] flushes the journal to disk after every write
+ */
+export default class JournalBackend extends EventEmitter {
+  constructor (path, { compactEvery = 1000, fsync = false } = {}) {
+    super()
+    this.path = path
+    this.compactEvery = compactEvery
+    this.fsync = fsync
+    this.db = new Map()
+    this.expires = new Map()
+    this.records = 0
+    this.journal = null
+    this.pending = Promise.resolve()
+    this.compacting = null
+  }
+
+  /**
+   * Opens a journal directory, replaying its snapshot and journal into a new backend
+   *
+   * @param {string} path The directory holding the journal and snapshot files, created if missing
+   * @param {object} [options] the backend options, see {@link JournalBackend}
+   * @returns {Promise<JournalBackend>} Resolves with the backend when the replay is complete
+   */
+  static async open (path, options) {
+    const backend = new JournalBackend(path, options)
+    await mkdir(path, { recursive: true })
+
+    const snapshot = await readNdjson(join(path, SNAPSHOT))
+    for (const r of snapshot.records) backend.apply({ op: 'set', ...r })
+
+    const journalPath = join(path, JOURNAL)
+    const journal = await readNdjson(journalPath)
+    for (const r of journal.records) backend.apply(r)
+    backend.records = journal.records.length
+    await truncate(journalPath, journal.size).catch(e => { if (e.code !== 'ENOENT') throw e })
+
+    backend.journal = await open(journalPath, 'a')
+    return backend
+  }
+
+  /**
+   * Applies a journal record to the in-memory entries
+   *
+   * @private
+   * @param {object} r The journal record
+   */
+  apply (r) {
+    switch (r.op) {
+      case 'set':
+        this.db.set(r.k, r.v)
+        if (typeof r.e === 'undefined') this.expires.delete(r.k)
+        else this.expires.set(r.k, r.e)
+        break
+      case 'del':
+        this.db.delete(r.k)
+        this.expires.delete(r.k)
+        break
+      case 'expire':
+        if (this.db.has(r.k)) this.expires.set(r.k, r.e)
+        break
+      case 'batch':
+        r.ops.forEach(op => this.apply(op))
+        break
+      default:
+        throw new StoreError('store.error.journal.unknown.op', r.op)
+    }
+  }
+
+  /**
+   * Queues a task after every previously queued one
+   *
+   * @private
+   * @param {function(): Promise<void>} task The task
+   * @returns {Promise<void>} Resolves when the task is complete
+   */
+  queue (task) {
+    const p = this.pending.then(task)
+    this.pending = p.catch(() => {})
+    return p
+  }
+
+  /**
+   * Appends a record to the journal then applies it, scheduling a compaction when the journal is long enough
+   *
+   * @private
+   * @param {object} r The journal record
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async write (r) {
+    const line = JSON.stringify(mapValues(r, encode)) + '\n'
+    await this.queue(async () => {
+      if (this.journal === null) throw new ClosedError('store.error.journal.closed', this.path)
+      await this.journal.appendFile(line)
+      if (this.fsync) await this.journal.datasync()
+      this.apply(r)
+      this.records += 1
+      if (this.records >= this.compactEvery) this.scheduleCompaction()
+    })
+  }
+
+  /**
+   * Queues a compaction after the current write unless one is already queued, reporting its failure instead of
+   * rejecting the write
+   *
+   * @private
+   */
+  scheduleCompaction () {
+    if (this.compacting !== null) return
+    this.compacting = this.queue(async () => {
+      if (this.journal === null || this.records < this.compactEvery) return
+      await this.snapshot()
+    }).catch(e => {
+      this.reportCompactError(new StoreError('store.error.journal.compaction.failed', this.path).causedBy(e))
+    }).finally(() => {
+      this.compacting = null
+    })
+  }
+
+  /**
+   * Reports a failed compaction to the `compactError` listeners, or as a process warning if there are none
+   *
+   * @private
+   * @param {StoreError} e The error
+   */
+  reportCompactError (e) {
+    /**
+     * Compaction failure event, the records stay in the journal and the compaction is tried again on the next write
+     *
+     * @event JournalBackend#compactError
+     * @type {StoreError}
+     */
+    if (!this.emit('compactError', e)) process.emitWarning(e)
+  }
+
+  /**
+   * Waits for the pending writes and compaction
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async flush () {
+    await this.pending
+    if (this.compacting !== null) await this.compacting
+  }
+
+  /**
+   * Writes the entries into a new snapshot file and empties the journal
+   *
+   * @private
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async snapshot () {
+    const path = join(this.path, SNAPSHOT)
+    const tmp = path + '.tmp'
+    const fh = await open(tmp, 'w')
+    try {
+      const lines = []
+      for (const [k, v] of this.db) lines.push(JSON.stringify({ k, v: encode(v), e: this.expires.get(k) }) + '\n')
+      await fh.writeFile(lines.join(''))
+      await fh.datasync()
+    } finally {
+      await fh.close()
+    }
+    // once renamed the snapshot holds every journal record, replaying them again on top of it is harmless
+    await rename(tmp, path)
+    await this.journal.truncate(0)
+    this.records = 0
+  }
+
+  /**
+   * Compacts the journal into the snapshot file
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async compact () {
+    await this.queue(() => this.snapshot())
+  }
+
+  /**
+   * Checks presence of a key
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    return this.db.has(k)
+  }
+
+  /**
+   * Gets the value of a key
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    return this.db.get(k)
+  }
+
+  /**
+   * Journals then sets the value of a key
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {number} [expires] The time the entry expires, it never expires if omitted
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, expires) {
+    await this.write({ op: 'set', k, v, e: expires })
+  }
+
+  /**
+   * Journals then sets the expiry time of a key
+   *
+   * @param {string} k The key of the entry
+   * @param {number} expires The time the entry expires
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async expire (k, expires) {
+    await this.write({ op: 'expire', k, e: expires })
+  }
+
+  /**
+   * Gives the expiry time of every expiring key
+   *
+   * @returns {Iterable.<[string, number]>} Iterable of [key, expiry time] pairs
+   */
+  expiries () {
+    return this.expires.entries()
+  }
+
+  /**
+   * Journals then deletes a key
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async delete (k) {
+    await this.write({ op: 'del', k })
+  }
+
+  /**
+   * Journals a list of `set` and `del` operations as a single record, then applies them
+   *
+   * @param {Array<{op: string, k: string, v: any, expires: number}>} ops The operations
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async batch (ops) {
+    await this.write({ op: 'batch', ops: ops.map(({ op, k, v, expires }) => op === 'set' ? { op, k, v, e: expires } : { op, k }) })
+  }
+
+  /**
+   * Iterates over the entries in insertion order
+   *
+   * @returns {Iterable.<[string, *]>} Iterable of [key, value] pairs
+   */
+  entries () {
+    return this.db.entries()
+  }
+
+  /**
+   * Waits for pending writes then closes the journal
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async close () {
+    await this.queue(async () => {
+      if (this.journal === null) return
+      await this.journal.close()
+      this.journal = null
+    })
+  }
+}
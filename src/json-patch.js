@@ -0,0 +1,60 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+const escape = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+
+const isPlainObject = (o) => o !== null && typeof o === 'object' && (Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null)
+
+/**
+ * Computes a RFC 6902 JSON Patch turning a value into another.
+ *
+ * Plain objects and arrays are compared member by member, any other value is compared strictly.
+ * A missing value (undefined) is added or removed as a whole.
+ *
+ * @param {*} a The original value
+ * @param {*} b The target value
+ * @param {string} [path=''] The JSON Pointer of the values
+ * @returns {Array<{op: string, path: string, value: *}>} The operations of the patch
+ *
+ * @example
+ * diff({ foo: 1, bar: [1] }, { foo: 2, bar: [1, 2] })
+ * // [{ op: 'replace', path: '/foo', value: 2 }, { op: 'add', path: '/bar/1', value: 2 }]
+ */
+export function diff (a, b, path = '') {
+  if (a === b) return []
+  if (typeof a === 'undefined') return [{ op: 'add', path, value: b }]
+  if (typeof b === 'undefined') return [{ op: 'remove', path }]
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const ops = []
+    const common = Math.min(a.length, b.length)
+    for (let i = 0; i < common; i++) ops.push(...diff(a[i], b[i], path + '/' + i))
+    // removes from the end so that indexes stay valid
+    for (let i = a.length - 1; i >= common; i--) ops.push({ op: 'remove', path: path + '/' + i })
+    for (let i = common; i < b.length; i++) ops.push({ op: 'add', path: path + '/' + i, value: b[i] })
+    return ops
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ops = []
+    for (const key of Object.keys(a)) {
+      const p = path + '/' + escape(key)
+      if (!Object.hasOwn(b, key)) ops.push({ op: 'remove', path: p })
+      else ops.push(...diff(a[key], b[key], p))
+    }
+    for (const key of Object.keys(b)) {
+      if (!Object.hasOwn(a, key)) ops.push({ op: 'add', path: path + '/' + escape(key), value: b[key] })
+    }
+    return ops
+  }
+
+  return [{ op: 'replace', path, value: b }]
+}
@@ -0,0 +1,445 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { ChangeEvent } from './pubsub.js'
+import { NotFoundError } from './store-error.js'
+import { arrange, escapeRegExp, predicate } from './query.js'
+
+/**
+ * Replaces the `^` anchors of a RegExp source, leaving the ones negating a character class
+ *
+ * @private
+ * @param {string} source The source of the RegExp
+ * @param {string} start The source replacing the anchors
+ * @returns {string} The source with its anchors replaced
+ */
+function reanchor (source, start) {
+  let replaced = ''
+  let inClass = false
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i]
+    if (c === '\\') {
+      replaced += source.slice(i, i + 2)
+      i += 1
+    } else if (inClass) {
+      if (c === ']') inClass = false
+      replaced += c
+    } else if (c === '[') {
+      inClass = true
+      replaced += source[i + 1] === '^' ? '[^' : '['
+      if (source[i + 1] === '^') i += 1
+    } else {
+      replaced += c === '^' ? start : c
+    }
+  }
+  return replaced
+}
+
+/**
+ * A view of a Store scoped to the keys starting with a prefix, given by {@link Store#namespace}.
+ *
+ * Keys given to and by the namespace are relative to its prefix, and its `find`, `subGlobal`, `unsubGlobal`
+ * and `unsubEveryWhere` only concern its entries. Namespaces nest.
+ *
+ * @class Namespace
+ *
+ * @param {Store|Transaction} store The Store, or the transaction, the namespace is a view of
+ * @param {string} prefix The prefix of the keys of the namespace
+ * @param {object} [options] the namespace options
+ * @param {string} [options.separator=':'] the separator between the names of nested namespaces
+ */
+export default class Namespace {
+  constructor (store, prefix, { separator = ':' } = {}) {
+    this.store = store
+    this.prefix = prefix
+    this.separator = separator
+  }
+
+  /**
+   * Gives a nested namespace
+   *
+   * @param {string} name The name of the nested namespace
+   * @returns {Namespace} The nested namespace, whose prefix is the prefix of this one followed by the name and the separator
+   */
+  namespace (name) {
+    return new Namespace(this.store, this.prefix + name + this.separator, { separator: this.separator })
+  }
+
+  /**
+   * Gives the key in the Store of a key of the namespace
+   *
+   * @private
+   * @param {string} k The key in the namespace
+   * @returns {string} The key in the Store
+   */
+  key (k) {
+    return this.prefix + k
+  }
+
+  /**
+   * Gives the key in the namespace of a key of the Store
+   *
+   * @private
+   * @param {string} k The key in the Store
+   * @returns {string} The key in the namespace
+   */
+  strip (k) {
+    return k.slice(this.prefix.length)
+  }
+
+  /**
+   * Gives the pattern in the Store of a pattern of the namespace
+   *
+   * @private
+   * @param {RegExp|string} pattern The key pattern in the namespace, see {@link Store#subPattern}
+   * @returns {RegExp|string} The key pattern in the Store
+   */
+  scope (pattern) {
+    if (!(pattern instanceof RegExp)) return this.prefix + pattern
+    const prefix = escapeRegExp(this.prefix)
+    // an anchor of the pattern matches at the start of the keys of the namespace, right after the prefix
+    const source = reanchor(pattern.source, '(?<=^' + prefix + ')')
+    return new RegExp('^' + prefix + '[^]*?(?:' + source + ')', pattern.flags)
+  }
+
+  /**
+   * Wraps a subscription callback to give it the keys of the namespace
+   *
+   * @private
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback
+   * @returns {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} The wrapped callback
+   */
+  wrap (cb) {
+    return (k, v, t, e) => cb(this.strip(k), v, t, e && new ChangeEvent({ ...e, key: this.strip(e.key) }))
+  }
+
+  /**
+   * Checks presence of one entry of the namespace
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read, see {@link Store#has}
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k, options) {
+    return await this.store.has(this.key(k), options)
+  }
+
+  /**
+   * Gets one entry of the namespace
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read, see {@link Store#get}
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k, options) {
+    return await this.store.get(this.key(k), options)
+  }
+
+  /**
+   * Gets one entry of the namespace with its metadata, see {@link Store#getWithMeta}
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read, see {@link Store#getWithMeta}
+   * @returns {Promise<{value: any, version: number}|undefined>} Resolves with the value and its version, undefined if the entry does not exist
+   */
+  async getWithMeta (k, options) {
+    return await this.store.getWithMeta(this.key(k), options)
+  }
+
+  /**
+   * Sets one entry of the namespace, see {@link Store#set}
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry, see {@link Store#set}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, options) {
+    await this.store.set(this.key(k), v, options)
+  }
+
+  /**
+   * Deletes one entry of the namespace, see {@link Store#del}
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the deletion, see {@link Store#del}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async del (k, options) {
+    await this.store.del(this.key(k), options)
+  }
+
+  /**
+   * Sets one entry of the namespace if its version is the expected one, see {@link Store#compareAndSet}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version, `0` for a missing entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry, see {@link Store#set}
+   * @returns {Promise<number>} Resolves with the new version
+   */
+  async compareAndSet (k, version, v, options) {
+    return await this.store.compareAndSet(this.key(k), version, v, options)
+  }
+
+  /**
+   * Deletes one entry of the namespace if its version is the expected one, see {@link Store#compareAndDelete}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version
+   * @param {object} [options] the options of the deletion, see {@link Store#del}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async compareAndDelete (k, version, options) {
+    await this.store.compareAndDelete(this.key(k), version, options)
+  }
+
+  /**
+   * Sets the time to live of one entry of the namespace, see {@link Store#expire}
+   *
+   * @param {string} k The key of the entry
+   * @param {number} ms The time to live in milliseconds
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async expire (k, ms) {
+    await this.store.expire(this.key(k), ms)
+  }
+
+  /**
+   * Gets the remaining time to live of one entry of the namespace, see {@link Store#ttl}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<number|undefined>} Resolves with the remaining time in milliseconds
+   */
+  async ttl (k) {
+    return await this.store.ttl(this.key(k))
+  }
+
+  /**
+   * Find entries of the namespace matching a query, see {@link Store#find}. Queries on keys are relative to the namespace.
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries of the namespace are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  find (q = undefined, f = x => x, options = undefined) {
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    const entries = this.scan(q, f, options)
+    return options ? arrange(entries, options) : entries
+  }
+
+  /**
+   * Scans the entries of the namespace
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Namespace#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @param {object} [options] - The options of the find, only the source is given to the Store
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f, { src } = {}) {
+    const p = predicate(q)
+    for await (const [k, v] of this.store.find(typeof q === 'string' ? this.key(q) : this.prefix, f, { src })) {
+      const kv = [this.strip(k), v]
+      if (p(kv)) yield kv
+    }
+  }
+
+  /**
+   * Finds the first entry of the namespace matching a query and returns its value
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries of the namespace are included.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
+    if (!done) {
+      const [, v] = value
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Deletes every entry of the namespace one by one with {@link Store#del}, publishing a `del` for each one.
+   * The derived keys are kept, and the entries deleted meanwhile are skipped.
+   *
+   * @param {object} [options] the options of the deletion
+   * @param {string} [options.src] the source making the change, given to subscribers
+   * @returns {Promise<number>} Resolves with the number of deleted entries
+   */
+  async clear ({ src } = {}) {
+    const { derived } = this.store.store || this.store
+    const ks = []
+    for await (const [k] of this.store.find(this.prefix, { src })) if (!derived.has(k)) ks.push(k)
+    let deleted = 0
+    for (const k of ks) {
+      try {
+        await this.store.del(k, { src })
+        deleted += 1
+      } catch (e) {
+        if (!(e instanceof NotFoundError)) throw e
+      }
+    }
+    return deleted
+  }
+
+  /**
+   * Runs a function with a transaction scoped to the namespace, see {@link Store#transaction}
+   *
+   * @param {function(tx: Namespace): Promise<any>} fn The function making changes through the transaction
+   * @param {object} [options] the options of the transaction, see {@link Store#transaction}
+   * @returns {Promise<any>} Resolves with the result of the function when the transaction is committed
+   */
+  async transaction (fn, options) {
+    return await this.store.transaction(tx => fn(new Namespace(tx, this.prefix, { separator: this.separator })), options)
+  }
+
+  /**
+   * Checks if a subscription exists on a key of the namespace for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSub (src, k) {
+    return await this.store.hasSub(src, this.key(k))
+  }
+
+  /**
+   * Triggers a Publish on the entry of the namespace for a given key, see {@link Store#pub}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async pub (k) {
+    await this.store.pub(this.key(k))
+  }
+
+  /**
+   * Subscribes to an entry of the namespace, see {@link Store#sub}
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a subscribed entry, with keys of the namespace
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async sub (src, k, cb, now, options) {
+    await this.store.sub(src, this.key(k), this.wrap(cb), now, options)
+  }
+
+  /**
+   * Unsubscribes to an entry of the namespace for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsub (src, k) {
+    await this.store.unsub(src, this.key(k))
+  }
+
+  /**
+   * Checks if a pattern subscription exists in the namespace for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, relative to the namespace
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubPattern (src, pattern) {
+    return await this.store.hasSubPattern(src, this.scope(pattern))
+  }
+
+  /**
+   * Subscribes to every entry of the namespace whose key matches a pattern, see {@link Store#subPattern}
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, relative to the namespace
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a matching entry, with keys of the namespace
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type for every existing matching entry
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subPattern (src, pattern, cb, now, options) {
+    await this.store.subPattern(src, this.scope(pattern), this.wrap(cb), now, options)
+  }
+
+  /**
+   * Unsubscribes to a key pattern of the namespace for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, relative to the namespace
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPattern (src, pattern) {
+    await this.store.unsubPattern(src, this.scope(pattern))
+  }
+
+  /**
+   * Watches the changes of a key of the namespace, or of every key matching a pattern, see {@link Store#watch}
+   *
+   * @param {RegExp|string} [pattern='*'] A key, a RegExp or a glob, relative to the namespace
+   * @param {object} [options] the options of the watch, see {@link Store#watch}
+   * @returns {AsyncIterable.<ChangeEvent>} Async iterable of change events, with keys of the namespace
+   */
+  async * watch (pattern = '*', options) {
+    const scoped = pattern instanceof RegExp ? this.scope(pattern) : this.key(pattern)
+    for await (const e of this.store.watch(scoped, options)) yield new ChangeEvent({ ...e, key: this.strip(e.key) })
+  }
+
+  /**
+   * Checks if a subscription to the whole namespace exists for a source
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubGlobal (src) {
+    return await this.hasSubPattern(src, '')
+  }
+
+  /**
+   * Subscribes to every entry of the namespace for a source with a callback on changes
+   *
+   * @param {string} src The source of the subscription
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered in the namespace, with keys of the namespace
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subGlobal (src, cb, options) {
+    await this.subPattern(src, '', cb, false, options)
+  }
+
+  /**
+   * Unsubscribes to the whole namespace for a source
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubGlobal (src) {
+    await this.unsubPattern(src, '')
+  }
+
+  /**
+   * Unsubscribes a source from every key and every pattern of the namespace
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubEveryWhere (src) {
+    await this.store.pubsub.unsubPrefix(src, this.prefix)
+  }
+}
@@ -9,12 +9,21 @@
  * See the License for the specific language governing permissions and limitations under the License.
  */
 
+import { keyPattern } from './query.js'
+import { diff } from './json-patch.js'
+import { setTimeout as sleep } from 'node:timers/promises'
+import Delivery from './delivery.js'
+import Instrumentation from './instrumentation.js'
+
 /**
  * An Enum of string, with following valid values :
  *  - `sub`: triggered on subscription (with `now` param to `true`)
  *  - `pub`: triggered on force publish
  *  - `set`: triggered on setting a new value
  *  - `del`: triggered on deleting the key
+ *  - `expire`: triggered when the key expires
+ *  - `create`: the type of a {@link ChangeEvent} setting a missing key
+ *  - `update`: the type of a {@link ChangeEvent} setting an existing key
  * @enum {string}
  *
  * @example
@@ -26,22 +35,127 @@ export const PubSubType = {
   sub: 'sub',
   pub: 'pub',
   set: 'set',
-  del: 'del'
+  del: 'del',
+  expire: 'expire',
+  create: 'create',
+  update: 'update'
 }
 
 /**
- * A Pub/Sub utility for Store
+ * The event given to subscribers as fourth argument, describing a publish.
  *
- * @class PubSub
+ * Its type distinguishes a `set` creating the key from a `set` updating it, other types are the ones of the publish.
+ *
+ * @class ChangeEvent
+ *
+ * @param {object} e the event properties
+ * @param {string} e.key The key of the entry
+ * @param {*} e.value The new value of the entry, undefined when it is deleted
+ * @param {*} e.previous The previous value of the entry, undefined when it is created
+ * @param {PubSubType} e.type The type of the event
+ * @param {string} [e.src] The source that made the change
+ * @param {number} e.timestamp The time of the change in milliseconds
+ * @param {number} e.version The version of the entry given by the change
  */
-export default class PubSub {
+export class ChangeEvent {
+  #patch
+
+  constructor ({ key, value, previous, type, src, timestamp, version }) {
+    this.key = key
+    this.value = value
+    this.previous = previous
+    this.type = type
+    this.src = src
+    this.timestamp = timestamp
+    this.version = version
+  }
+
   /**
-   * Create a PubSub
+   * The RFC 6902 JSON Patch turning the previous value into the new one, computed on first access
+   *
+   * @type {Array<{op: string, path: string, value: *}>}
    */
-  constructor () {
+  get patch () {
+    if (typeof this.#patch === 'undefined') this.#patch = diff(this.previous, this.value)
+    return this.#patch
+  }
+}
+
+/**
+ * A failure of a subscriber callback, given to the report function of a {@link PubSub}
+ *
+ * @typedef {object} SubscriberFailure
+ * @property {Error} error The error thrown by the callback
+ * @property {string} src The source of the subscription
+ * @property {string} key The key of the published entry
+ * @property {ChangeEvent} event The event given to the callback
+ * @property {number} attempts The number of times the callback was called
+ * @property {boolean} unsubscribed Whether the subscription was removed after too many failures
+ */
+
+/**
+ * The options of the delivery queue of a subscription, see {@link Delivery}
+ *
+ * @typedef {object} DeliveryOptions
+ * @property {string} [mode='serial'] `serial` waits for the callback before delivering the next publish, `concurrent` does not
+ * @property {number} [buffer=Infinity] the number of publishes the queue holds before applying the overflow policy,
+ *  a bounded buffer lets the publisher go on without waiting for the callback
+ * @property {string} [overflow='block'] what a publish does when the buffer is full: `block` waits for room,
+ *  `dropOldest` discards the oldest queued publish, `coalesce` replaces the queued publish of the same key, or the oldest one
+ * @property {number} [throttle=0] the period in milliseconds a key is delivered at most once, its latest publish being delivered at the end
+ * @property {number} [debounce=0] the period in milliseconds without publish on a key before its latest publish is delivered
+ */
+
+/**
+ * A Pub/Sub utility for Store.
+ *
+ * Every subscription has its own delivery queue, so that a callback receives the publishes in their order,
+ * and a slow callback only delays the ones of its own subscription.
+ *
+ * A failing callback does not prevent the others from being called. It can be retried, and its subscription removed
+ * after too many consecutive failures, then the failure is reported.
+ *
+ * @class PubSub
+ *
+ * @param {object} [options] the PubSub options
+ * @param {number} [options.retries=0] the number of times a failing callback is called again
+ * @param {number} [options.backoff=100] the delay in milliseconds before the first retry, doubled for every other one
+ * @param {number} [options.maxFailures=Infinity] the number of consecutive failures of a callback removing its subscription
+ * @param {function(failure: SubscriberFailure): Promise<void>} [options.report] reports the failures, rethrows their error by default
+ * @param {Instrumentation} [options.instruments] traces the publishes as `pub` and the callback calls as `deliver`
+ * @param {function(v: any): any} [options.isolate] copies the published values for every subscription, so that a callback
+ *  mutating its value does not change the one of the others, values are shared by default
+ */
+export default class PubSub {
+  constructor ({ retries = 0, backoff = 100, maxFailures = Infinity, report = ({ error }) => { throw error }, instruments = new Instrumentation(), isolate = null } = {}) {
+    this.instruments = instruments
+    this.isolate = isolate
+    this.retries = retries
+    this.backoff = backoff
+    this.maxFailures = maxFailures
+    this.report = report
+    this.failures = new WeakMap()
     this.global = new Map()
     this.k_src_cb = new Map()
     this.src_ks = new Map()
+    this.trie = { children: new Map(), subs: new Map() }
+    this.src_patterns = new Map()
+    this.busy = new Set()
+  }
+
+  /**
+   * Builds a subscription with its delivery queue
+   *
+   * @private
+   * @param {string} src The source of the subscription
+   * @param {function} cb The callback of the subscription
+   * @param {function(): Promise<void>} unsub Removes the subscription
+   * @param {DeliveryOptions} [options] The delivery options
+   * @returns {{src: string, cb: function, delivery: Delivery}} The subscription
+   */
+  subscription (src, cb, unsub, options) {
+    const delivery = new Delivery((k, v, t, e) => this.deliver({ src, cb, unsub }, k, v, t, e), options, this.busy)
+    return { src, cb, delivery }
   }
 
   /**
@@ -58,14 +172,18 @@ export default class PubSub {
    * Subscribes globally for a source with a callback on changes
    *
    * @param {string} src The source of the subscription
-   * @param {function(k: string, v: any, t: PubSubType):void} cb The callback triggered when a publish is triggered on the store
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on the store
    *  - `k` The key of the subscribed value
    *  - `v` The subscribed value
    *  - `t` The type of trigger
+   *  - `e` The event describing the publish
+   * @param {DeliveryOptions} [options] the delivery options of the subscription
    * @returns {Promise<void>} Resolves when the operation is complete
    */
-  async subGlobal (src, cb) {
-    await this.global.set(src, cb)
+  async subGlobal (src, cb, options) {
+    const replaced = this.global.get(src)
+    if (replaced) replaced.delivery.cancel()
+    this.global.set(src, this.subscription(src, cb, () => this.unsubGlobal(src), options))
   }
 
   /**
@@ -84,21 +202,71 @@ export default class PubSub {
    *
    * @param {string} src The source of the subscription
    * @param {string} k The key of the subscribed value
-   * @param {function(k: string, v: any, t: PubSubType):void} cb The callback triggered when a publish is triggered on a subscribed entry
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a subscribed entry
    *  - `k` The key of the subscribed value
    *  - `v` The subscribed value
    *  - `t` The type of trigger
+   *  - `e` The event describing the publish
+   * @param {DeliveryOptions} [options] the delivery options of the subscription
    * @returns {Promise<void>} Resolves when the operation is complete
    */
-  async sub (src, k, cb) {
+  async sub (src, k, cb, options) {
     let srcCb = await this.k_src_cb.get(k)
     if (!srcCb) await this.k_src_cb.set(k, srcCb = new Map())
-    await srcCb.set(src, cb)
+    const replaced = srcCb.get(src)
+    if (replaced) replaced.delivery.cancel()
+    await srcCb.set(src, this.subscription(src, cb, () => this.unsub(src, k), options))
     let ks = await this.src_ks.get(src)
     if (!ks) await this.src_ks.set(src, ks = new Set())
     ks.add(k)
   }
 
+  /**
+   * Checks if a pattern subscription exists for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, see {@link PubSub#subPattern}
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasPattern (src, pattern) {
+    const patterns = this.src_patterns.get(src)
+    return !!patterns && patterns.has(keyPattern(pattern).id)
+  }
+
+  /**
+   * Subscribes to every entry whose key matches a pattern for a source with a callback on changes,
+   * including entries created after the subscription.
+   *
+   * Patterns are indexed in a prefix trie by their literal prefix, so that a publish only tests the patterns
+   * whose prefix the key starts with.
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern: a RegExp, a glob where `*` matches any characters and `?` any single character, or a key prefix
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a matching entry
+   *  - `k` The key of the subscribed value
+   *  - `v` The subscribed value
+   *  - `t` The type of trigger
+   *  - `e` The event describing the publish
+   * @param {DeliveryOptions} [options] the delivery options of the subscription
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subPattern (src, pattern, cb, options) {
+    const { id, prefix, test } = keyPattern(pattern)
+    await this.unsubPattern(src, pattern)
+    let node = this.trie
+    for (const c of prefix) {
+      let next = node.children.get(c)
+      if (!next) node.children.set(c, next = { children: new Map(), subs: new Map() })
+      node = next
+    }
+    let subs = node.subs.get(id)
+    if (!subs) node.subs.set(id, subs = { test, srcCb: new Map() })
+    subs.srcCb.set(src, this.subscription(src, cb, async () => this.unsubPatternId(src, id), options))
+    let patterns = this.src_patterns.get(src)
+    if (!patterns) this.src_patterns.set(src, patterns = new Map())
+    patterns.set(id, prefix)
+  }
+
   /**
    * Unsubscribes globally for a source
    *
@@ -106,6 +274,8 @@ export default class PubSub {
    * @returns {Promise<void>} Resolves when the operation is complete
    */
   async unsubGlobal (src) {
+    const sub = this.global.get(src)
+    if (sub) sub.delivery.cancel()
     this.global.delete(src)
   }
 
@@ -118,11 +288,74 @@ export default class PubSub {
    */
   async unsub (src, k) {
     const srcCb = await this.k_src_cb.get(k)
-    if (srcCb) await srcCb.delete(src)
+    if (srcCb && srcCb.has(src)) {
+      srcCb.get(src).delivery.cancel()
+      await srcCb.delete(src)
+    }
     const ks = await this.src_ks.get(src)
     if (ks) await ks.delete(k)
   }
 
+  /**
+   * Unsubscribes to a key pattern for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, see {@link PubSub#subPattern}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPattern (src, pattern) {
+    this.unsubPatternId(src, keyPattern(pattern).id)
+  }
+
+  /**
+   * Unsubscribes to a compiled key pattern for a source, pruning the trie branches left empty
+   *
+   * @private
+   * @param {string} src The source of the subscription
+   * @param {string} id The id of the compiled key pattern
+   */
+  unsubPatternId (src, id) {
+    const patterns = this.src_patterns.get(src)
+    if (!patterns || !patterns.has(id)) return
+    const prefix = patterns.get(id)
+    patterns.delete(id)
+    if (patterns.size === 0) this.src_patterns.delete(src)
+
+    const path = [this.trie]
+    for (const c of prefix) path.push(path[path.length - 1].children.get(c))
+    const node = path[path.length - 1]
+    const subs = node.subs.get(id)
+    subs.srcCb.get(src).delivery.cancel()
+    subs.srcCb.delete(src)
+    if (subs.srcCb.size === 0) node.subs.delete(id)
+    const chars = Array.from(prefix)
+    for (let i = chars.length; i > 0; i--) {
+      const n = path[i]
+      if (n.subs.size > 0 || n.children.size > 0) break
+      path[i - 1].children.delete(chars[i - 1])
+    }
+  }
+
+  /**
+   * Unsubscribes every source to an entry on a key
+   *
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubKey (k) {
+    // removes synchronously, so that a publish following the call is not delivered
+    const srcCb = this.k_src_cb.get(k)
+    if (srcCb) {
+      for (const [src, { delivery }] of srcCb) {
+        // the publish of the deletion is still delivered
+        delivery.cancel({ pending: true })
+        const ks = this.src_ks.get(src)
+        if (ks) ks.delete(k)
+      }
+    }
+    this.k_src_cb.delete(k)
+  }
+
   /**
    * Unsubscribes everywhere for a source
    *
@@ -133,20 +366,152 @@ export default class PubSub {
     await this.unsubGlobal(src)
     const ks = await this.src_ks.get(src)
     if (ks) await Promise.all(Array.from(ks).map(async k => this.unsub(src, k)))
+    const patterns = this.src_patterns.get(src)
+    if (patterns) Array.from(patterns.keys()).forEach(id => this.unsubPatternId(src, id))
   }
 
   /**
-   * Triggers a Publish on the entry for a given key
+   * Unsubscribes a source from every key and every pattern starting with a prefix
+   *
+   * @param {string} src The source of the subscriptions
+   * @param {string} prefix The prefix of the keys and of the patterns
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPrefix (src, prefix) {
+    const ks = this.src_ks.get(src)
+    if (ks) await Promise.all(Array.from(ks).filter(k => k.startsWith(prefix)).map(async k => this.unsub(src, k)))
+    const patterns = this.src_patterns.get(src)
+    if (patterns) Array.from(patterns).filter(([, p]) => p.startsWith(prefix)).forEach(([id]) => this.unsubPatternId(src, id))
+  }
+
+  /**
+   * Triggers a Publish on the entry for a given key.
+   *
+   * The publish is queued synchronously in the delivery queue of every matching subscription,
+   * so that publishes are delivered in call order even when the returned promise is not awaited.
    *
    * @param {string} k The key of the entry
    * @param {*} v The value of the entry
    * @param {PubSubType} t The type of publish to send to callback
-   * @returns {Promise<void>} Resolves when the operation is complete
+   * @param {ChangeEvent} [e] The event describing the publish to send to callback
+   * @returns {Promise<void>} Resolves when the publish is delivered, or only queued for the subscriptions having a buffer or a timing
    */
-  async pub (k, v, t) {
-    await Promise.all(Array.from(this.global).map(async ([, cb]) => await cb(k, v, t)))
-    const srcCb = await this.k_src_cb.get(k)
-    if (srcCb) await Promise.all(Array.from(srcCb).map(async ([, cb]) => await cb(k, v, t)))
+  pub (k, v, t, e) {
+    const subs = Array.from(this.global.values())
+    const srcCb = this.k_src_cb.get(k)
+    if (srcCb) subs.push(...srcCb.values())
+    subs.push(...this.matching(k))
+    return this.instruments.trace('pub', { k, t, subscriptions: subs.length }, async () => {
+      await Promise.all(subs.map(({ delivery }) => {
+        const [value, event] = this.copy(v, e)
+        return delivery.push(k, value, t, event)
+      }))
+    })
+  }
+
+  /**
+   * Copies a published value and its event for one subscription, when values are isolated
+   *
+   * @private
+   * @param {*} v The value of the entry
+   * @param {ChangeEvent} [e] The event describing the publish
+   * @returns {Array} The value and the event to deliver
+   */
+  copy (v, e) {
+    if (!this.isolate) return [v, e]
+    const value = this.isolate(v)
+    if (!e) return [value, e]
+    const copied = (x) => x === v ? value : this.isolate(x)
+    return [value, new ChangeEvent({ ...e, value: copied(e.value), previous: copied(e.previous) })]
+  }
+
+  /**
+   * Counts the subscriptions, and the publishes waiting in their delivery queues
+   *
+   * @returns {{global: number, keys: Object<string, number>, patterns: Object<string, number>, queued: number}}
+   *  The number of global subscriptions, of subscriptions by key and by pattern id, and of queued publishes
+   */
+  stats () {
+    const keys = {}
+    for (const [k, srcCb] of this.k_src_cb) if (srcCb.size > 0) keys[k] = srcCb.size
+    const patterns = {}
+    const subs = [...this.global.values(), ...Array.from(this.k_src_cb.values(), srcCb => [...srcCb.values()]).flat()]
+    const walk = (node) => {
+      node.subs.forEach(({ srcCb }, id) => {
+        patterns[id] = srcCb.size
+        subs.push(...srcCb.values())
+      })
+      node.children.forEach(walk)
+    }
+    walk(this.trie)
+    const queued = subs.reduce((n, { delivery }) => n + delivery.queue.length, 0)
+    return { global: this.global.size, keys, patterns, queued }
+  }
+
+  /**
+   * Waits for every delivery queue to be empty, delivering at once the publishes held by a throttle or a debounce
+   *
+   * @returns {Promise<void>} Resolves when every publish is delivered
+   */
+  async flush () {
+    while (this.busy.size > 0) await Promise.all(Array.from(this.busy).map(delivery => delivery.drain()))
+  }
+
+  /**
+   * Calls a subscriber callback, retrying it when it fails, then removing its subscription and reporting the failure
+   *
+   * @param {{src: string, cb: function, unsub: function(): Promise<void>}} sub The subscription, with the function removing it
+   * @param {string} k The key of the entry
+   * @param {*} v The value of the entry
+   * @param {PubSubType} t The type of publish to send to callback
+   * @param {ChangeEvent} [e] The event describing the publish to send to callback
+   * @returns {Promise<void>} Resolves when the callback succeeded or its failure is reported
+   */
+  async deliver ({ src, cb, unsub }, k, v, t, e) {
+    for (let attempts = 1; ; attempts++) {
+      try {
+        await this.instruments.trace('deliver', { src, k, t, event: e, attempts }, async () => cb(k, v, t, e))
+        this.failures.delete(cb)
+        return
+      } catch (error) {
+        if (attempts <= this.retries) {
+          await sleep(this.backoff * 2 ** (attempts - 1))
+          continue
+        }
+        const failures = (this.failures.get(cb) || 0) + 1
+        const unsubscribed = failures >= this.maxFailures
+        if (unsubscribed) {
+          this.failures.delete(cb)
+          await unsub()
+        } else {
+          this.failures.set(cb, failures)
+        }
+        await this.report({ error, src, key: k, event: e, attempts, unsubscribed })
+        return
+      }
+    }
+  }
+
+  /**
+   * Collects the callbacks of the pattern subscriptions matching a key, walking the trie along the key
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Array<{src: string, cb: function, delivery: Delivery}>} The subscriptions
+   */
+  matching (k) {
+    const subs = []
+    let node = this.trie
+    const collect = n => n.subs.forEach(({ test, srcCb }) => {
+      if (test(k)) subs.push(...srcCb.values())
+    })
+    collect(node)
+    for (const c of k) {
+      node = node.children.get(c)
+      if (!node) break
+      collect(node)
+    }
+    return subs
   }
 
   /**
@@ -156,11 +521,29 @@ export default class PubSub {
    * @param {string} k The key of the entry
    * @param {*} v The value of the entry
    * @param {PubSubType} t The type of publish to send to callback
+   * @param {ChangeEvent} [e] The event describing the publish to send to callback
    * @returns {Promise<void>} Resolves when the operation is complete
    */
-  async pubTo (src, k, v, t) {
+  async pubTo (src, k, v, t, e) {
     const srcCb = await this.k_src_cb.get(k)
-    const cb = await srcCb.get(src)
-    await cb(k, v, t)
+    await srcCb.get(src).delivery.push(k, v, t, e)
+  }
+
+  /**
+   * Triggers a Publish on the entry for a given key for the pattern subscription of a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, see {@link PubSub#subPattern}
+   * @param {string} k The key of the entry
+   * @param {*} v The value of the entry
+   * @param {PubSubType} t The type of publish to send to callback
+   * @param {ChangeEvent} [e] The event describing the publish to send to callback
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async pubToPattern (src, pattern, k, v, t, e) {
+    const { id, prefix } = keyPattern(pattern)
+    let node = this.trie
+    for (const c of prefix) node = node.children.get(c)
+    await node.subs.get(id).srcCb.get(src).delivery.push(k, v, t, e)
   }
 }
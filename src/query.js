@@ -0,0 +1,332 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { isDeepStrictEqual } from 'node:util'
+import { InvalidArgumentError } from './store-error.js'
+
+/**
+ * Escapes the special characters of a string to match it literally in a RegExp
+ *
+ * @param {string} s The string
+ * @returns {string} The escaped string
+ */
+export const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const SPECIALS = new Set(['\\', '^', '$', '.', '|', '?', '*', '+', '(', ')', '[', ']', '{', '}'])
+const QUANTIFIERS = new Set(['?', '*', '{'])
+
+/**
+ * Extracts the literal prefix every key matched by a regular expression must start with
+ *
+ * @param {RegExp} re The regular expression
+ * @returns {string} The literal prefix, empty if none can be safely inferred
+ */
+export function literalPrefix (re) {
+  const { source, flags } = re
+  if (!source.startsWith('^') || flags.includes('i') || flags.includes('m') || source.includes('|')) return ''
+  let prefix = ''
+  for (let i = 1; i < source.length; i++) {
+    let c = source[i]
+    if (c === '\\') {
+      const n = source[i + 1]
+      if (typeof n === 'undefined' || /[\w]/.test(n)) break
+      c = n
+      i += 1
+    } else if (SPECIALS.has(c)) {
+      break
+    }
+    // a quantifier makes the character optional
+    if (QUANTIFIERS.has(source[i + 1])) break
+    prefix += c
+  }
+  return prefix
+}
+
+/**
+ * Compiles a key pattern: a RegExp, a glob where `*` matches any characters and `?` any single character,
+ * or a prefix keys must start with.
+ *
+ * @param {RegExp|string} pattern The key pattern
+ * @returns {{id: string, prefix: string, test: function(k: string): boolean}} The compiled pattern, with an `id` identifying it and the literal `prefix` every matching key starts with
+ */
+export function keyPattern (pattern) {
+  if (pattern instanceof RegExp) {
+    const re = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+    return { id: 're:' + re, prefix: literalPrefix(re), test: k => re.test(k) }
+  }
+  const wildcard = pattern.search(/[*?]/)
+  if (wildcard === -1) {
+    return { id: 'prefix:' + pattern, prefix: pattern, test: k => k.startsWith(pattern) }
+  }
+  const source = Array.from(pattern, c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('')
+  const re = new RegExp('^' + source + '$', 's')
+  return { id: 'glob:' + pattern, prefix: pattern.slice(0, wildcard), test: k => re.test(k) }
+}
+
+const isPlainObject = (o) => o !== null && typeof o === 'object' && (Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null)
+
+const isOperators = (o) => isPlainObject(o) && Object.keys(o).length > 0 && Object.keys(o).every(op => op.startsWith('$'))
+
+const comparable = (x) => x instanceof Date ? x.getTime() : x
+
+const sameType = (a, b) => (a instanceof Date) === (b instanceof Date) && typeof a === typeof b
+
+const toRegExp = (re, options = '') => re instanceof RegExp ? re : new RegExp(re, options)
+
+/**
+ * Resolves a dotted path in a value
+ *
+ * @private
+ * @param {*} v The value
+ * @param {string} path The dotted path, numeric segments index arrays
+ * @returns {*} The value at the path, undefined if missing
+ */
+function resolve (v, path) {
+  for (const segment of path.split('.')) {
+    if (v === null || typeof v !== 'object') return undefined
+    v = v[segment]
+  }
+  return v
+}
+
+/**
+ * Tests a value, or any element of it when it is an array
+ *
+ * @private
+ * @param {*} v The value
+ * @param {function(*): boolean} p The predicate
+ * @returns {boolean} The result of the test
+ */
+const anyOf = (v, p) => p(v) || (Array.isArray(v) && v.some(p))
+
+const OPERATORS = {
+  $eq: (v, x) => anyOf(v, e => isDeepStrictEqual(e, x)),
+  $ne: (v, x) => !anyOf(v, e => isDeepStrictEqual(e, x)),
+  $gt: (v, x) => anyOf(v, e => sameType(e, x) && comparable(e) > comparable(x)),
+  $gte: (v, x) => anyOf(v, e => sameType(e, x) && comparable(e) >= comparable(x)),
+  $lt: (v, x) => anyOf(v, e => sameType(e, x) && comparable(e) < comparable(x)),
+  $lte: (v, x) => anyOf(v, e => sameType(e, x) && comparable(e) <= comparable(x)),
+  $in: (v, xs) => xs.some(x => anyOf(v, e => isDeepStrictEqual(e, x))),
+  $nin: (v, xs) => !xs.some(x => anyOf(v, e => isDeepStrictEqual(e, x))),
+  $exists: (v, x) => (typeof v !== 'undefined') === x,
+  $size: (v, x) => Array.isArray(v) && v.length === x,
+  $all: (v, xs) => Array.isArray(v) && xs.every(x => v.some(e => isDeepStrictEqual(e, x))),
+  $elemMatch: (v, p) => Array.isArray(v) && v.some(p),
+  $not: (v, p) => !p(v),
+  $type: (v, x) => anyOf(v, e => (e === null ? 'null' : Array.isArray(e) ? 'array' : e instanceof Date ? 'date' : typeof e) === x)
+}
+
+/**
+ * The operators whose operand is an array of values
+ *
+ * @private
+ */
+const LISTS = new Set(['$in', '$nin', '$all'])
+
+/**
+ * The operators whose operand is a condition, compiled with the query
+ *
+ * @private
+ */
+const CONDITIONS = new Set(['$elemMatch', '$not'])
+
+/**
+ * Compiles the condition on a single value: an object of operators, or a value to be equal to
+ *
+ * @private
+ * @param {*} c The condition
+ * @returns {function(*): boolean} The predicate on the value
+ * @throws {InvalidArgumentError} If an operator is unknown, or if `$in`, `$nin` or `$all` is not given an array
+ */
+function condition (c) {
+  if (c instanceof RegExp) return v => anyOf(v, e => typeof e === 'string' && c.test(e))
+  if (!isOperators(c)) return v => OPERATORS.$eq(v, c)
+  const tests = Object.entries(c).filter(([op]) => op !== '$options').map(([op, x]) => {
+    if (op === '$regex') {
+      const re = toRegExp(x, c.$options)
+      return v => anyOf(v, e => typeof e === 'string' && re.test(e))
+    }
+    const test = OPERATORS[op]
+    if (!test) throw new InvalidArgumentError('store.error.query.unknown.operator', op)
+    if (LISTS.has(op) && !Array.isArray(x)) throw new InvalidArgumentError('store.error.query.invalid.operand', op)
+    const operand = CONDITIONS.has(op) ? condition(x) : x
+    return v => test(v, operand)
+  })
+  return v => tests.every(test => test(v))
+}
+
+/**
+ * Compiles a query document on a value
+ *
+ * @private
+ * @param {object} q The query document
+ * @returns {function(*): boolean} The predicate on the value
+ */
+function document (q) {
+  const tests = Object.entries(q).map(([field, c]) => {
+    switch (field) {
+      case '$and': {
+        const ps = c.map(document)
+        return v => ps.every(p => p(v))
+      }
+      case '$or': {
+        const ps = c.map(document)
+        return v => ps.some(p => p(v))
+      }
+      case '$nor': {
+        const ps = c.map(document)
+        return v => !ps.some(p => p(v))
+      }
+      default: {
+        if (field.startsWith('$')) throw new InvalidArgumentError('store.error.query.unknown.operator', field)
+        const p = condition(c)
+        return v => p(resolve(v, field))
+      }
+    }
+  })
+  return v => tests.every(test => test(v))
+}
+
+/**
+ * Compiles a query object into a predicate on [key, value] pairs.
+ *
+ * Fields are dotted paths in the value, matched against a value or an object of operators:
+ * `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$exists`, `$regex` (with `$options`), `$size`, `$all`,
+ * `$elemMatch`, `$not` and `$type`. An array field matches when any of its elements does.
+ * The special `$key` field is matched against the key, and `$and`, `$or` and `$nor` combine queries.
+ *
+ * Regular expressions can be given as `{ $regex: 'source', $options: 'flags' }` to keep the query serializable.
+ *
+ * @param {object} q The query object
+ * @returns {function([string, *]): boolean} The predicate
+ * @throws {InvalidArgumentError} If an operator is unknown, or if `$in`, `$nin` or `$all` is not given an array
+ *
+ * @example
+ * compile({ $key: { $regex: '^user:' }, 'profile.age': { $gte: 18 }, tags: { $in: ['admin', 'staff'] } })
+ */
+export function compile (q) {
+  const { $key, ...rest } = q
+  const key = typeof $key === 'undefined' ? () => true : condition($key)
+  const value = document(rest)
+  return ([k, v]) => key(k) && value(v)
+}
+
+/**
+ * Gives the filter on keys of a query object a backend can use to pre-filter entries
+ *
+ * @param {object} q The query object
+ * @returns {RegExp|string|undefined} A RegExp keys must match, a prefix keys must start with, or undefined
+ */
+export function keyHint (q) {
+  const $key = q.$key
+  if ($key instanceof RegExp) return $key
+  if (typeof $key === 'string') return new RegExp('^' + escapeRegExp($key) + '$')
+  if (isPlainObject($key) && typeof $key.$regex !== 'undefined') return toRegExp($key.$regex, $key.$options)
+  return undefined
+}
+
+/**
+ * Builds a predicate on [key, value] pairs from a query given to {@link Store#find}
+ *
+ * @param {(function([string, *]): boolean|RegExp|string|object)} [q] A predicate function, a RegExp to match keys, a prefix keys must start with, or a query object, see {@link compile}. If omitted, all entries are included.
+ * @returns {function([string, *]): boolean} The predicate
+ */
+export function predicate (q) {
+  if (typeof q === 'undefined') {
+    return () => true
+  } else if (q instanceof RegExp) {
+    const test = RegExp.prototype.test.bind(q)
+    return ([k]) => test(k)
+  } else if (typeof q === 'string') {
+    return ([k]) => k.startsWith(q)
+  } else if (isPlainObject(q)) {
+    return compile(q)
+  } else {
+    return q
+  }
+}
+
+/**
+ * Projects a value on some of its fields
+ *
+ * @private
+ * @param {*} v The value
+ * @param {object} projection Dotted paths with `1` to only keep them, or with `0` to remove them
+ * @returns {*} The projected value
+ */
+function project (v, projection) {
+  if (v === null || typeof v !== 'object') return v
+  const fields = Object.entries(projection)
+  const include = fields.some(([, x]) => x)
+  if (include && fields.some(([, x]) => !x)) throw new InvalidArgumentError('store.error.query.mixed.projection')
+  if (include) {
+    const result = {}
+    for (const [path] of fields) {
+      const x = resolve(v, path)
+      if (typeof x === 'undefined') continue
+      const segments = path.split('.')
+      let o = result
+      segments.slice(0, -1).forEach(s => { o = o[s] = o[s] || {} })
+      o[segments[segments.length - 1]] = x
+    }
+    return result
+  }
+  const result = structuredClone(v)
+  for (const [path] of fields) {
+    const segments = path.split('.')
+    const last = segments.pop()
+    const parent = segments.length > 0 ? resolve(result, segments.join('.')) : result
+    if (parent !== null && typeof parent === 'object') delete parent[last]
+  }
+  return result
+}
+
+/**
+ * Sorts, pages and projects [key, value] pairs
+ *
+ * @param {AsyncIterable.<[string, *]>} entries The [key, value] pairs
+ * @param {object} [options] The options
+ * @param {object} [options.sort] Dotted paths, or `$key`, with `1` for ascending order and `-1` for descending order
+ * @param {number} [options.skip=0] The number of pairs to skip
+ * @param {number} [options.limit=Infinity] The maximum number of pairs, `0` meaning no limit
+ * @param {object} [options.projection] Dotted paths with `1` to only keep them, or with `0` to remove them
+ * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, value] pairs
+ * @throws {InvalidArgumentError} When iterated, if the limit is not a number greater than or equal to 0
+ */
+export async function * arrange (entries, { sort, skip = 0, limit = Infinity, projection } = {}) {
+  if (typeof limit !== 'number' || !(limit >= 0)) throw new InvalidArgumentError('store.error.query.invalid.limit', limit)
+  if (limit === 0) limit = Infinity
+  if (sort) {
+    const criteria = Object.entries(sort).map(([path, order]) => [path === '$key' ? ([k]) => k : ([, v]) => comparable(resolve(v, path)), order < 0 ? -1 : 1])
+    const all = []
+    for await (const kv of entries) all.push(kv)
+    all.sort((a, b) => {
+      for (const [get, order] of criteria) {
+        const x = get(a)
+        const y = get(b)
+        // missing values come first, as in ascending order
+        if (x === y) continue
+        if (typeof x === 'undefined') return -order
+        if (typeof y === 'undefined') return order
+        if (x < y) return -order
+        if (x > y) return order
+      }
+      return 0
+    })
+    entries = all
+  }
+  let i = 0
+  for await (const [k, v] of entries) {
+    if (i++ < skip) continue
+    yield [k, projection ? project(v, projection) : v]
+    if (i >= skip + limit) return
+  }
+}
@@ -0,0 +1,470 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { EventEmitter } from 'node:events'
+import StoreError, { ClosedError, SubscriberError, TimeoutError } from './store-error.js'
+import { ChangeEvent, PubSubType } from './pubsub.js'
+import { arrange, predicate } from './query.js'
+import WebSocketConnection from './websocket.js'
+
+/**
+ * Serializes a key pattern for the server, a RegExp being sent as `{ $regex, $options }`
+ *
+ * @private
+ * @param {RegExp|string} p The pattern
+ * @returns {string|object} The serializable pattern
+ */
+const serializable = (p) => p instanceof RegExp ? { $regex: p.source, $options: p.flags } : p
+
+/**
+ * Serializes a query for the server, a RegExp being sent as a query object on the key
+ *
+ * @private
+ * @param {RegExp|string|object} q The query
+ * @returns {string|object} The serializable query
+ */
+const query = (q) => q instanceof RegExp ? { $key: serializable(q) } : q
+
+/**
+ * A client of a {@link StoreServer}, with the same async API as a {@link Store}, subscriptions included.
+ *
+ * Every call is sent over a WebSocket connection, and fails with a {@link TimeoutError} if it is not answered in time.
+ * Errors of the server are revived as the StoreError subclass they were thrown as.
+ * Values and sources are sent as JSON: sources should be strings, and find predicates or mapping functions are applied by the client.
+ * A subscriber callback that throws or rejects is reported as a `subscriberError` event, or as a process warning without listener.
+ *
+ * @class RemoteStore
+ *
+ * @param {WebSocketConnection} ws The connection to the server
+ * @param {object} [options] the client options
+ * @param {number} [options.timeout=10000] the time in milliseconds a call waits for its answer
+ *
+ * @fires RemoteStore#close
+ * @fires RemoteStore#subscriberError
+ */
+export default class RemoteStore extends EventEmitter {
+  constructor (ws, { timeout = 10000 } = {}) {
+    super()
+    this.ws = ws
+    this.timeout = timeout
+    this.calls = new Map()
+    this.ids = 0
+    this.tags = new Map()
+    this.subscriptions = new Map()
+    ws.on('message', message => this.receive(message))
+    ws.on('close', code => this.end(code))
+  }
+
+  /**
+   * Connects to a {@link StoreServer}
+   *
+   * @param {string|URL} url The `ws:` or `wss:` URL of the server
+   * @param {object} [options] the client options, see {@link RemoteStore}
+   * @param {object} [options.headers] the headers of the connection request, given to the authentication hook of the server
+   * @returns {Promise<RemoteStore>} Resolves with the client once connected, rejects with a {@link ForbiddenError} if the server denies the connection
+   *
+   * @example
+   * const store = await RemoteStore.connect('ws://localhost:8080/', { headers: { Authorization: 'Bearer ' + token } })
+   * await store.subGlobal('ui', (k, v, t) => render(k, v))
+   */
+  static async connect (url, { headers, timeout } = {}) {
+    return new RemoteStore(await WebSocketConnection.connect(url, { headers }), { timeout })
+  }
+
+  /**
+   * Calls a method of the served Store
+   *
+   * @private
+   * @param {string} method The name of the method
+   * @param {...any} params The parameters of the method
+   * @returns {Promise<any>} Resolves with the result of the method
+   */
+  call (method, ...params) {
+    if (this.ws.closed) return Promise.reject(new ClosedError('store.error.remote.closed'))
+    const id = ++this.ids
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.calls.delete(id)
+        reject(new TimeoutError('store.error.remote.timeout', method, this.timeout))
+      }, this.timeout)
+      this.calls.set(id, { resolve, reject, timer })
+      this.ws.send(JSON.stringify({ id, method, params }))
+    })
+  }
+
+  /**
+   * Handles an answer or a publish of the server
+   *
+   * @private
+   * @param {string} message The message
+   */
+  receive (message) {
+    let msg
+    try {
+      msg = JSON.parse(message)
+    } catch (e) {
+      process.emitWarning(new StoreError('store.error.remote.invalid.message').causedBy(e))
+      return
+    }
+    if (msg === null || typeof msg !== 'object') {
+      process.emitWarning(new StoreError('store.error.remote.invalid.message'))
+      return
+    }
+    if (typeof msg.tag !== 'undefined') {
+      const subscription = this.tags.get(msg.tag)
+      if (!subscription) return
+      // a deleted key is not subscribed anymore
+      if (subscription.key && (msg.t === PubSubType.del || msg.t === PubSubType.expire)) this.forget(subscription.name)
+      this.deliver(subscription, msg)
+      return
+    }
+    const call = this.calls.get(msg.id)
+    if (!call) return
+    this.calls.delete(msg.id)
+    clearTimeout(call.timer)
+    if (msg.error) call.reject(StoreError.fromJSON(msg.error))
+    else call.resolve(msg.result)
+  }
+
+  /**
+   * Calls the callback of a subscription with a publish of the server, reporting its failure
+   *
+   * @private
+   * @param {{src: string, cb: function}} subscription The subscription
+   * @param {{k: string, v: any, t: PubSubType, e: object}} msg The publish
+   */
+  deliver ({ src, cb }, { k, v, t, e }) {
+    const event = new ChangeEvent(e)
+    const fail = (error) => this.reportSubscriberError(new SubscriberError(src, k, event, 1, false).causedBy(error))
+    try {
+      Promise.resolve(cb(k, v, t, event)).catch(fail)
+    } catch (error) {
+      fail(error)
+    }
+  }
+
+  /**
+   * Reports the failure of a subscriber callback as a `subscriberError` event, or as a process warning without listener.
+   * The failure of a listener is a process warning too.
+   *
+   * @private
+   * @param {SubscriberError} e The failure
+   */
+  reportSubscriberError (e) {
+    if (this.listenerCount('subscriberError') === 0) {
+      process.emitWarning(e)
+      return
+    }
+    try {
+      /**
+       * A subscriber callback failed
+       *
+       * @event RemoteStore#subscriberError
+       * @type {SubscriberError}
+       */
+      this.emit('subscriberError', e)
+    } catch (error) {
+      process.emitWarning(new StoreError('store.error.subscriber.report.failed', e.src, e.key).causedBy(error))
+    }
+  }
+
+  /**
+   * Rejects the pending calls once the connection is closed
+   *
+   * @private
+   * @param {number} code The status code of the closure
+   */
+  end (code) {
+    for (const { reject, timer } of this.calls.values()) {
+      clearTimeout(timer)
+      reject(new ClosedError('store.error.remote.closed'))
+    }
+    this.calls.clear()
+    /**
+     * Emitted when the connection to the server is closed, with its status code
+     *
+     * @event RemoteStore#close
+     * @type {number}
+     */
+    this.emit('close', code)
+  }
+
+  /**
+   * Closes the connection to the server, its subscriptions are removed by the server
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async close () {
+    this.ws.close()
+  }
+
+  /**
+   * Checks presence of one entry, see {@link Store#has}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    return await this.call('has', k)
+  }
+
+  /**
+   * Gets one entry, see {@link Store#get}
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    return await this.call('get', k)
+  }
+
+  /**
+   * Sets one entry, see {@link Store#set}
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry, see {@link Store#set}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, options) {
+    await this.call('set', k, v, options)
+  }
+
+  /**
+   * Deletes one entry, see {@link Store#del}
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the deletion, see {@link Store#del}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async del (k, options) {
+    await this.call('del', k, options)
+  }
+
+  /**
+   * Find entries matching a query, see {@link Store#find}.
+   *
+   * A key prefix, a RegExp or a query object is matched by the server, which also sorts, pages and projects the entries.
+   * A predicate function or a mapping function is applied by the client, to every entry of the Store.
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering, can be omitted when options are given.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  find (q = undefined, f = undefined, options = undefined) {
+    if (typeof f !== 'function' && typeof f !== 'undefined') {
+      options = f
+      f = undefined
+    }
+    if (typeof q !== 'function' && typeof f === 'undefined') return this.fetch(query(q), options)
+    const entries = this.scan(q, f || (x => x))
+    return options ? arrange(entries, options) : entries
+  }
+
+  /**
+   * Gets the entries matched by the server
+   *
+   * @private
+   * @param {string|object} [q] - The serializable query
+   * @param {object} [options] - The options of the result
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, value] pairs.
+   */
+  async * fetch (q, options) {
+    yield * await this.call('find', q, options)
+  }
+
+  /**
+   * Filters every entry of the Store with a predicate applied by the client
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Store#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f) {
+    const p = predicate(q)
+    for await (const [k, v] of this.fetch(typeof q === 'function' ? undefined : query(q))) {
+      const kv = [k, f(v)]
+      if (p(kv)) yield kv
+    }
+  }
+
+  /**
+   * Finds the first entry matching a query and returns its value, see {@link Store#findOne}
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link RemoteStore#find}
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
+    if (!done) {
+      const [, v] = value
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Subscribes through the server, the callback being registered before the call so that it gets the publishes made by it
+   *
+   * @private
+   * @param {string} src The source of the subscription
+   * @param {string} name The name of the subscription, unique for its source and its key or pattern
+   * @param {boolean} key Whether the subscription is on a key, ended when the key is deleted
+   * @param {function} cb The callback
+   * @param {function(tag: number): Promise<void>} subscribe Calls the server with the tag of the subscription
+   * @returns {Promise<void>} Resolves when the subscription is made
+   */
+  async subscribe (src, name, key, cb, subscribe) {
+    const tag = ++this.ids
+    const previous = this.subscriptions.get(name)
+    this.tags.set(tag, { src, name, key, cb })
+    try {
+      await subscribe(tag)
+    } catch (e) {
+      this.tags.delete(tag)
+      throw e
+    }
+    if (typeof previous !== 'undefined') this.tags.delete(previous)
+    this.subscriptions.set(name, tag)
+  }
+
+  /**
+   * Forgets the callback of a subscription
+   *
+   * @private
+   * @param {string} name The name of the subscription
+   */
+  forget (name) {
+    this.tags.delete(this.subscriptions.get(name))
+    this.subscriptions.delete(name)
+  }
+
+  /**
+   * Checks if a subscription exists on a key for a source, see {@link Store#hasSub}
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSub (src, k) {
+    return await this.call('hasSub', src, k)
+  }
+
+  /**
+   * Subscribes to an entry on a key for a source, see {@link Store#sub}
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a subscribed entry
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async sub (src, k, cb, now) {
+    await this.subscribe(src, JSON.stringify(['sub', src, k]), true, cb, tag => this.call('sub', src, k, now, tag))
+  }
+
+  /**
+   * Unsubscribes to an entry on a key for a source, see {@link Store#unsub}
+   *
+   * @param {string} src The source of the subscription
+   * @param {string} k The key of the subscribed value
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsub (src, k) {
+    await this.call('unsub', src, k)
+    this.forget(JSON.stringify(['sub', src, k]))
+  }
+
+  /**
+   * Checks if a pattern subscription exists for a source, see {@link Store#hasSubPattern}
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubPattern (src, pattern) {
+    return await this.call('hasSubPattern', src, serializable(pattern))
+  }
+
+  /**
+   * Subscribes to every entry whose key matches a pattern for a source, see {@link Store#subPattern}
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern: a RegExp, a glob where `*` matches any characters and `?` any single character, or a key prefix
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a matching entry
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type for every existing matching entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subPattern (src, pattern, cb, now) {
+    const p = serializable(pattern)
+    await this.subscribe(src, JSON.stringify(['subPattern', src, p]), false, cb, tag => this.call('subPattern', src, p, now, tag))
+  }
+
+  /**
+   * Unsubscribes to a key pattern for a source, see {@link Store#unsubPattern}
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPattern (src, pattern) {
+    const p = serializable(pattern)
+    await this.call('unsubPattern', src, p)
+    this.forget(JSON.stringify(['subPattern', src, p]))
+  }
+
+  /**
+   * Checks if a global subscription exists for a source, see {@link Store#hasSubGlobal}
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubGlobal (src) {
+    return await this.call('hasSubGlobal', src)
+  }
+
+  /**
+   * Subscribes globally for a source with a callback on changes, see {@link Store#subGlobal}
+   *
+   * @param {string} src The source of the subscription
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on the store
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async subGlobal (src, cb) {
+    await this.subscribe(src, JSON.stringify(['subGlobal', src]), false, cb, tag => this.call('subGlobal', src, tag))
+  }
+
+  /**
+   * Unsubscribes globally for a source, see {@link Store#unsubGlobal}
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubGlobal (src) {
+    await this.call('unsubGlobal', src)
+    this.forget(JSON.stringify(['subGlobal', src]))
+  }
+
+  /**
+   * Unsubscribes everywhere for a source, see {@link Store#unsubEveryWhere}
+   *
+   * @param {string} src The source of the subscription
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubEveryWhere (src) {
+    await this.call('unsubEveryWhere', src)
+    for (const name of Array.from(this.subscriptions.keys())) {
+      if (JSON.parse(name)[1] === src) this.forget(name)
+    }
+  }
+}
@@ -0,0 +1,330 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { EventEmitter } from 'node:events'
+import { randomUUID } from 'node:crypto'
+import StoreError, { ClosedError } from './store-error.js'
+
+/**
+ * Connects to the other end of a replication: over a Node stream messages are NDJSON lines,
+ * over a `MessagePort` they are posted as they are.
+ *
+ * @private
+ * @param {Duplex|MessagePort} stream The stream or the port
+ * @param {function(msg: object): void} receive Receives every message
+ * @param {function(error: Error): void} end Called when the stream ends or fails
+ * @returns {{send: function(msg: object): void, close: function(): void}} The connection
+ */
+function connect (stream, receive, end) {
+  if (typeof stream.postMessage === 'function') {
+    const closed = () => end()
+    stream.on('message', receive)
+    stream.on('close', closed)
+    return {
+      send: (msg) => stream.postMessage(msg),
+      close: () => {
+        stream.off('message', receive)
+        stream.off('close', closed)
+        stream.close()
+      }
+    }
+  }
+
+  let buffered = ''
+  const data = (chunk) => {
+    const lines = (buffered + chunk).split('\n')
+    buffered = lines.pop()
+    for (const line of lines) {
+      if (line === '') continue
+      let msg
+      try {
+        msg = JSON.parse(line)
+      } catch (e) {
+        return end(new StoreError('store.error.replication.invalid.message', line).causedBy(e))
+      }
+      receive(msg)
+    }
+  }
+  const closed = () => end()
+  stream.setEncoding('utf8')
+  stream.on('data', data)
+  stream.on('end', closed)
+  stream.on('close', closed)
+  stream.on('error', end)
+  return {
+    send: (msg) => stream.write(JSON.stringify(msg) + '\n'),
+    close: () => {
+      stream.off('data', data)
+      stream.off('end', closed)
+      stream.off('close', closed)
+      stream.off('error', end)
+      stream.end()
+    }
+  }
+}
+
+/**
+ * The recent operations of a primary Store, sent to the replicas resuming after a reconnection.
+ *
+ * Every operation has the version it gave to its entry as sequence number. A replica whose last sequence is older
+ * than the log, or that followed another primary, is sent the whole Store again.
+ *
+ * @private
+ * @class ReplicationLog
+ *
+ * @param {number} floor The sequence from which every operation is logged
+ * @param {number} backlog The maximum number of operations kept
+ */
+export class ReplicationLog {
+  constructor (floor, backlog) {
+    this.id = randomUUID()
+    this.floor = floor
+    this.backlog = backlog
+    this.ops = []
+    this.links = new Set()
+  }
+
+  /**
+   * Logs applied operations and forwards them to the replicas
+   *
+   * @param {Array<{op: string, k: string, v: any, version: number}>} applied The applied operations
+   */
+  append (applied) {
+    const ops = applied.map(({ op, k, v, version }) => op === 'set' ? { seq: version, op, k, v } : { seq: version, op, k })
+    this.ops.push(...ops)
+    if (this.ops.length > this.backlog) this.floor = this.ops.splice(0, this.ops.length - this.backlog).pop().seq
+    this.links.forEach(link => link.forward(ops))
+  }
+
+  /**
+   * Gets the operations following a sequence, if they are all logged
+   *
+   * @param {string} id The id of the log the sequence comes from
+   * @param {number} seq The sequence
+   * @param {number} version The current version of the Store
+   * @returns {Array<object>|undefined} The operations, undefined if some are missing
+   */
+  since (id, seq, version) {
+    if (id !== this.id || seq < this.floor || seq > version) return undefined
+    return this.ops.filter(op => op.seq > seq)
+  }
+}
+
+/**
+ * The primary end of a replication, given by {@link Store#replicate}.
+ *
+ * When the replica says hello with its last sequence, it is sent the missing operations, or the whole Store,
+ * then every operation as it is applied. The replica acknowledges the sequences it applied.
+ *
+ * @class Replication
+ *
+ * @param {Store} store The primary Store
+ * @param {Duplex|MessagePort} stream The stream to the replica
+ *
+ * @fires Replication#close
+ */
+export default class Replication extends EventEmitter {
+  constructor (store, stream) {
+    super()
+    this.store = store
+    this.log = store.replication
+    this.acked = 0
+    this.live = false
+    this.closed = false
+    this.link = connect(stream, msg => this.receive(msg), error => this.end(error))
+    this.log.links.add(this)
+  }
+
+  /**
+   * Handles a message of the replica
+   *
+   * @private
+   * @param {object} msg The message
+   */
+  receive (msg) {
+    if (msg.type === 'hello') {
+      this.store.queue(() => this.sync(msg)).catch(e => this.end(e))
+    } else if (msg.type === 'ack') {
+      this.acked = msg.seq
+      this.emit('ack', msg.seq)
+    }
+  }
+
+  /**
+   * Brings the replica up to date, while writes are queued
+   *
+   * @private
+   * @param {{id: string, seq: number}} hello The log and the last sequence of the replica
+   * @returns {Promise<void>} Resolves when the replica is sent every operation
+   */
+  async sync ({ id, seq }) {
+    if (this.closed) return
+    const ops = this.log.since(id, seq, this.store.version)
+    if (ops) {
+      if (ops.length > 0) this.link.send({ type: 'ops', ops })
+    } else {
+      this.link.send({ type: 'reset' })
+      for await (const [k, v] of this.store.db.entries()) {
+        const { version } = await this.store.metaOf(k)
+        this.link.send({ type: 'entry', k, v, version })
+      }
+    }
+    this.link.send({ type: 'ready', id: this.log.id, seq: this.store.version })
+    this.live = true
+  }
+
+  /**
+   * Sends applied operations to the replica, once it is up to date
+   *
+   * @private
+   * @param {Array<object>} ops The logged operations
+   */
+  forward (ops) {
+    if (this.live) this.link.send({ type: 'ops', ops })
+  }
+
+  /**
+   * Ends the replication
+   *
+   * @private
+   * @param {Error} [error] The error ending the replication
+   */
+  end (error) {
+    if (this.closed) return
+    this.closed = true
+    this.live = false
+    this.log.links.delete(this)
+    this.link.close()
+    /**
+     * Emitted when the replication ends, with the error ending it if any
+     *
+     * @event Replication#close
+     * @type {Error|undefined}
+     */
+    this.emit('close', error)
+  }
+
+  /**
+   * Stops replicating and ends the stream
+   */
+  close () {
+    this.end()
+  }
+}
+
+/**
+ * The replica end of a replication, given by {@link Store#follow}.
+ *
+ * Operations of the primary are applied in order, firing the subscriptions of the replica, then acknowledged.
+ *
+ * @class Follower
+ *
+ * @param {Store} store The replica Store
+ * @param {Duplex|MessagePort} stream The stream to the primary
+ *
+ * @fires Follower#close
+ */
+export class Follower extends EventEmitter {
+  constructor (store, stream) {
+    super()
+    this.store = store
+    this.entries = null
+    this.closed = false
+    this.pending = Promise.resolve()
+    this.ready = new Promise((resolve, reject) => {
+      this.resolve = resolve
+      this.reject = reject
+    })
+    this.link = connect(stream, msg => {
+      this.pending = this.pending.then(() => this.receive(msg)).catch(e => this.end(e))
+    }, error => this.end(error))
+    this.link.send({ type: 'hello', id: store.primary, seq: store.version })
+  }
+
+  /**
+   * Handles a message of the primary, after the previous ones
+   *
+   * @private
+   * @param {object} msg The message
+   * @returns {Promise<void>} Resolves when the message is handled
+   */
+  async receive (msg) {
+    if (this.closed) return
+    switch (msg.type) {
+      case 'reset':
+        this.entries = new Map()
+        break
+      case 'entry':
+        this.entries.set(msg.k, msg)
+        break
+      case 'ops':
+        await this.store.write(msg.ops)
+        this.link.send({ type: 'ack', seq: this.store.version })
+        break
+      case 'ready':
+        if (this.entries) await this.load(msg.seq)
+        this.store.primary = msg.id
+        this.store.version = Math.max(this.store.version, msg.seq)
+        this.link.send({ type: 'ack', seq: this.store.version })
+        this.resolve()
+        break
+      default:
+        throw new StoreError('store.error.replication.unknown.message', msg.type)
+    }
+  }
+
+  /**
+   * Replaces the entries of the replica by the ones sent by the primary, only writing the changed ones
+   *
+   * @private
+   * @param {number} seq The sequence of the primary once every entry is sent
+   * @returns {Promise<void>} Resolves when the entries are written
+   */
+  async load (seq) {
+    const ops = []
+    for await (const [k] of this.store.db.entries()) {
+      if (!this.entries.has(k)) ops.push({ op: 'del', k, seq })
+    }
+    for (const { k, v, version } of this.entries.values()) {
+      const m = this.store.meta.get(k)
+      if (!m || m.version !== version) ops.push({ op: 'set', k, v, seq: version })
+    }
+    this.entries = null
+    await this.store.write(ops)
+  }
+
+  /**
+   * Ends the replication
+   *
+   * @private
+   * @param {Error} [error] The error ending the replication
+   */
+  end (error) {
+    if (this.closed) return
+    this.closed = true
+    this.link.close()
+    this.reject(error || new ClosedError('store.error.replication.ended'))
+    /**
+     * Emitted when the replication ends, with the error ending it if any
+     *
+     * @event Follower#close
+     * @type {Error|undefined}
+     */
+    this.emit('close', error)
+  }
+
+  /**
+   * Stops following the primary and ends the stream, the replica stays read-only
+   */
+  close () {
+    this.end()
+  }
+}
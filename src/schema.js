@@ -0,0 +1,93 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { isDeepStrictEqual } from 'node:util'
+
+const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v
+
+const isType = (v, type) => type === 'integer' ? Number.isInteger(v) : type === 'number' ? typeof v === 'number' && Number.isFinite(v) : typeOf(v) === type
+
+const pointer = (path, token) => path + '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+
+/**
+ * Validates a value against a JSON Schema, supporting the subset of keywords most schemas use:
+ * `type` (including `integer`), `enum`, `const`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minItems`, `maxItems`, `uniqueItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `allOf`, `anyOf`, `oneOf` and `not`.
+ * Other keywords are ignored.
+ *
+ * Every failing path is reported, not only the first one.
+ *
+ * @param {object|boolean} schema The JSON Schema
+ * @param {*} v The value
+ * @param {string} [path=''] The JSON Pointer of the value
+ * @returns {Array<{path: string, message: string}>} The errors, empty if the value is valid
+ *
+ * @example
+ * validate({ type: 'object', required: ['name'], properties: { age: { type: 'integer', minimum: 0 } } }, { age: -1 })
+ * // [{ path: '', message: 'required property name is missing' }, { path: '/age', message: 'must be >= 0' }]
+ */
+export function validate (schema, v, path = '') {
+  if (schema === true) return []
+  if (schema === false) return [{ path, message: 'is not allowed' }]
+  const errors = []
+  const fail = (message) => errors.push({ path, message })
+
+  if (typeof schema.type !== 'undefined') {
+    const types = [].concat(schema.type)
+    if (!types.some(type => isType(v, type))) {
+      // the other keywords would only repeat the type mismatch
+      return [{ path, message: 'must be of type ' + types.join(' or ') }]
+    }
+  }
+  if (typeof schema.enum !== 'undefined' && !schema.enum.some(x => isDeepStrictEqual(x, v))) fail('must be one of ' + JSON.stringify(schema.enum))
+  if (typeof schema.const !== 'undefined' && !isDeepStrictEqual(schema.const, v)) fail('must be ' + JSON.stringify(schema.const))
+
+  if (typeof v === 'number') {
+    if (typeof schema.minimum !== 'undefined' && v < schema.minimum) fail('must be >= ' + schema.minimum)
+    if (typeof schema.maximum !== 'undefined' && v > schema.maximum) fail('must be <= ' + schema.maximum)
+    if (typeof schema.exclusiveMinimum !== 'undefined' && v <= schema.exclusiveMinimum) fail('must be > ' + schema.exclusiveMinimum)
+    if (typeof schema.exclusiveMaximum !== 'undefined' && v >= schema.exclusiveMaximum) fail('must be < ' + schema.exclusiveMaximum)
+    if (typeof schema.multipleOf !== 'undefined' && !Number.isInteger(v / schema.multipleOf)) fail('must be a multiple of ' + schema.multipleOf)
+  }
+
+  if (typeof v === 'string') {
+    const length = Array.from(v).length
+    if (typeof schema.minLength !== 'undefined' && length < schema.minLength) fail('must have at least ' + schema.minLength + ' characters')
+    if (typeof schema.maxLength !== 'undefined' && length > schema.maxLength) fail('must have at most ' + schema.maxLength + ' characters')
+    if (typeof schema.pattern !== 'undefined' && !new RegExp(schema.pattern, 'u').test(v)) fail('must match ' + schema.pattern)
+  }
+
+  if (Array.isArray(v)) {
+    if (typeof schema.minItems !== 'undefined' && v.length < schema.minItems) fail('must have at least ' + schema.minItems + ' items')
+    if (typeof schema.maxItems !== 'undefined' && v.length > schema.maxItems) fail('must have at most ' + schema.maxItems + ' items')
+    if (schema.uniqueItems && v.some((x, i) => v.findIndex(y => isDeepStrictEqual(x, y)) !== i)) fail('must have unique items')
+    if (typeof schema.items !== 'undefined') v.forEach((x, i) => errors.push(...validate(schema.items, x, pointer(path, i))))
+  }
+
+  if (typeOf(v) === 'object') {
+    const properties = schema.properties || {}
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(v, name)) fail('required property ' + name + ' is missing')
+    }
+    for (const [name, x] of Object.entries(v)) {
+      if (Object.hasOwn(properties, name)) errors.push(...validate(properties[name], x, pointer(path, name)))
+      else if (typeof schema.additionalProperties !== 'undefined') errors.push(...validate(schema.additionalProperties, x, pointer(path, name)))
+    }
+  }
+
+  if (typeof schema.allOf !== 'undefined') schema.allOf.forEach(s => errors.push(...validate(s, v, path)))
+  if (typeof schema.anyOf !== 'undefined' && !schema.anyOf.some(s => validate(s, v, path).length === 0)) fail('must match a schema in anyOf')
+  if (typeof schema.oneOf !== 'undefined' && schema.oneOf.filter(s => validate(s, v, path).length === 0).length !== 1) fail('must match exactly one schema in oneOf')
+  if (typeof schema.not !== 'undefined' && validate(schema.not, v, path).length === 0) fail('must not match the schema in not')
+
+  return errors
+}
@@ -0,0 +1,182 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { ClosedError } from './store-error.js'
+import { arrange, predicate } from './query.js'
+
+/**
+ * A read-only view of a Store frozen at one point in time, given by {@link Store#snapshot}.
+ *
+ * The snapshot shares the entries of the Store: only the previous value of an entry written after the snapshot is taken
+ * is kept, until the snapshot is released.
+ *
+ * @class Snapshot
+ *
+ * @param {Store} store The Store the snapshot is taken from
+ */
+export default class Snapshot {
+  constructor (store) {
+    this.store = store
+    this.time = store.clock()
+    this.version = store.version
+    this.overlay = new Map()
+    this.released = false
+  }
+
+  /**
+   * Throws if the snapshot is already released
+   *
+   * @private
+   */
+  check () {
+    if (this.released) throw new ClosedError('store.error.snapshot.released')
+  }
+
+  /**
+   * Keeps the state of an entry at the time of the snapshot, before the Store writes it
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {{exists: boolean, v: any, expires: number}} entry The state of the entry before the write
+   */
+  preserve (k, entry) {
+    if (!this.overlay.has(k)) this.overlay.set(k, entry)
+  }
+
+  /**
+   * Tells if an entry existed and had not expired at the time of the snapshot
+   *
+   * @private
+   * @param {{exists: boolean, v: any, expires: number}} entry The state of the entry
+   * @returns {boolean} The visibility of the entry
+   */
+  visible ({ exists, expires }) {
+    return exists && !(expires <= this.time)
+  }
+
+  /**
+   * Gets the state of an entry at the time of the snapshot
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Promise<{exists: boolean, v: any, expires: number}>} Resolves with the state of the entry
+   */
+  async entry (k) {
+    if (this.overlay.has(k)) return this.overlay.get(k)
+    const { db, meta } = this.store
+    const exists = await db.has(k)
+    const v = exists ? await db.get(k) : undefined
+    // the entry may have been written while it was read
+    if (this.overlay.has(k)) return this.overlay.get(k)
+    const m = meta.get(k)
+    return { exists, v, expires: m && m.expires }
+  }
+
+  /**
+   * Checks presence of one entry at the time of the snapshot
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    this.check()
+    return this.visible(await this.entry(k))
+  }
+
+  /**
+   * Gets one entry at the time of the snapshot
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    this.check()
+    const entry = await this.entry(k)
+    return this.visible(entry) ? this.store.outbound(entry.v) : undefined
+  }
+
+  /**
+   * Find entries matching a query at the time of the snapshot, see {@link Store#find}.
+   *
+   * Entries removed from the Store since the snapshot is taken are given last.
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  find (q = undefined, f = x => x, options = undefined) {
+    this.check()
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    const entries = this.scan(q, f)
+    return options ? arrange(entries, options) : entries
+  }
+
+  /**
+   * Scans the entries of the Store, as seen by the snapshot
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Store#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f) {
+    const p = predicate(q)
+    const match = (k, v) => {
+      const kv = [k, f(this.store.outbound(v))]
+      return p(kv) ? kv : undefined
+    }
+    const seen = new Set()
+    for await (const [k, v] of this.store.db.entries(q)) {
+      this.check()
+      // a key deleted then set again while iterating is given twice by a Map
+      if (seen.has(k)) continue
+      seen.add(k)
+      const m = this.store.meta.get(k)
+      const entry = this.overlay.has(k) ? this.overlay.get(k) : { exists: true, v, expires: m && m.expires }
+      if (!this.visible(entry)) continue
+      const kv = match(k, entry.v)
+      if (kv) yield kv
+    }
+    for (const [k, entry] of this.overlay) {
+      if (seen.has(k) || !this.visible(entry)) continue
+      const kv = match(k, entry.v)
+      if (kv) yield kv
+    }
+  }
+
+  /**
+   * Finds the first entry matching a query at the time of the snapshot, and returns its value
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries are included.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
+    if (!done) {
+      const [, v] = value
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Releases the snapshot, the Store stops keeping previous values for it
+   */
+  release () {
+    this.released = true
+    this.store.readers.delete(this)
+    this.overlay.clear()
+  }
+}
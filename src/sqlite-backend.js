@@ -0,0 +1,194 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { InvalidArgumentError } from './store-error.js'
+import { keyHint, literalPrefix } from './query.js'
+
+const escapeGlob = (s) => s.replace(/[*?[]/g, '[$&]')
+
+/**
+ * A Store backend persisting entries in a SQLite key/value table, using the built-in `node:sqlite` module.
+ *
+ * Values are serialized as JSON by default, and entries are iterated in insertion order like a `Map`.
+ * The expiry times of the entries are kept in the table with them, a table made by a previous version is given the column.
+ * Key prefixes and regular expressions given to {@link Store#find} are pushed down to SQL.
+ *
+ * @class SqliteBackend
+ *
+ * @param {DatabaseSync} db An opened `node:sqlite` database
+ * @param {object} [options] the backend options
+ * @param {string} [options.table='store'] the name of the key/value table
+ * @param {function(v: any): string} [options.serialize=JSON.stringify] the value serializer
+ * @param {function(s: string): any} [options.deserialize=JSON.parse] the value deserializer
+ */
+export default class SqliteBackend {
+  constructor (db, { table = 'store', serialize = JSON.stringify, deserialize = JSON.parse } = {}) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) throw new InvalidArgumentError('store.error.sqlite.invalid.table', table)
+    this.db = db
+    this.serialize = (v) => {
+      const s = serialize(v)
+      return typeof s === 'undefined' ? null : s
+    }
+    this.deserialize = (s) => s === null ? undefined : deserialize(s)
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (k TEXT PRIMARY KEY, v TEXT, e REAL)`)
+    if (!db.prepare(`PRAGMA table_info(${table})`).all().some(({ name }) => name === 'e')) db.exec(`ALTER TABLE ${table} ADD COLUMN e REAL`)
+
+    this.regexp = typeof db.function === 'function'
+    if (this.regexp) {
+      const cache = new Map()
+      db.function('wool_regexp', { deterministic: true }, (source, flags, k) => {
+        const id = flags + '/' + source
+        let re = cache.get(id)
+        if (!re) cache.set(id, re = new RegExp(source, flags.replace(/[gy]/g, '')))
+        return re.test(k) ? 1 : 0
+      })
+    }
+
+    this.stmt = {
+      has: db.prepare(`SELECT 1 FROM ${table} WHERE k = ?`),
+      get: db.prepare(`SELECT v FROM ${table} WHERE k = ?`),
+      set: db.prepare(`INSERT INTO ${table} (k, v, e) VALUES (?, ?, ?) ON CONFLICT(k) DO UPDATE SET v = excluded.v, e = excluded.e`),
+      expire: db.prepare(`UPDATE ${table} SET e = ? WHERE k = ?`),
+      expiries: db.prepare(`SELECT k, e FROM ${table} WHERE e IS NOT NULL`),
+      delete: db.prepare(`DELETE FROM ${table} WHERE k = ?`),
+      all: db.prepare(`SELECT k, v FROM ${table} ORDER BY rowid`),
+      prefix: db.prepare(`SELECT k, v FROM ${table} WHERE k GLOB ? ORDER BY rowid`),
+      regexp: this.regexp ? db.prepare(`SELECT k, v FROM ${table} WHERE k GLOB ? AND wool_regexp(?, ?, k) ORDER BY rowid`) : undefined
+    }
+  }
+
+  /**
+   * Opens a SQLite database and builds a backend on it
+   *
+   * @param {string} [path=':memory:'] The path of the database file
+   * @param {object} [options] the backend options, see {@link SqliteBackend}
+   * @returns {Promise<SqliteBackend>} Resolves with the backend when the database is opened
+   */
+  static async open (path = ':memory:', options) {
+    const { DatabaseSync } = await import('node:sqlite')
+    return new SqliteBackend(new DatabaseSync(path), options)
+  }
+
+  /**
+   * Checks presence of a key in the table
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    return typeof this.stmt.has.get(k) !== 'undefined'
+  }
+
+  /**
+   * Gets the deserialized value of a key in the table
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    const row = this.stmt.get.get(k)
+    return row ? this.deserialize(row.v) : undefined
+  }
+
+  /**
+   * Serializes and upserts the value of a key in the table
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {number} [expires] The time the entry expires, it never expires if omitted
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, expires) {
+    this.stmt.set.run(k, this.serialize(v), typeof expires === 'undefined' ? null : expires)
+  }
+
+  /**
+   * Sets the expiry time of a key in the table
+   *
+   * @param {string} k The key of the entry
+   * @param {number} expires The time the entry expires
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async expire (k, expires) {
+    this.stmt.expire.run(expires, k)
+  }
+
+  /**
+   * Gives the expiry time of every expiring key in the table
+   *
+   * @returns {Iterable.<[string, number]>} Iterable of [key, expiry time] pairs
+   */
+  expiries () {
+    return this.stmt.expiries.all().map(({ k, e }) => [k, e])
+  }
+
+  /**
+   * Deletes a key from the table
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async delete (k) {
+    this.stmt.delete.run(k)
+  }
+
+  /**
+   * Applies a list of `set` and `del` operations in a single SQL transaction
+   *
+   * @param {Array<{op: string, k: string, v: any, expires: number}>} ops The operations
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async batch (ops) {
+    this.db.exec('BEGIN')
+    try {
+      for (const { op, k, v, expires } of ops) {
+        if (op === 'set') this.stmt.set.run(k, this.serialize(v), typeof expires === 'undefined' ? null : expires)
+        else this.stmt.delete.run(k)
+      }
+      this.db.exec('COMMIT')
+    } catch (e) {
+      this.db.exec('ROLLBACK')
+      throw e
+    }
+  }
+
+  /**
+   * Iterates over the entries of the table in insertion order.
+   *
+   * A key prefix, a RegExp query or the `$key` of a query object is pushed down to SQL, any other query is left to the Store.
+   *
+   * @param {*} [q] The query given to {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, value] pairs
+   */
+  async * entries (q) {
+    if (q !== null && typeof q === 'object' && !(q instanceof RegExp)) q = keyHint(q)
+    let rows
+    if (typeof q === 'string') {
+      rows = this.stmt.prefix.iterate(escapeGlob(q) + '*')
+    } else if (q instanceof RegExp) {
+      const glob = escapeGlob(literalPrefix(q)) + '*'
+      rows = this.regexp ? this.stmt.regexp.iterate(glob, q.source, q.flags) : this.stmt.prefix.iterate(glob)
+    } else {
+      rows = this.stmt.all.iterate()
+    }
+    for (const { k, v } of rows) yield [k, this.deserialize(v)]
+  }
+
+  /**
+   * Closes the underlying database
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async close () {
+    this.db.close()
+  }
+}
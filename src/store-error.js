@@ -9,20 +9,288 @@
  * See the License for the specific language governing permissions and limitations under the License.
  */
 
+const STATUS = {
+  internal: 500,
+  invalid: 400,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  closed: 409,
+  validation: 422,
+  timeout: 504
+}
+
+const registry = new Map()
+
+const stringify = (p) => typeof p === 'symbol' ? p.toString() : (p && (typeof p === 'object') && p.toString().startsWith('[object')) ? JSON.stringify(p) : p
+
+const serialize = (e) => {
+  if (e instanceof StoreError) return e.toJSON()
+  if (e instanceof Error) return { name: e.name, message: e.message, ...(e.code ? { code: e.code } : {}) }
+  return e
+}
+
+const revive = (c) => {
+  if (c === null || typeof c !== 'object' || typeof c.message !== 'string') return c
+  if (registry.has(c.name)) return StoreError.fromJSON(c)
+  return Object.assign(new Error(c.message), c)
+}
+
 /**
- * A custom Error for this module
+ * A custom Error for this module.
+ *
+ * Every error has a stable machine-readable `code`, like `store.error.delete.key.not.exists`, and the `params` of the failure.
+ * Subclasses give the `kind` of failure, mapped to an HTTP `status`: `internal`, `invalid`, `forbidden`, `not_found`,
+ * `conflict`, `closed`, `validation` or `timeout`.
+ * Errors can be serialized with `JSON.stringify` and revived with {@link StoreError.fromJSON}, their subclass and cause included.
  *
  * @class StoreError
  *
- * @param {string} message a base message
+ * @param {string} code the code of the error
  * @param  {...any} params interesting parameters for error analysis
+ *
+ * @example
+ * try {
+ *   await store.del('missing')
+ * } catch (e) {
+ *   if (e instanceof StoreError) res.status(e.status).json(e)
+ *   else throw e
+ * }
  */
 export default class StoreError extends Error {
-  constructor (message, ...params) {
-    const f = (p) => (p && (typeof p === 'object') && p.toString().startsWith('[object')) ? JSON.stringify(p) : p
-    super(message + (params.length > 0 ? '(' + params.map(f).join(', ') + ')' : ''))
+  static kind = 'internal'
+
+  constructor (code, ...params) {
+    super(StoreError.format(code, params))
     this.name = this.constructor.name
     Error.captureStackTrace(this, this.constructor)
+    this.code = code
     this.params = params
   }
+
+  /**
+   * Formats the message of an error, can be replaced to translate messages
+   *
+   * @param {string} code the code of the error
+   * @param {Array<any>} params the parameters of the error
+   * @returns {string} the message
+   *
+   * @example
+   * StoreError.format = (code, params) => i18n.t(code, params)
+   */
+  static format (code, params) {
+    return code + (params.length > 0 ? '(' + params.map(stringify).join(', ') + ')' : '')
+  }
+
+  /**
+   * The kind of failure, given by the class of the error
+   *
+   * @type {string}
+   */
+  get kind () {
+    return this.constructor.kind
+  }
+
+  /**
+   * The HTTP status matching the kind of failure
+   *
+   * @type {number}
+   */
+  get status () {
+    return STATUS[this.kind] || STATUS.internal
+  }
+
+  /**
+   * Sets the error causing this one
+   *
+   * @param {any} cause The cause
+   * @returns {StoreError} This error
+   *
+   * @example
+   * throw new StoreError('store.error.journal.corrupted', path).causedBy(e)
+   */
+  causedBy (cause) {
+    Object.defineProperty(this, 'cause', { value: cause, writable: true, configurable: true, enumerable: false })
+    return this
+  }
+
+  /**
+   * Gives a JSON representation of the error, with its specific properties and its cause
+   *
+   * @returns {object} The JSON representation
+   */
+  toJSON () {
+    const json = { ...this, name: this.name, code: this.code, message: this.message, params: this.params }
+    if (typeof this.cause !== 'undefined') json.cause = serialize(this.cause)
+    return json
+  }
+
+  /**
+   * Revives an error from its JSON representation, as the same subclass when it is registered
+   *
+   * @param {object} json The JSON representation given by {@link StoreError#toJSON}
+   * @returns {StoreError} The error
+   */
+  static fromJSON (json) {
+    const { name, code, message, params = [], cause, ...props } = json
+    const C = registry.get(name) || StoreError
+    const e = Reflect.construct(Error, [message], C)
+    Error.captureStackTrace(e, StoreError.fromJSON)
+    Object.assign(e, props, { name, code, params })
+    if (typeof cause !== 'undefined') e.causedBy(revive(cause))
+    return e
+  }
+
+  /**
+   * Registers a subclass, to be revived by {@link StoreError.fromJSON}
+   *
+   * @param {Function} C The subclass
+   */
+  static register (C) {
+    registry.set(C.name, C)
+  }
+}
+
+/**
+ * A StoreError thrown when an entry, a subscription or an index does not exist
+ *
+ * @class NotFoundError
+ *
+ * @param {string} code the code of the error
+ * @param  {...any} params interesting parameters for error analysis
+ */
+export class NotFoundError extends StoreError {
+  static kind = 'not_found'
+}
+
+/**
+ * A StoreError thrown when an argument is not valid, like a malformed query
+ *
+ * @class InvalidArgumentError
+ *
+ * @param {string} code the code of the error
+ * @param  {...any} params interesting parameters for error analysis
+ */
+export class InvalidArgumentError extends StoreError {
+  static kind = 'invalid'
+}
+
+/**
+ * A StoreError thrown when an operation is not allowed, like writing to a replica
+ *
+ * @class ForbiddenError
+ *
+ * @param {string} code the code of the error
+ * @param  {...any} params interesting parameters for error analysis
+ */
+export class ForbiddenError extends StoreError {
+  static kind = 'forbidden'
+}
+
+/**
+ * A StoreError thrown when using something already closed, like a committed transaction
+ *
+ * @class ClosedError
+ *
+ * @param {string} code the code of the error
+ * @param  {...any} params interesting parameters for error analysis
+ */
+export class ClosedError extends StoreError {
+  static kind = 'closed'
+}
+
+/**
+ * A StoreError thrown when an operation does not complete in time
+ *
+ * @class TimeoutError
+ *
+ * @param {string} code the code of the error
+ * @param  {...any} params interesting parameters for error analysis
+ */
+export class TimeoutError extends StoreError {
+  static kind = 'timeout'
+}
+
+/**
+ * A StoreError thrown when the version of an entry is not the expected one
+ *
+ * @class ConflictError
+ *
+ * @param {string} k The key of the entry
+ * @param {number} expected The expected version, `0` for a missing entry
+ * @param {number} actual The actual version, `0` for a missing entry
+ */
+export class ConflictError extends StoreError {
+  static kind = 'conflict'
+
+  constructor (k, expected, actual) {
+    super('store.error.version.conflict', k, expected, actual)
+    this.key = k
+    this.expected = expected
+    this.actual = actual
+  }
+}
+
+/**
+ * A StoreError thrown when an entry would break the uniqueness of an index
+ *
+ * @class UniqueViolationError
+ *
+ * @param {string} index The name of the index
+ * @param {any} value The indexed value
+ * @param {string} k The key of the entry
+ * @param {string} owner The key of the entry already having the indexed value
+ */
+export class UniqueViolationError extends StoreError {
+  static kind = 'conflict'
+
+  constructor (index, value, k, owner) {
+    super('store.error.index.unique.violation', index, value, k, owner)
+    this.index = index
+    this.value = value
+    this.key = k
+    this.owner = owner
+  }
 }
+
+/**
+ * A StoreError thrown when a value does not match the schema of its key
+ *
+ * @class ValidationError
+ *
+ * @param {string} k The key of the entry
+ * @param {Array<{path: string, message: string}>} errors Every failing path of the value, as JSON Pointers, with its error
+ */
+export class ValidationError extends StoreError {
+  static kind = 'validation'
+
+  constructor (k, errors) {
+    super('store.error.validation', k, errors.map(({ path, message }) => (path || '/') + ' ' + message).join('; '))
+    this.key = k
+    this.errors = errors
+  }
+}
+
+/**
+ * A StoreError reporting a subscriber callback that failed, its `cause` is the error thrown by the callback
+ *
+ * @class SubscriberError
+ *
+ * @param {string} src The source of the subscription
+ * @param {string} k The key of the published entry
+ * @param {ChangeEvent} event The event given to the callback
+ * @param {number} attempts The number of times the callback was called
+ * @param {boolean} unsubscribed Whether the subscription was removed after too many failures
+ */
+export class SubscriberError extends StoreError {
+  constructor (src, k, event, attempts, unsubscribed) {
+    super('store.error.subscriber.failed', src, k)
+    this.src = src
+    this.key = k
+    this.event = event
+    this.attempts = attempts
+    this.unsubscribed = unsubscribed
+  }
+}
+
+for (const C of [StoreError, NotFoundError, InvalidArgumentError, ForbiddenError, ClosedError, TimeoutError, ConflictError, UniqueViolationError, ValidationError, SubscriberError]) StoreError.register(C)
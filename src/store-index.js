@@ -0,0 +1,186 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { UniqueViolationError } from './store-error.js'
+
+const normalize = (x) => x instanceof Date ? x.getTime() : x
+
+const compare = (a, b) => a < b ? -1 : a > b ? 1 : 0
+
+/**
+ * A secondary index on the entries of a Store, mapping an indexed value computed from each entry value to the keys having it.
+ *
+ * Indexed values are kept sorted to answer range lookups, so they should all be of the same comparable type:
+ * numbers, strings or Dates, which are indexed by their time. Entries whose indexed value is undefined are not indexed.
+ *
+ * @class StoreIndex
+ *
+ * @param {string} name The name of the index
+ * @param {function(v: any): any} fn The function computing the indexed value of an entry value
+ * @param {object} [options] the index options
+ * @param {boolean} [options.unique=false] forbids two entries with the same indexed value
+ */
+export default class StoreIndex {
+  constructor (name, fn, { unique = false } = {}) {
+    this.name = name
+    this.fn = fn
+    this.unique = unique
+    this.keys = new Map()
+    this.values = new Map()
+    this.sorted = []
+  }
+
+  /**
+   * Computes the indexed value of an entry value
+   *
+   * @param {any} v The value of the entry
+   * @returns {any} The indexed value, undefined if the entry is not indexed
+   */
+  indexed (v) {
+    return normalize(this.fn(v))
+  }
+
+  /**
+   * Finds the position of an indexed value in the sorted values
+   *
+   * @private
+   * @param {any} x The indexed value
+   * @returns {number} The position of the first sorted value greater or equal
+   */
+  search (x) {
+    let lo = 0
+    let hi = this.sorted.length
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1
+      if (compare(this.sorted[mid], x) < 0) lo = mid + 1
+      else hi = mid
+    }
+    return lo
+  }
+
+  /**
+   * Computes the indexed values of entries to set, checking that they would not break the uniqueness of the index,
+   * so that an index failing on a value fails before the value is written
+   *
+   * @param {Array<{k: string, v: any}>} sets The entries to set
+   * @param {Set<string>} changed The keys whose current value is replaced or deleted
+   * @returns {Map<string, any>} The indexed value of every key to set
+   * @throws {UniqueViolationError} If two entries would have the same indexed value
+   */
+  check (sets, changed) {
+    const computed = new Map()
+    for (const { k, v } of sets) computed.set(k, this.indexed(v))
+    if (!this.unique) return computed
+    const owners = new Map()
+    for (const [k, x] of computed) {
+      if (typeof x === 'undefined') continue
+      const current = this.keys.get(x)
+      const owner = owners.has(x) ? owners.get(x) : current && Array.from(current).find(o => !changed.has(o))
+      if (typeof owner !== 'undefined' && owner !== k) throw new UniqueViolationError(this.name, x, k, owner)
+      owners.set(x, k)
+    }
+    return computed
+  }
+
+  /**
+   * Indexes entries in an empty index at once, sorting the indexed values once
+   *
+   * @param {Map<string, any>} computed The indexed value of every key, as given by {@link StoreIndex#check}
+   */
+  build (computed) {
+    for (const [k, x] of computed) {
+      if (typeof x === 'undefined') continue
+      let ks = this.keys.get(x)
+      if (!ks) this.keys.set(x, ks = new Set())
+      ks.add(k)
+      this.values.set(k, x)
+    }
+    this.sorted = Array.from(this.keys.keys()).sort(compare)
+  }
+
+  /**
+   * Indexes an entry, replacing its previous indexed value
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {any} [x] The indexed value of the entry, when already computed by {@link StoreIndex#check}
+   */
+  add (k, v, x = this.indexed(v)) {
+    this.remove(k)
+    if (typeof x === 'undefined') return
+    let ks = this.keys.get(x)
+    if (!ks) {
+      this.keys.set(x, ks = new Set())
+      this.sorted.splice(this.search(x), 0, x)
+    }
+    ks.add(k)
+    this.values.set(k, x)
+  }
+
+  /**
+   * Removes an entry from the index
+   *
+   * @param {string} k The key of the entry
+   */
+  remove (k) {
+    if (!this.values.has(k)) return
+    const x = this.values.get(k)
+    this.values.delete(k)
+    const ks = this.keys.get(x)
+    ks.delete(k)
+    if (ks.size === 0) {
+      this.keys.delete(x)
+      this.sorted.splice(this.search(x), 1)
+    }
+  }
+
+  /**
+   * Gets the keys of the entries having an indexed value
+   *
+   * @param {any} x The indexed value
+   * @returns {Array<string>} The keys
+   */
+  get (x) {
+    const ks = this.keys.get(normalize(x))
+    return ks ? Array.from(ks) : []
+  }
+
+  /**
+   * Gets the keys of the entries whose indexed value is in a range, ordered by indexed value
+   *
+   * @param {object} range The bounds of the range, each one is optional
+   * @param {any} [range.gt] The indexed value must be greater
+   * @param {any} [range.gte] The indexed value must be greater or equal
+   * @param {any} [range.lt] The indexed value must be lower
+   * @param {any} [range.lte] The indexed value must be lower or equal
+   * @returns {Array<string>} The keys
+   */
+  range ({ gt, gte, lt, lte } = {}) {
+    gt = normalize(gt)
+    gte = normalize(gte)
+    lt = normalize(lt)
+    lte = normalize(lte)
+    let i = 0
+    if (typeof gte !== 'undefined') i = this.search(gte)
+    else if (typeof gt !== 'undefined') {
+      i = this.search(gt)
+      if (i < this.sorted.length && compare(this.sorted[i], gt) === 0) i += 1
+    }
+    const ks = []
+    for (; i < this.sorted.length; i++) {
+      const x = this.sorted[i]
+      if (typeof lt !== 'undefined' && compare(x, lt) >= 0) break
+      if (typeof lte !== 'undefined' && compare(x, lte) > 0) break
+      ks.push(...this.keys.get(x))
+    }
+    return ks
+  }
+}
@@ -0,0 +1,333 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import http from 'node:http'
+import StoreError, { ForbiddenError, InvalidArgumentError, NotFoundError } from './store-error.js'
+import WebSocketConnection from './websocket.js'
+
+/**
+ * Revives a key pattern sent by a client, a RegExp being sent as `{ $regex, $options }`
+ *
+ * @private
+ * @param {string|object} pattern The pattern sent
+ * @returns {RegExp|string} The key pattern
+ */
+const pattern = (p) => p !== null && typeof p === 'object' ? new RegExp(p.$regex, p.$options) : p
+
+/**
+ * Gives the options of a call with the principal of the client as source, replacing the source it may have sent
+ *
+ * @private
+ * @param {object} [options] The options sent, null if missing in JSON
+ * @param {any} principal The principal of the client
+ * @returns {object} The options of the call
+ */
+const as = (options, principal) => ({ ...options, src: principal })
+
+/**
+ * The methods a client can call, given the Store, the parameters, the connection and the principal of the client.
+ * Only the ones without subscription can be called over HTTP, and options missing in JSON are null.
+ *
+ * @private
+ */
+const METHODS = {
+  has: (store, [k], c, principal) => store.has(k, as({}, principal)),
+  get: (store, [k], c, principal) => store.get(k, as({}, principal)),
+  set: async (store, [k, v, options], c, principal) => { await store.set(k, v, as(options, principal)) },
+  del: async (store, [k, options], c, principal) => { await store.del(k, as(options, principal)) },
+  find: async (store, [q, options], c, principal) => {
+    const entries = []
+    for await (const kv of store.find(q === null ? undefined : q, as(options, principal))) entries.push(kv)
+    return entries
+  },
+  hasSub: (store, [src, k], c) => store.hasSub(c.src(src), k),
+  sub: async (store, [src, k, now, tag], c) => { await store.sub(c.src(src), k, c.forward(tag), now) },
+  unsub: async (store, [src, k], c) => { await store.unsub(c.src(src), k) },
+  hasSubPattern: (store, [src, p], c) => store.hasSubPattern(c.src(src), pattern(p)),
+  subPattern: async (store, [src, p, now, tag], c) => { await store.subPattern(c.src(src), pattern(p), c.forward(tag), now) },
+  unsubPattern: async (store, [src, p], c) => { await store.unsubPattern(c.src(src), pattern(p)) },
+  hasSubGlobal: (store, [src], c) => store.hasSubGlobal(c.src(src)),
+  subGlobal: async (store, [src, tag], c) => { await store.subGlobal(c.src(src), c.forward(tag)) },
+  unsubGlobal: async (store, [src], c) => { await store.unsubGlobal(c.src(src)) },
+  unsubEveryWhere: async (store, [src], c) => { await store.unsubEveryWhere(c.src(src)) }
+}
+
+const HTTP_METHODS = new Set(['has', 'get', 'set', 'del', 'find'])
+
+/**
+ * Serializes an error for a client, an error that is not a StoreError is hidden behind an internal one
+ *
+ * @private
+ * @param {Error} e The error
+ * @returns {object} The JSON representation of the error
+ */
+const failure = (e) => (e instanceof StoreError ? e : new StoreError('store.error.server.internal')).toJSON()
+
+/**
+ * Serializes the answer to a call, a result that JSON cannot represent, like a BigInt, failing the call
+ *
+ * @private
+ * @param {object} answer The answer
+ * @param {string} method The method called
+ * @returns {string} The JSON of the answer
+ * @throws {StoreError} If the answer cannot be serialized
+ */
+const serialize = (answer, method) => {
+  try {
+    return JSON.stringify(answer)
+  } catch (e) {
+    throw new StoreError('store.error.server.unserializable.result', method).causedBy(e)
+  }
+}
+
+/**
+ * A connection of a client to a {@link StoreServer}.
+ *
+ * The sources given by the client are mapped to sources of its own, so that its subscriptions
+ * do not collide with the ones of other clients, and are all removed when it disconnects.
+ * Only the string sources of the changes are sent to the client, the others, like principals, are not.
+ *
+ * @private
+ * @class ServerConnection
+ *
+ * @param {StoreServer} server The server
+ * @param {WebSocketConnection} ws The WebSocket connection
+ * @param {any} principal The principal given by the authentication hook
+ */
+class ServerConnection {
+  constructor (server, ws, principal) {
+    this.server = server
+    this.ws = ws
+    this.principal = principal
+    this.srcs = new Map()
+    ws.on('message', message => { this.receive(message).catch(e => process.emitWarning(e)) })
+    ws.on('close', () => { this.end() })
+  }
+
+  /**
+   * Maps a source of the client to a source of the connection
+   *
+   * @param {string} src The source given by the client
+   * @returns {symbol} The source of the connection
+   */
+  src (src) {
+    let mapped = this.srcs.get(src)
+    if (!mapped) this.srcs.set(src, mapped = Symbol(String(src)))
+    return mapped
+  }
+
+  /**
+   * Builds the callback of a subscription, sending its publishes to the client
+   *
+   * @param {number} tag The tag of the subscription given by the client
+   * @returns {function(k: string, v: any, t: PubSubType, e: ChangeEvent): void} The callback
+   */
+  forward (tag) {
+    return (k, v, t, e) => {
+      if (!this.ws.closed) this.ws.send(JSON.stringify({ tag, k, v, t, e: { ...e, src: typeof e.src === 'string' ? e.src : undefined } }))
+    }
+  }
+
+  /**
+   * Handles a call of the client, answering with its result or its error
+   *
+   * @private
+   * @param {string} message The call, as JSON `{id, method, params}`
+   * @returns {Promise<void>} Resolves when the answer is sent
+   */
+  async receive (message) {
+    let id
+    let answer
+    try {
+      const call = JSON.parse(message)
+      id = call.id
+      answer = serialize({ id, result: await this.server.invoke(call, this.principal, this) }, call.method)
+    } catch (e) {
+      answer = JSON.stringify({ id, error: failure(e) })
+    }
+    if (!this.ws.closed) this.ws.send(answer)
+  }
+
+  /**
+   * Removes every subscription of the client
+   *
+   * @private
+   * @returns {Promise<void>} Resolves when the subscriptions are removed
+   */
+  async end () {
+    this.server.connections.delete(this)
+    await Promise.all(Array.from(this.srcs.values()).map(src => this.server.store.unsubEveryWhere(src)))
+  }
+}
+
+/**
+ * Serves a Store to remote clients, see {@link RemoteStore}, with a JSON protocol over WebSocket and HTTP.
+ *
+ * Over WebSocket, a call is sent as `{id, method, params}` and answered with `{id, result}` or `{id, error}`,
+ * and the publishes of a subscription are sent as `{tag, k, v, t, e}` with the tag given by the subscribing call.
+ * Over HTTP, a call without subscription is posted as `{method, params}` and answered with `{result}` or `{error}`,
+ * the status being the one of the error.
+ *
+ * Errors are serialized StoreErrors, revived by {@link StoreError.fromJSON}.
+ *
+ * The principal given by the authentication of a client is the source of its reads and writes, given to the
+ * middlewares, which can authorize them, and to the subscribers, a source sent by the client being ignored.
+ *
+ * @class StoreServer
+ *
+ * @param {Store} store The Store to serve
+ * @param {object} [options] the server options
+ * @param {string} [options.path='/'] the path of the HTTP calls and of the WebSocket upgrades
+ * @param {function(req: IncomingMessage): Promise<any>} [options.authenticate] authenticates every connection and HTTP call
+ *  from its request, returning a principal, the connection is denied if it throws or returns a falsy value, every
+ *  client is the principal `true` by default
+ * @param {number} [options.maxPayload=16777216] the maximum size in bytes of a call
+ *
+ * @example
+ * const server = new StoreServer(store, {
+ *   authenticate: async (req) => tokens.verify(req.headers.authorization)
+ * })
+ * store.use({ set: { before: async ({ k, src }) => { if (!src.admin) throw new ForbiddenError('app.error.denied', k) } } })
+ * await server.listen(8080)
+ */
+export default class StoreServer {
+  constructor (store, { path = '/', authenticate = async () => true, maxPayload = 16 * 1024 * 1024 } = {}) {
+    this.store = store
+    this.path = path
+    this.authenticate = authenticate
+    this.maxPayload = maxPayload
+    this.connections = new Set()
+    this.server = null
+  }
+
+  /**
+   * Authenticates a request
+   *
+   * @private
+   * @param {IncomingMessage} req The request
+   * @returns {Promise<any>} Resolves with the principal, rejects with a {@link ForbiddenError} if the request is denied
+   */
+  async principal (req) {
+    let principal
+    try {
+      principal = await this.authenticate(req)
+    } catch (e) {
+      throw new ForbiddenError('store.error.server.unauthenticated').causedBy(e)
+    }
+    if (!principal) throw new ForbiddenError('store.error.server.unauthenticated')
+    return principal
+  }
+
+  /**
+   * Calls a method of the Store for a client
+   *
+   * @private
+   * @param {{method: string, params: Array<any>}} call The call
+   * @param {any} principal The principal of the client, the source of the call
+   * @param {ServerConnection} [connection] The connection of the client, none over HTTP
+   * @returns {Promise<any>} Resolves with the result of the method
+   */
+  async invoke ({ method, params = [] }, principal, connection) {
+    if (!Object.hasOwn(METHODS, method) || (!connection && !HTTP_METHODS.has(method))) throw new InvalidArgumentError('store.error.server.unknown.method', method)
+    if (!Array.isArray(params)) throw new InvalidArgumentError('store.error.server.invalid.params', method)
+    return await METHODS[method](this.store, params, connection, principal)
+  }
+
+  /**
+   * Handles a HTTP request, can be given to any HTTP server
+   *
+   * @param {IncomingMessage} req The request
+   * @param {ServerResponse} res The response
+   * @returns {Promise<void>} Resolves when the response is sent
+   */
+  async handle (req, res) {
+    let status = 200
+    let body
+    try {
+      if (new URL(req.url, 'http://localhost').pathname !== this.path) throw new NotFoundError('store.error.server.not.found', req.url)
+      if (req.method !== 'POST') throw new InvalidArgumentError('store.error.server.invalid.http.method', req.method)
+      const principal = await this.principal(req)
+      const chunks = []
+      let size = 0
+      for await (const chunk of req) {
+        size += chunk.length
+        if (size > this.maxPayload) throw new InvalidArgumentError('store.error.server.payload.too.large', this.maxPayload)
+        chunks.push(chunk)
+      }
+      let call
+      try {
+        call = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      } catch (e) {
+        throw new InvalidArgumentError('store.error.server.invalid.json').causedBy(e)
+      }
+      body = serialize({ result: await this.invoke(call, principal) }, call.method)
+    } catch (e) {
+      status = e instanceof StoreError ? e.status : 500
+      body = JSON.stringify({ error: failure(e) })
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(body)
+  }
+
+  /**
+   * Handles a WebSocket upgrade request, can be given to the `upgrade` event of any HTTP server
+   *
+   * @param {IncomingMessage} req The upgrade request
+   * @param {Duplex} socket The socket of the request
+   * @param {Buffer} head The first bytes received after the upgrade request
+   * @returns {Promise<void>} Resolves when the connection is accepted or denied
+   */
+  async upgrade (req, socket, head) {
+    try {
+      if (new URL(req.url, 'http://localhost').pathname !== this.path) throw new NotFoundError('store.error.server.not.found', req.url)
+      const principal = await this.principal(req)
+      const ws = WebSocketConnection.accept(req, socket, head, { maxPayload: this.maxPayload })
+      this.connections.add(new ServerConnection(this, ws, principal))
+    } catch (e) {
+      const status = e instanceof StoreError ? e.status : 500
+      const version = e.code === 'store.error.websocket.unsupported.version' ? 'Sec-WebSocket-Version: 13\r\n' : ''
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${version}Connection: close\r\n\r\n`)
+    }
+  }
+
+  /**
+   * Creates a HTTP server serving the Store and starts listening
+   *
+   * @param {number} [port=0] The port, a free one by default
+   * @param {string} [host] The host
+   * @returns {Promise<{port: number, address: string}>} Resolves with the address once the server listens
+   */
+  async listen (port = 0, host) {
+    this.server = http.createServer((req, res) => { this.handle(req, res) })
+    this.server.on('upgrade', (req, socket, head) => { this.upgrade(req, socket, head) })
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, host, resolve)
+    })
+    return this.server.address()
+  }
+
+  /**
+   * Closes every connection, removing their subscriptions, then the HTTP server if it was created by {@link StoreServer#listen}
+   *
+   * @returns {Promise<void>} Resolves when everything is closed
+   */
+  async close () {
+    await Promise.all(Array.from(this.connections).map(connection => {
+      connection.ws.close(1001)
+      return connection.end()
+    }))
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve))
+      this.server = null
+    }
+  }
+}
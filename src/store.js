@@ -9,87 +9,1165 @@
  * See the License for the specific language governing permissions and limitations under the License.
  */
 
-import PubSub, { PubSubType } from './pubsub.js'
-import StoreError from './store-error.js'
+import { EventEmitter } from 'node:events'
+import PubSub, { PubSubType, ChangeEvent } from './pubsub.js'
+import StoreError, { ConflictError, ForbiddenError, InvalidArgumentError, NotFoundError, SubscriberError, ValidationError } from './store-error.js'
+import JournalBackend from './journal-backend.js'
+import Transaction from './transaction.js'
+import Snapshot from './snapshot.js'
+import Namespace from './namespace.js'
+import Access from './access.js'
+import Derivation from './derivation.js'
+import Instrumentation from './instrumentation.js'
+import Replication, { Follower, ReplicationLog } from './replication.js'
+import StoreIndex from './store-index.js'
+import { arrange, escapeRegExp, keyPattern, predicate } from './query.js'
+import { validate } from './schema.js'
+import { isDeepStrictEqual } from 'node:util'
+import { Readable } from 'node:stream'
+import { createInterface } from 'node:readline'
+import { decode, encode } from './codec.js'
+
+const ISOLATIONS = new Set(['reference', 'clone', 'freeze'])
+
+const INTERCEPTED = new Set(['has', 'get', 'getWithMeta', 'set', 'del', 'find', 'findBy', 'findRange', 'sub', 'import'])
+
+const RIGHTS = new Set(['read', 'write', 'subscribe'])
+
+const IMPORT_MODES = new Set(['merge', 'replace'])
+
+/**
+ * Tells if a value is a valid time to live
+ *
+ * @private
+ * @param {any} ms The value
+ * @returns {boolean} true for a finite number of milliseconds, 0 or more
+ */
+const isDuration = (ms) => typeof ms === 'number' && Number.isFinite(ms) && ms >= 0
+
+/**
+ * Freezes a value and every object it holds
+ *
+ * @private
+ * @param {any} v The value
+ * @returns {any} The frozen value
+ */
+function deepFreeze (v) {
+  // typed arrays, Buffers included, cannot be frozen when they are not empty, and their elements are not objects
+  if (v === null || typeof v !== 'object' || Object.isFrozen(v) || ArrayBuffer.isView(v)) return v
+  Object.freeze(v)
+  Reflect.ownKeys(v).forEach(key => deepFreeze(v[key]))
+  return v
+}
+
+/**
+ * A storage backend for the Store.
+ *
+ * Any object exposing the following operations can be used, each one may either return its result or a Promise of it.
+ * A `Map` is a valid backend, and is the default one.
+ *
+ * @typedef {object} Backend
+ * @property {function(k: string): Promise<boolean>} has Checks presence of a key
+ * @property {function(k: string): Promise<any>} get Gets the value of a key
+ * @property {function(k: string, v: any, expires: number): Promise<void>} set Sets the value of a key, with the time it expires
+ *  on the clock of the Store, undefined if it never expires
+ * @property {function(k: string): Promise<void>} delete Deletes a key
+ * @property {function(q: any): (Iterable.<[string, *]>|AsyncIterable.<[string, *]>)} entries Iterates over [key, value] pairs,
+ *  receives the query given to {@link Store#find} as a hint it may use to pre-filter entries
+ * @property {function(ops: Array<{op: string, k: string, v: any, expires: number}>): Promise<void>} [batch] Optionally applies a list of
+ *  `set` and `del` operations atomically, otherwise the Store applies them one by one and restores previous values on failure
+ * @property {function(k: string, expires: number): Promise<void>} [expire] Optionally keeps the new expiry time of an existing key
+ * @property {function(): Iterable.<[string, number]>} [expiries] Optionally gives the expiry time of every expiring key, read
+ *  when the Store is built: a persistent backend keeps the expiry times given to `set`, `batch` and `expire` for it,
+ *  the entries it gives back without expiry never expire
+ * @property {function(): Promise<void>} [flush] Optionally waits for the work the backend defers, awaited by {@link Store#flush}
+ */
 
 /**
- * An in-memory key-value Store with Pub/Sub mechanism
+ * A validator checking a value against a schema.
+ *
+ * @typedef {function(schema: any, v: any): Array<{path: string, message: string}>} Validator
+ * @returns {Array<{path: string, message: string}>} Every failing path of the value, as JSON Pointers, with its error, empty if the value is valid
+ */
+
+/**
+ * A key-value Store with Pub/Sub mechanism, in-memory by default
  *
  * @class Store
+ *
+ * @param {object} [options] the Store options
+ * @param {Backend} [options.backend] the storage backend, defaults to a new `Map`
+ * @param {function(): number} [options.clock=Date.now] the clock giving the current time in milliseconds, used for expiration
+ * @param {number} [options.sweepInterval=1000] the interval in milliseconds between two removals of expired entries, `0` to only expire them on access
+ * @param {Validator} [options.validator] the default validator of schemas, see {@link Store#defineSchema}, defaults to {@link validate}
+ * @param {string} [options.isolation='reference'] how stored values are isolated from the callers: `reference` stores and gives
+ *  the values as is, `clone` stores and gives copies made with `structuredClone`, `freeze` deeply freezes the values when they are set
+ * @param {(boolean|function(e: StoreError): void)} [options.detectMutations=false] a development mode reporting the stored values
+ *  mutated without being set again, with a process warning or the given function
+ * @param {object} [options.subscriberErrors] the policy applied to the subscriber callbacks that fail, see {@link Store#reportSubscriberError}
+ * @param {number} [options.subscriberErrors.retries=0] the number of times a failing callback is called again
+ * @param {number} [options.subscriberErrors.backoff=100] the delay in milliseconds before the first retry, doubled for every other one
+ * @param {number} [options.subscriberErrors.maxFailures=Infinity] the number of consecutive failures of a callback removing its subscription
+ * @param {number} [options.subscriberErrors.deadLetters=0] the number of last failures kept in `store.deadLetters`
+ * @param {function(e: SubscriberError): void} [options.onError] the hook receiving the failures of subscriber callbacks
+ *
+ * @fires Store#subscriberError
+ * @fires Store#derivedError
+ * @fires Store#sweepError
+ * @fires Store#compactError
  */
-export default class Store {
-  constructor () {
-    this.db = new Map()
-    this.pubsub = new PubSub()
+export default class Store extends EventEmitter {
+  constructor ({
+    backend = new Map(),
+    clock = Date.now,
+    sweepInterval = 1000,
+    validator = validate,
+    isolation = 'reference',
+    detectMutations = false,
+    subscriberErrors: { retries = 0, backoff = 100, maxFailures = Infinity, deadLetters = 0 } = {},
+    onError = null
+  } = {}) {
+    if (!ISOLATIONS.has(isolation)) throw new InvalidArgumentError('store.error.invalid.isolation', isolation)
+    super()
+    this.db = backend
+    this.instruments = new Instrumentation()
+    this.pubsub = new PubSub({
+      retries,
+      backoff,
+      maxFailures,
+      report: (failure) => this.reportSubscriberError(failure),
+      instruments: this.instruments,
+      isolate: isolation === 'clone' ? (v) => structuredClone(v) : null
+    })
+    this.onError = onError
+    this.deadLetterSize = deadLetters
+    this.deadLetters = []
+    this.meta = new Map()
+    this.version = 0
+    this.pending = Promise.resolve()
+    this.clock = clock
+    this.sweepInterval = sweepInterval
+    this.expiring = new Set()
+    this.sweeper = null
+    this.indexes = new Map()
+    this.validator = validator
+    this.schemas = new Map()
+    this.isolation = isolation
+    this.onMutation = typeof detectMutations === 'function' ? detectMutations : detectMutations ? (e) => process.emitWarning(e) : null
+    this.watched = new Map()
+    this.readers = new Set()
+    this.replication = null
+    this.follower = null
+    this.primary = null
+    this.readOnly = false
+    this.derived = new Map()
+    this.dirty = new Set()
+    this.recomputing = null
+    this.middlewares = []
+    this.rules = new Map()
+    if (typeof backend.expiries === 'function') {
+      for (const [k, expires] of backend.expiries()) {
+        this.meta.set(k, { version: ++this.version, expires })
+        this.expiring.add(k)
+      }
+      this.schedule()
+    }
+  }
+
+  /**
+   * A static Store builder
+   *
+   * @param {object} [options] the Store options, see {@link Store}
+   * @returns {Store} a new Store
+   */
+  static build (options) {
+    return new Store(options)
+  }
+
+  /**
+   * Opens a durable Store, replaying the snapshot and the journal found in a directory.
+   *
+   * Every mutation is then appended to the journal, see {@link JournalBackend}, whose failing compactions are
+   * reported by a `compactError` event of the Store.
+   *
+   * @param {string} path The directory holding the journal and snapshot files, created if missing
+   * @param {object} [options] the Store options, also given to the {@link JournalBackend}
+   * @returns {Promise<Store>} Resolves with the Store when the replay is complete
+   */
+  static async open (path, options = {}) {
+    const backend = await JournalBackend.open(path, options)
+    const store = new Store({ ...options, backend })
+    /**
+     * The compaction of the journal of a Store opened by {@link Store.open} failed, its records stay in the journal
+     *
+     * @event Store#compactError
+     * @type {StoreError}
+     */
+    backend.on('compactError', e => { if (!store.emit('compactError', e)) process.emitWarning(e) })
+    return store
+  }
+
+  /**
+   * Closes the backend, if it needs to be
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async close () {
+    if (this.follower) this.follower.close()
+    if (this.replication) this.replication.links.forEach(link => link.close())
+    if (this.sweeper) {
+      clearInterval(this.sweeper)
+      this.sweeper = null
+    }
+    if (typeof this.db.close === 'function') await this.db.close()
+  }
+
+  /**
+   * Adds a middleware running hooks before and after the `has`, `get`, `getWithMeta`, `set`, `del`, `find`, `findBy`,
+   * `findRange`, `sub` and `import` methods, also when they are called by a {@link Namespace} or an {@link Access}.
+   *
+   * A hook is given the context of the call: the name of the method `op`, its arguments by name (`k`, `v`, `ttl`, `src`,
+   * `q`, `f`, `options`, `name`, `value`, `range`, `cb`, `now`, `stream`, `mode`, `filter`, `publish`) and, after the call,
+   * its `result`. Reads are given the `src` of the caller too, the source of an {@link Access}. Hooks can change the arguments before the call
+   * and the result after it, `set` and `del` hooks can set `publish` to `false` to write without publishing.
+   * A hook throwing stops the call: a StoreError is thrown as is, any other error is the cause of a StoreError.
+   *
+   * The `before` hooks run in the order the middlewares were added, and the `after` hooks in the reverse order.
+   * Transactions and {@link Store#compareAndSet} do not run the hooks.
+   *
+   * @param {Object<string, {before: function(ctx: object): Promise<void>, after: function(ctx: object): Promise<void>}>} middleware
+   *  The hooks of each method
+   * @returns {Store} The Store, to chain calls
+   *
+   * @example
+   * store.use({
+   *   set: {
+   *     before: async (ctx) => { ctx.k = ctx.k.toLowerCase() },
+   *     after: async ({ k, src }) => audit.log('set', k, src)
+   *   },
+   *   get: {
+   *     after: async (ctx) => { ctx.result = ctx.result ?? null }
+   *   }
+   * })
+   */
+  use (middleware) {
+    for (const [op, hooks] of Object.entries(middleware)) {
+      if (!INTERCEPTED.has(op)) throw new InvalidArgumentError('store.error.middleware.unknown.op', op)
+      for (const [name, hook] of Object.entries(hooks)) {
+        if ((name !== 'before' && name !== 'after') || typeof hook !== 'function') throw new InvalidArgumentError('store.error.middleware.invalid.hook', op, name)
+      }
+    }
+    this.middlewares.push(middleware)
+    return this
+  }
+
+  /**
+   * Runs a method between the hooks of the middlewares
+   *
+   * @private
+   * @param {string} op The name of the method
+   * @param {object} args The arguments of the method by name
+   * @param {function(ctx: object): Promise<any>} run Runs the method with the arguments of the context
+   * @returns {Promise<any>} Resolves with the result given by the hooks
+   */
+  async intercept (op, args, run) {
+    const hooks = this.middlewares.filter(m => m[op]).map(m => m[op])
+    if (hooks.length === 0) return await run(args)
+    const ctx = { op, ...args }
+    const hook = async (fn) => {
+      try {
+        await fn(ctx)
+      } catch (e) {
+        throw e instanceof StoreError ? e : new StoreError('store.error.middleware.failed', op, ctx.k).causedBy(e)
+      }
+    }
+    for (const { before } of hooks) if (before) await hook(before)
+    ctx.result = await run(ctx)
+    for (const { after } of hooks.reverse()) if (after) await hook(after)
+    return ctx.result
+  }
+
+  /**
+   * Checks presence of one entry in the key-value store
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read
+   * @param {string} [options.src] the source reading the entry, given to the middlewares
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k, { src } = {}) {
+    return await this.instruments.trace('has', { k, src }, () => this.intercept('has', { k, src }, ({ k }) => this.present(k)))
+  }
+
+  /**
+   * Checks presence of one entry in the backend, without running the middlewares
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async present (k) {
+    if (await this.expired(k)) return false
+    return await this.db.has(k)
+  }
+
+  /**
+   * Gets one entry in the key-value store
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read
+   * @param {string} [options.src] the source reading the entry, given to the middlewares
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k, { src } = {}) {
+    return await this.instruments.trace('get', { k, src }, () => this.intercept('get', { k, src }, ({ k }) => this.read(k)))
+  }
+
+  /**
+   * Reads one entry in the backend, without running the middlewares
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async read (k) {
+    if (await this.expired(k)) return undefined
+    const v = await this.db.get(k)
+    this.verify(k, v)
+    return this.outbound(v)
+  }
+
+  /**
+   * Isolates a value before it is stored, depending on the isolation mode
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The value given by the caller
+   * @returns {any} The value to store
+   * @throws {InvalidArgumentError} If the value cannot be cloned, like a function
+   */
+  inbound (k, v) {
+    if (this.isolation === 'clone') {
+      try {
+        return structuredClone(v)
+      } catch (e) {
+        throw new InvalidArgumentError('store.error.isolation.unclonable', k).causedBy(e)
+      }
+    }
+    if (this.isolation === 'freeze') return deepFreeze(v)
+    return v
+  }
+
+  /**
+   * Keeps a copy of a stored value to detect its mutations, when they are detected
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The stored value, undefined when the entry is removed
+   */
+  remember (k, v) {
+    if (!this.onMutation) return
+    this.watched.delete(k)
+    try {
+      if (typeof v !== 'undefined') this.watched.set(k, structuredClone(v))
+    } catch (e) {
+      // values that cannot be cloned are not watched
+    }
+  }
+
+  /**
+   * Isolates a stored value before it is given to a caller, depending on the isolation mode
+   *
+   * @private
+   * @param {any} v The stored value
+   * @returns {any} The value to give
+   */
+  outbound (v) {
+    return this.isolation === 'clone' ? structuredClone(v) : v
+  }
+
+  /**
+   * Reports a stored value mutated since it was set, when mutations are detected
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The stored value
+   */
+  verify (k, v) {
+    if (!this.onMutation || !this.watched.has(k)) return
+    const snapshot = this.watched.get(k)
+    if (isDeepStrictEqual(snapshot, v)) return
+    // reports a mutation once
+    this.remember(k, v)
+    this.onMutation(new StoreError('store.error.value.mutated', k, snapshot, v))
+  }
+
+  /**
+   * Gets one entry in the key-value store with its metadata.
+   *
+   * Every write gives the entry a new version, greater than any version given before by the Store.
+   * Versions are kept in memory: entries found in a persistent backend get one on their first access.
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the read
+   * @param {string} [options.src] the source reading the entry, given to the middlewares
+   * @returns {Promise<{value: any, version: number}|undefined>} Resolves with the value and its version, undefined if the entry does not exist
+   */
+  async getWithMeta (k, { src } = {}) {
+    return await this.intercept('getWithMeta', { k, src }, async ({ k }) => {
+      if (!(await this.present(k))) return undefined
+      const value = await this.read(k)
+      const { version } = await this.metaOf(k)
+      return { value, version }
+    })
+  }
+
+  /**
+   * Gets the metadata of an entry, giving a version to an entry that has none
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Promise<{version: number}|undefined>} Resolves with the metadata, undefined if the entry does not exist
+   */
+  async metaOf (k) {
+    let m = this.meta.get(k)
+    if (!m && await this.db.has(k)) {
+      m = this.meta.get(k)
+      if (!m) this.meta.set(k, m = { version: ++this.version })
+    }
+    return m
+  }
+
+  /**
+   * Sets one entry in the key-value store.
+   *
+   * Also publish with {@link PubSubType.set} type to subscribers.
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry
+   * @param {number} [options.ttl] the time to live of the entry in milliseconds, a finite number 0 or more, it never expires if omitted
+   * @param {string} [options.src] the source making the change, given to subscribers
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, { ttl, src } = {}) {
+    await this.instruments.trace('set', { k, src }, () => this.intercept('set', { k, v, ttl, src, publish: true }, async ({ k, v, ttl, src, publish }) => {
+      await this.write([{ op: 'set', k, v, ttl, src, silent: !publish }])
+    }))
+  }
+
+  /**
+   * Sets the time to live of an existing entry, without changing its value.
+   *
+   * @param {string} k The key of the entry
+   * @param {number} ms The time to live of the entry in milliseconds, a finite number 0 or more
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async expire (k, ms) {
+    if (!isDuration(ms)) throw new InvalidArgumentError('store.error.invalid.ttl', k, ms)
+    if (this.readOnly) throw new ForbiddenError('store.error.replica.read.only', k)
+    if (this.derived.has(k)) throw new ForbiddenError('store.error.derived.read.only', k)
+    if (!(await this.present(k))) throw new NotFoundError('store.error.expire.key.not.exists', k)
+    await this.queue(async () => {
+      const m = await this.metaOf(k)
+      if (!m) throw new NotFoundError('store.error.expire.key.not.exists', k)
+      const expires = this.clock() + ms
+      if (typeof this.db.expire === 'function') await this.db.expire(k, expires)
+      m.expires = expires
+      this.expiring.add(k)
+      this.schedule()
+    })
+    await this.expired(k)
+  }
+
+  /**
+   * Gets the remaining time to live of an entry
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<number|undefined>} Resolves with the remaining time in milliseconds, `Infinity` if the entry never expires, undefined if it does not exist
+   */
+  async ttl (k) {
+    if (!(await this.present(k))) return undefined
+    const m = this.meta.get(k)
+    return m && typeof m.expires !== 'undefined' ? m.expires - this.clock() : Infinity
+  }
+
+  /**
+   * Checks if an entry has expired, and expires it if so
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with true if the entry has expired
+   */
+  async expired (k) {
+    const m = this.meta.get(k)
+    if (!m || !(m.expires <= this.clock())) return false
+    await this.write([{ op: 'expire', k }])
+    return true
+  }
+
+  /**
+   * Removes every expired entry and publishes them with {@link PubSubType.expire} type.
+   *
+   * Runs periodically while some entries have a time to live, see the `sweepInterval` option of {@link Store}.
+   *
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async sweep () {
+    const now = this.clock()
+    const ops = []
+    for (const k of this.expiring) {
+      if (this.meta.get(k).expires <= now) ops.push({ op: 'expire', k })
+    }
+    await this.write(ops)
+  }
+
+  /**
+   * Starts the periodic sweep when some entries have a time to live, stops it otherwise
+   *
+   * @private
+   */
+  schedule () {
+    if (this.expiring.size > 0 && this.sweeper === null && this.sweepInterval > 0) {
+      this.sweeper = setInterval(() => { this.sweep().catch(error => this.reportSweepError(error)) }, this.sweepInterval)
+      this.sweeper.unref()
+    } else if (this.expiring.size === 0 && this.sweeper !== null) {
+      clearInterval(this.sweeper)
+      this.sweeper = null
+    }
+  }
+
+  /**
+   * Reports the failure of a periodic sweep, the expired entries being removed by the next one
+   *
+   * @private
+   * @param {Error} error The error of the sweep
+   */
+  reportSweepError (error) {
+    const e = new StoreError('store.error.sweep.failed').causedBy(error)
+    /**
+     * The periodic removal of the expired entries failed
+     *
+     * @event Store#sweepError
+     * @type {StoreError}
+     */
+    if (!this.emit('sweepError', e)) process.emitWarning(e)
+  }
+
+  /**
+   * Deletes one entry in the key-value store.
+   *
+   * Also unsubscribe any subscriber and publish the entry with {@link  PubSubType.del} type.
+   *
+   * @param {string} k The key of the entry
+   * @param {object} [options] the options of the deletion
+   * @param {string} [options.src] the source making the change, given to subscribers
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async del (k, { src } = {}) {
+    await this.instruments.trace('del', { k, src }, () => this.intercept('del', { k, src, publish: true }, async ({ k, src, publish }) => {
+      await this.expired(k)
+      await this.write([{ op: 'del', k, src, silent: !publish }])
+    }))
+  }
+
+  /**
+   * Sets one entry in the key-value store if its version is the expected one.
+   *
+   * Also publish with {@link PubSubType.set} type to subscribers.
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version of the entry, `0` to only create a missing entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry, see {@link Store#set}
+   * @returns {Promise<number>} Resolves with the new version when the operation is complete, rejects with a {@link ConflictError} if the version is not the expected one
+   *
+   * @example
+   * const { value, version } = await store.getWithMeta('counter')
+   * await store.compareAndSet('counter', version, value + 1)
+   */
+  async compareAndSet (k, version, v, { ttl, src } = {}) {
+    await this.expired(k)
+    const [{ version: next }] = await this.write([{ op: 'set', k, v, version, ttl, src }])
+    return next
+  }
+
+  /**
+   * Deletes one entry in the key-value store if its version is the expected one.
+   *
+   * Also unsubscribe any subscriber and publish the entry with {@link  PubSubType.del} type.
+   *
+   * @param {string} k The key of the entry
+   * @param {number} version The expected version of the entry
+   * @param {object} [options] the options of the deletion, see {@link Store#del}
+   * @returns {Promise<void>} Resolves when the operation is complete, rejects with a {@link ConflictError} if the version is not the expected one
+   */
+  async compareAndDelete (k, version, { src } = {}) {
+    await this.expired(k)
+    await this.write([{ op: 'del', k, version, src }])
+  }
+
+  /**
+   * Queues a task after every previously queued one
+   *
+   * @private
+   * @param {function(): Promise<any>} task The task
+   * @returns {Promise<any>} Resolves with the result of the task when it is complete
+   */
+  queue (task) {
+    const p = this.pending.then(task)
+    this.pending = p.catch(() => {})
+    return p
+  }
+
+  /**
+   * Applies a list of `set` and `del` operations to the backend, atomically when it supports batches,
+   * then publishes them to subscribers.
+   *
+   * Publishes are queued while the operations are applied, so that subscribers receive them in the order of the writes.
+   *
+   * Operations are applied one list after the other, and fail altogether if a value to `set` does not match its schema,
+   * if a key to `del` is missing, if an expected version is not the actual one, or if an unique index would be broken.
+   * An `expire` is a `del` skipped if the entry has not expired.
+   * An operation replicated from a primary has a sequence, that is the version it gives to its entry.
+   * Only the operations of a derivation can write a derived key, and a silent operation is not published.
+   *
+   * @private
+   * @param {Array<{op: string, k: string, v: any, version: number, ttl: number, src: string, seq: number, derived: boolean, silent: boolean}>} ops The operations, with an optional expected version, time to live, source, sequence, derivation flag and silent flag
+   * @returns {Promise<Array<{op: string, k: string, v: any, version: number}>>} Resolves with the applied operations, their previous values and new versions
+   */
+  async write (ops) {
+    if (ops.length === 0) return []
+    if (this.readOnly && ops.some(({ seq }) => typeof seq === 'undefined')) throw new ForbiddenError('store.error.replica.read.only', ops[0].k)
+    let now
+    let published
+    const applied = await this.queue(async () => {
+      const applied = []
+      now = this.clock()
+      for (const { op, k, v, version, ttl, src, seq, derived, silent } of ops) {
+        if (this.derived.has(k) && !derived && typeof seq === 'undefined' && op !== 'expire') throw new ForbiddenError('store.error.derived.read.only', k)
+        if (op === 'expire' && typeof seq === 'undefined') {
+          const m = this.meta.get(k)
+          if (m && m.expires <= now) applied.push({ op, k, exists: true, previous: this.outbound(await this.db.get(k)) })
+          continue
+        }
+        if (op === 'set') this.check(k, v)
+        if (op === 'set' && typeof ttl !== 'undefined' && !isDuration(ttl)) throw new InvalidArgumentError('store.error.invalid.ttl', k, ttl)
+        const exists = await this.db.has(k)
+        if (op !== 'set' && !exists) throw new NotFoundError('store.error.delete.key.not.exists', k)
+        if (typeof version !== 'undefined') {
+          const actual = exists ? (await this.metaOf(k)).version : 0
+          if (actual !== version) throw new ConflictError(k, version, actual)
+        }
+        const previous = exists ? await this.db.get(k) : undefined
+        this.verify(k, previous)
+        const expires = op === 'set' && typeof ttl !== 'undefined' ? now + ttl : undefined
+        applied.push({ op, k, v: op === 'set' ? this.inbound(k, v) : undefined, ttl, expires, src, seq, silent, exists, previous: this.outbound(previous) })
+      }
+      if (applied.length === 0) return applied
+
+      for (const snapshot of this.readers) {
+        for (const { k, exists, previous } of applied) {
+          const m = this.meta.get(k)
+          snapshot.preserve(k, { exists, v: previous, expires: m && m.expires })
+        }
+      }
+
+      const indexed = new Map()
+      if (this.indexes.size > 0) {
+        const sets = applied.filter(({ op }) => op === 'set')
+        const changed = new Set(applied.map(({ k }) => k))
+        this.indexes.forEach(index => indexed.set(index, index.check(sets, changed)))
+      }
+
+      if (applied.length === 1) {
+        const [{ op, k, v, expires }] = applied
+        if (op === 'set') await this.db.set(k, v, expires)
+        else await this.db.delete(k)
+      } else if (typeof this.db.batch === 'function') {
+        await this.db.batch(applied.map(({ op, k, v, expires }) => op === 'set' ? { op, k, v, expires } : { op: 'del', k }))
+      } else {
+        const done = []
+        try {
+          for (const a of applied) {
+            if (a.op === 'set') await this.db.set(a.k, a.v, a.expires)
+            else await this.db.delete(a.k)
+            done.push(a)
+          }
+        } catch (e) {
+          for (const { k, exists, previous } of done.reverse()) {
+            const m = this.meta.get(k)
+            if (exists) await this.db.set(k, previous, m && m.expires)
+            else await this.db.delete(k)
+          }
+          throw e
+        }
+      }
+
+      for (const a of applied) {
+        this.indexes.forEach(index => a.op === 'set' ? index.add(a.k, a.v, indexed.get(index).get(a.k)) : index.remove(a.k))
+        this.remember(a.k, a.v)
+        a.version = typeof a.seq === 'undefined' ? ++this.version : a.seq
+        this.version = Math.max(this.version, a.version)
+        if (a.op === 'set' && typeof a.expires !== 'undefined') {
+          this.meta.set(a.k, { version: a.version, expires: a.expires })
+          this.expiring.add(a.k)
+        } else {
+          if (a.op === 'set') this.meta.set(a.k, { version: a.version })
+          else this.meta.delete(a.k)
+          this.expiring.delete(a.k)
+        }
+      }
+      this.schedule()
+      published = this.publish(applied, now)
+      if (this.replication) this.replication.append(applied)
+      if (this.derived.size > 0) this.invalidate(applied)
+      return applied
+    })
+
+    await published
+    return applied
+  }
+
+  /**
+   * Queues the publishes of applied operations, removing the subscriptions on the keys deleted
+   *
+   * @private
+   * @param {Array<{op: string, k: string, v: any, version: number}>} applied The applied operations
+   * @param {number} now The time of the operations
+   * @returns {Promise<void>} Resolves when the publishes are delivered
+   */
+  publish (applied, now) {
+    const published = []
+    for (const { op, k, v, src, silent, exists, previous, version } of applied) {
+      if (silent) {
+        if (op !== 'set') this.pubsub.unsubKey(k)
+      } else if (op === 'set') {
+        const type = exists ? PubSubType.update : PubSubType.create
+        // the PubSub copies the value for every subscription when values are isolated
+        published.push(this.pubsub.pub(k, v, PubSubType.set, new ChangeEvent({ key: k, value: v, previous, type, src, timestamp: now, version })))
+      } else {
+        const type = op === 'del' ? PubSubType.del : PubSubType.expire
+        published.push(this.pubsub.pub(k, previous, type, new ChangeEvent({ key: k, value: undefined, previous, type, src, timestamp: now, version })))
+        this.pubsub.unsubKey(k)
+      }
+    }
+    return Promise.all(published)
+  }
+
+  /**
+   * Waits for every write queued so far to be applied, for the derived keys to be recomputed, and for every publish
+   * to be delivered, delivering at once the publishes held by a throttle or a debounce.
+   *
+   * @returns {Promise<void>} Resolves when every delivery queue is empty
+   *
+   * @example
+   * await store.subGlobal('ui', render, { debounce: 50 })
+   * await store.set('foo', 'bar')
+   * await store.flush() // render was called
+   */
+  async flush () {
+    await this.queue(() => {})
+    if (typeof this.db.flush === 'function') await this.db.flush()
+    while (this.recomputing) await this.recomputing
+    await this.pubsub.flush()
+  }
+
+  /**
+   * Gives the metrics of the Store: its entries, its subscriptions, and the count, errors and latency of its operations.
+   *
+   * The `has`, `get`, `set`, `del`, `find` and `sub` operations, the publishes (`pub`) and the subscriber callback calls
+   * (`deliver`) are measured, and traced on the `node:diagnostics_channel` TracingChannel named `wool-store:<operation>`.
+   * Their latencies are in milliseconds, and the latency of `find` runs until its iteration is done.
+   *
+   * @returns {Promise<{keys: number, expiring: number, version: number, subscriptions: object, operations: object}>}
+   *  Resolves with the number of entries and of entries with a time to live, the version of the Store,
+   *  the subscriptions as given by {@link PubSub#stats}, and the metrics of every operation run
+   *
+   * @example
+   * const { keys, subscriptions, operations } = await store.stats()
+   * console.log(keys, subscriptions.keys['user:1'], operations.set.latency.p99)
+   *
+   * diagnostics_channel.tracingChannel('wool-store:set').subscribe({
+   *   start: (ctx) => { ctx.span = tracer.startSpan('store.set', { attributes: { key: ctx.k } }) },
+   *   asyncEnd: (ctx) => ctx.span.end(),
+   *   error: (ctx) => ctx.span.recordException(ctx.error)
+   * })
+   */
+  async stats () {
+    let keys = 0
+    const now = this.clock()
+    for await (const [k] of this.db.entries()) {
+      const m = this.meta.get(k)
+      if (!m || !(m.expires <= now)) keys += 1
+    }
+    return {
+      keys,
+      expiring: this.expiring.size,
+      version: this.version,
+      subscriptions: this.pubsub.stats(),
+      operations: this.instruments.toJSON()
+    }
+  }
+
+  /**
+   * Reports the failure of a subscriber callback, that never makes the write publishing the change fail.
+   *
+   * The failure is kept in the dead letters when they are kept, given to the `onError` hook,
+   * and emitted as a `subscriberError` event. It is a process warning if nothing else reports it, and so is the failure
+   * of the `onError` hook or of a `subscriberError` listener.
+   *
+   * @private
+   * @param {SubscriberFailure} failure The failure
+   * @returns {Promise<void>} Resolves when the failure is reported
+   */
+  async reportSubscriberError ({ error, src, key, event, attempts, unsubscribed }) {
+    const e = new SubscriberError(src, key, event, attempts, unsubscribed).causedBy(error)
+    if (this.deadLetterSize > 0) {
+      this.deadLetters.push(e)
+      if (this.deadLetters.length > this.deadLetterSize) this.deadLetters.shift()
+    }
+    const safely = async (report) => {
+      try {
+        await report()
+      } catch (error) {
+        process.emitWarning(new StoreError('store.error.subscriber.report.failed', src, key).causedBy(error))
+      }
+    }
+    if (this.onError) await safely(() => this.onError(e))
+    /**
+     * A subscriber callback failed
+     *
+     * @event Store#subscriberError
+     * @type {SubscriberError}
+     */
+    const heard = this.listenerCount('subscriberError') > 0
+    await safely(() => this.emit('subscriberError', e))
+    if (!this.onError && this.deadLetterSize === 0 && !heard) process.emitWarning(e)
+  }
+
+  /**
+   * Builds the event of a publish on the current value of an entry
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {PubSubType} type The type of publish
+   * @returns {Promise<ChangeEvent>} Resolves with the event
+   */
+  async event (k, v, type) {
+    const m = await this.metaOf(k)
+    return new ChangeEvent({ key: k, value: v, previous: v, type, timestamp: this.clock(), version: m && m.version })
+  }
+
+  /**
+   * Runs a function with a transaction, then commits every change it made atomically.
+   *
+   * The transaction sees its own uncommitted writes, and subscribers are only notified once it is committed.
+   * If the function throws, every change is discarded and the error is rethrown.
+   *
+   * @param {function(tx: Transaction): Promise<any>} fn The function making changes through the transaction
+   * @param {object} [options] the options of the transaction
+   * @param {string} [options.src] the source making the changes, given to subscribers
+   * @returns {Promise<any>} Resolves with the result of the function when the transaction is committed
+   *
+   * @example
+   * await store.transaction(async tx => {
+   *   const stock = await tx.get('stock')
+   *   await tx.set('stock', stock - 1)
+   *   await tx.set('order:42', { item: 'foo' })
+   * })
+   */
+  async transaction (fn, { src } = {}) {
+    const tx = new Transaction(this, { src })
+    let result
+    try {
+      result = await fn(tx)
+    } catch (e) {
+      tx.rollback()
+      throw e
+    }
+    await tx.commit()
+    return result
+  }
+
+  /**
+   * Gives a view of the Store scoped to the keys starting with a name and a separator.
+   *
+   * The namespace has the same methods as the Store for entries, queries and subscriptions,
+   * with keys relative to it, and can clear all its entries.
+   *
+   * @param {string} name The name of the namespace
+   * @param {object} [options] the namespace options
+   * @param {string} [options.separator=':'] the separator following the name in the keys
+   * @returns {Namespace} The namespace
+   *
+   * @example
+   * const carts = store.namespace('cart')
+   * await carts.set('42', { items: [] }) // sets 'cart:42'
+   * const items = carts.namespace('42').namespace('item') // keys starting with 'cart:42:item:'
+   * await carts.clear()
+   */
+  namespace (name, { separator = ':' } = {}) {
+    return new Namespace(this, name + separator, { separator })
+  }
+
+  /**
+   * Grants rights on some keys to a source, adding them to the rights it has on the same pattern.
+   * A source has no right until it is granted one, the rights granted to `*` are granted to every source.
+   *
+   * @param {string} src The source, `*` for every source
+   * @param {RegExp|string} pattern The pattern of the keys: a RegExp, a glob where `*` matches any characters and `?` any single character, or a prefix
+   * @param {string|Array<string>} rights The rights: `read` the entries, `write` them, `subscribe` to their changes
+   *
+   * @example
+   * store.allow('*', 'public:', ['read', 'subscribe'])
+   * store.allow('alice', 'user:alice:', ['read', 'write', 'subscribe'])
+   * await store.as('alice').set('user:alice:name', 'Alice')
+   * await store.as('bob').get('user:alice:name') // throws a ForbiddenError
+   */
+  allow (src, pattern, rights) {
+    rights = [].concat(rights)
+    for (const right of rights) if (!RIGHTS.has(right)) throw new InvalidArgumentError('store.error.access.invalid.right', right)
+    const { id, test } = keyPattern(pattern)
+    let rules = this.rules.get(src)
+    if (!rules) this.rules.set(src, rules = new Map())
+    const rule = rules.get(id)
+    rules.set(id, { test, rights: new Set(rule ? [...rule.rights, ...rights] : rights) })
   }
 
   /**
-   * A static Store builder
+   * Revokes the rights granted to a source on a pattern
    *
-   * @returns {Store} a new Store
+   * @param {string} src The source, `*` for every source
+   * @param {RegExp|string} pattern The pattern of the keys, as given to {@link Store#allow}
    */
-  static build () {
-    return new Store()
+  disallow (src, pattern) {
+    const rules = this.rules.get(src)
+    if (!rules) return
+    rules.delete(keyPattern(pattern).id)
+    if (rules.size === 0) this.rules.delete(src)
   }
 
   /**
-   * Checks presence of one entry in the key-value store
+   * Checks if a source has a right on a key, granted to it or to every source
    *
+   * @param {string} src The source
+   * @param {string} right The right, `read`, `write` or `subscribe`
    * @param {string} k The key of the entry
-   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   * @returns {boolean} true if the right is granted
    */
-  async has (k) {
-    return await this.db.has(k)
+  can (src, right, k) {
+    return [src, '*'].some(s => {
+      const rules = this.rules.get(s)
+      return !!rules && Array.from(rules.values()).some(({ test, rights }) => rights.has(right) && test(k))
+    })
   }
 
   /**
-   * Gets one entry in the key-value store
+   * Gives a view of the Store acting for a source, whose operations are checked against the rights of the source,
+   * see {@link Store#allow}. The Store itself is not checked.
    *
-   * @param {string} k The key of the entry
-   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   * @param {string} src The source
+   * @returns {Access} The view
+   *
+   * @example
+   * const alice = store.as('alice')
+   * await alice.subGlobal((k, v) => console.log(k, v)) // only the keys alice may subscribe to and read
+   * await alice.del('user:bob:name') // throws a ForbiddenError
    */
-  async get (k) {
-    return await this.db.get(k)
+  as (src) {
+    return new Access(this, src)
   }
 
   /**
-   * Sets one entry in the key-value store.
+   * Takes a consistent read-only view of the Store, frozen at this point in time while writes continue.
    *
-   * Also publish with {@link PubSubType.set} type to subscribers.
+   * Taking a snapshot does not copy the entries: the Store keeps the previous value of the entries it writes
+   * afterwards, until the snapshot is released.
    *
-   * @param {string} k The key of the entry
-   * @param {any} v The value of the entry
-   * @returns {Promise<void>} Resolves when the operation is complete
+   * @returns {Promise<Snapshot>} Resolves with the snapshot once pending writes are applied
+   *
+   * @example
+   * const snapshot = await store.snapshot()
+   * try {
+   *   for await (const [k, v] of snapshot.find('order:')) {
+   *     await report(k, v)
+   *   }
+   * } finally {
+   *   snapshot.release()
+   * }
    */
-  async set (k, v) {
-    await this.db.set(k, v)
-    await this.pubsub.pub(k, v, PubSubType.set)
+  async snapshot () {
+    return await this.queue(async () => {
+      const snapshot = new Snapshot(this)
+      this.readers.add(snapshot)
+      return snapshot
+    })
   }
 
   /**
-   * Deletes one entry in the key-value store.
+   * Exports the entries of the Store as NDJSON records `{"k": key, "v": value, "ttl": ms}`, the remaining time to live
+   * being only given to the entries expiring. Values are encoded by {@link encode}, keeping the types JSON loses.
    *
-   * Also unsubscribe any subscriber and publish the entry with {@link  PubSubType.del} type.
+   * The entries are read from a snapshot taken when the stream starts flowing, so that writes made meanwhile are not exported.
    *
-   * @param {string} k The key of the entry
-   * @returns {Promise<void>} Resolves when the operation is complete
+   * @param {object} [options] the options of the export
+   * @param {RegExp|string|function(k: string): boolean} [options.filter] the keys to export: a RegExp, a prefix, or a predicate on the key
+   * @returns {Readable} The stream of the NDJSON lines
+   *
+   * @example
+   * await pipeline(store.export({ filter: 'user:' }), fs.createWriteStream('users.ndjson'))
+   */
+  export ({ filter } = {}) {
+    const store = this
+    return Readable.from((async function * () {
+      const snapshot = await store.snapshot()
+      try {
+        for await (const [k, v] of snapshot.find(typeof filter === 'function' ? ([k]) => filter(k) : filter)) {
+          const { expires } = await snapshot.entry(k)
+          const record = { k, v: encode(v) }
+          if (typeof expires !== 'undefined') record.ttl = expires - snapshot.time
+          yield JSON.stringify(record) + '\n'
+        }
+      } finally {
+        snapshot.release()
+      }
+    })(), { objectMode: false })
+  }
+
+  /**
+   * Imports the NDJSON records given by {@link Store#export} atomically, the derived keys of the Store being skipped.
+   *
+   * @param {Readable} stream The stream of the NDJSON lines
+   * @param {object} [options] the options of the import
+   * @param {string} [options.mode='merge'] `merge` sets the imported entries, `replace` also deletes the entries not imported
+   * @param {RegExp|string|function(k: string): boolean} [options.filter] the keys to import, and to delete in `replace` mode:
+   *  a RegExp, a prefix, or a predicate on the key
+   * @param {boolean} [options.publish=true] publishes the changes to the subscribers
+   * @param {string} [options.src] the source making the changes, given to subscribers
+   * @returns {Promise<number>} Resolves with the number of imported entries
+   *
+   * @example
+   * await store.import(fs.createReadStream('users.ndjson'), { mode: 'replace', filter: 'user:', publish: false })
+   */
+  async import (stream, { mode = 'merge', filter, publish = true, src } = {}) {
+    return await this.intercept('import', { stream, mode, filter, publish, src }, (ctx) => this.load(ctx))
+  }
+
+  /**
+   * Imports NDJSON records, without running the middlewares
+   *
+   * @private
+   * @param {object} args The arguments of the import, see {@link Store#import}
+   * @returns {Promise<number>} Resolves with the number of imported entries
+   */
+  async load ({ stream, mode, filter, publish, src }) {
+    if (!IMPORT_MODES.has(mode)) throw new InvalidArgumentError('store.error.import.invalid.mode', mode)
+    const p = predicate(typeof filter === 'function' ? ([k]) => filter(k) : filter)
+    const accepts = (k) => p([k]) && !this.derived.has(k)
+    const ops = new Map()
+    let line = 0
+    for await (const text of createInterface({ input: stream, crlfDelay: Infinity })) {
+      line += 1
+      if (text === '') continue
+      let record
+      try {
+        record = JSON.parse(text)
+      } catch (e) {
+        throw new StoreError('store.error.import.invalid.record', line).causedBy(e)
+      }
+      if (record === null || typeof record.k !== 'string') throw new StoreError('store.error.import.invalid.record', line)
+      const { k, v, ttl } = record
+      if (!accepts(k)) continue
+      let value
+      try {
+        value = decode(v)
+      } catch (e) {
+        throw new StoreError('store.error.import.invalid.record', line).causedBy(e)
+      }
+      ops.set(k, { op: 'set', k, v: value, ttl, src, silent: !publish })
+    }
+    if (mode === 'replace') {
+      const dels = []
+      for await (const [k] of this.scan(undefined, x => x)) {
+        if (!ops.has(k) && accepts(k)) dels.push({ op: 'del', k, src, silent: !publish })
+      }
+      dels.forEach(op => ops.set(op.k, op))
+    }
+    const applied = await this.write(Array.from(ops.values()))
+    return applied.filter(({ op }) => op === 'set').length
+  }
+
+  /**
+   * Replicates the Store to a replica over a stream, see {@link Store.replicaOf}.
+   *
+   * The replica is sent the operations it missed since its last acknowledged sequence, or the whole Store when they are
+   * no longer logged, then every operation as it is applied. Sequences are the versions of the entries.
+   * Times to live are not replicated: the replica deletes an entry when the primary expires it.
+   *
+   * @param {Duplex|MessagePort} stream A Node duplex stream, like a TCP socket, or a `worker_threads` MessagePort
+   * @param {object} [options] the options of the replication
+   * @param {number} [options.backlog=1000] the number of last operations logged for the replicas resuming, set by the first replication
+   * @returns {Replication} The replication, that can be closed
+   *
+   * @example
+   * net.createServer(socket => store.replicate(socket)).listen(7070)
+   */
+  replicate (stream, { backlog = 1000 } = {}) {
+    if (this.replication === null) this.replication = new ReplicationLog(this.version, backlog)
+    return new Replication(this, stream)
+  }
+
+  /**
+   * Makes the Store a read-only replica following a primary over a stream, see {@link Store#replicate}.
+   *
+   * Following a primary again after a disconnection resumes from the last sequence the replica applied.
+   * The operations of the primary fire the subscriptions of the replica, any other write fails with a {@link ForbiddenError}.
+   *
+   * @param {Duplex|MessagePort} stream A Node duplex stream, like a TCP socket, or a `worker_threads` MessagePort
+   * @returns {Promise<Follower>} Resolves with the replication once the replica is up to date
+   *
+   * @example
+   * const replica = await Store.replicaOf(net.connect(7070))
+   * replica.follower.on('close', () => replica.follow(net.connect(7070)))
+   */
+  async follow (stream) {
+    this.readOnly = true
+    if (this.follower) this.follower.close()
+    const follower = this.follower = new Follower(this, stream)
+    await follower.ready
+    return follower
+  }
+
+  /**
+   * Builds a read-only replica following a primary over a stream, see {@link Store#follow}
+   *
+   * @param {Duplex|MessagePort} stream A Node duplex stream, like a TCP socket, or a `worker_threads` MessagePort
+   * @param {object} [options] the Store options, see {@link Store}
+   * @returns {Promise<Store>} Resolves with the replica once it is up to date
    */
-  async del (k) {
-    if (!(await this.has(k))) throw new StoreError('store.error.delete.key.not.exists', k)
-    const v = await this.get(k)
-    await this.db.delete(k)
-    await this.pubsub.pub(k, v, PubSubType.del)
-    await this.pubsub.unsub(k, v)
+  static async replicaOf (stream, options) {
+    const store = new Store(options)
+    await store.follow(stream)
+    return store
   }
 
   /**
    * Find entries in the key-value store matching a query.
    *
    * Returns an async iterable of [key, value] pairs, where each value is mapped by the provided function
-   * and filtered by the query predicate or regular expression.
+   * and filtered by the query predicate, regular expression, key prefix or query object.
+   * The pairs can then be sorted, paged and projected.
    *
-   * @param {(function([string, *]): boolean|RegExp)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, or a RegExp to match keys. If omitted, all entries are included.
-   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function.
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object, see {@link compile}. If omitted, all entries are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the result
+   * @param {object} [options.sort] - Dotted paths in the values, or `$key`, with `1` for ascending order and `-1` for descending order
+   * @param {number} [options.skip=0] - The number of pairs to skip
+   * @param {number} [options.limit=Infinity] - The maximum number of pairs, `0` meaning no limit
+   * @param {object} [options.projection] - Dotted paths in the values with `1` to only keep them, or with `0` to remove them
+   * @param {string} [options.src] - The source reading the entries, given to the middlewares
    * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
    *
    * @example
@@ -97,47 +1175,446 @@ export default class Store {
    * for await (const [k, v] of store.find(/^foo/, v => v.toUpperCase())) {
    *   console.log(k, v);
    * }
+   *
+   * @example
+   * // Find the 10 oldest adult users, only with their name
+   * const q = { $key: { $regex: '^user:' }, 'profile.age': { $gte: 18 } }
+   * for await (const [k, v] of store.find(q, { sort: { 'profile.age': -1 }, limit: 10, projection: { name: 1 } })) {
+   *   console.log(k, v);
+   * }
    */
-  find (q = undefined, f = x => x) {
-    if (typeof q === 'undefined') {
-      q = () => true
-    } else if (q instanceof RegExp) {
-      const test = RegExp.prototype.test.bind(q)
-      q = ([k]) => test(k)
+  find (q = undefined, f = x => x, options = undefined) {
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
     }
+    const query = ({ q, f, options }) => {
+      const entries = this.scan(q, f)
+      return options ? arrange(entries, options) : entries
+    }
+    const { src } = options || {}
+    return this.instruments.traceIterable('find', { q, options }, () => this.iterate('find', { q, f, options, src }, query))
+  }
 
-    const entries = this.db.entries()
+  /**
+   * Runs a query, between the hooks of the middlewares when some are added for it
+   *
+   * @private
+   * @param {string} op The name of the method
+   * @param {object} args The arguments of the method by name
+   * @param {function(args: object): AsyncIterable.<[string, *]>} query Runs the query with the arguments of the context
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, mappedValue] pairs, as given by the middlewares
+   */
+  iterate (op, args, query) {
+    return this.middlewares.some(m => m[op]) ? this.findThrough(op, args, query) : query(args)
+  }
 
-    return {
-      [Symbol.asyncIterator] () { return this },
-      next () {
-        let result
-        while (!(result = entries.next()).done) {
-          const [k, v] = result.value
-          const kv = [k, f(v)]
-          if (q(kv)) {
-            return { value: kv, done: false }
-          }
+  /**
+   * Runs the middlewares around a query, when the iteration starts
+   *
+   * @private
+   * @param {string} op The name of the method
+   * @param {object} args The arguments of the method by name
+   * @param {function(args: object): AsyncIterable.<[string, *]>} query Runs the query
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, mappedValue] pairs, as given by the middlewares
+   */
+  async * findThrough (op, args, query) {
+    yield * await this.intercept(op, args, query)
+  }
+
+  /**
+   * Scans the entries of the backend, skipping and then expiring the expired ones
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Store#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f) {
+    const p = predicate(q)
+    const expired = []
+    try {
+      for await (const [k, v] of this.db.entries(q)) {
+        const m = this.meta.get(k)
+        if (m && m.expires <= this.clock()) {
+          expired.push({ op: 'expire', k })
+          continue
         }
-        return { value: undefined, done: true }
+        this.verify(k, v)
+        const kv = [k, f(this.outbound(v))]
+        if (p(kv)) yield kv
       }
+    } finally {
+      await this.write(expired)
     }
   }
 
   /**
    * Finds the first entry in key-value store matching a query and returns its value
    *
-   * @param {(function([string, *]): boolean|RegExp)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, or a RegExp to match keys. If omitted, all entries are included.
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object, see {@link compile}. If omitted, all entries are included.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
    * @returns {Promise<any|undefined>} The value if found, undefined otherwise
    */
-  async findOne (q = undefined) {
-    const { value, done } = await this.find(q).next()
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
     if (!done) {
       const [, v] = value
       return v
     } else return undefined
   }
 
+  /**
+   * Derives a key from other entries: its value is computed by a function of their values,
+   * and computed again when they change. The derived key cannot be written, except by its function,
+   * and publishes like any other key. A function returning undefined deletes the derived key.
+   *
+   * Changes made in the same tick are recomputed once, derived keys depending on other derived keys
+   * being recomputed after them. A derivation making a key depend on itself is refused.
+   *
+   * @param {string} k The derived key
+   * @param {Array<string>|RegExp|string} deps The keys the function is given the values of, or a key pattern (a RegExp, a glob
+   *  or a prefix) the function is given the [key, value] pairs of the matching entries
+   * @param {function(...any): Promise<any>} fn Computes the value of the derived key
+   * @param {object} [options] the options of the derivation
+   * @param {string} [options.src] the source given to the subscribers of the derived key
+   * @returns {Promise<void>} Resolves when the derived key is computed, rejects with an {@link InvalidArgumentError} if it would depend on itself
+   *
+   * @example
+   * await store.derive('cart:total', ['cart:items', 'pricing'], async (items = [], pricing) => {
+   *   return items.reduce((total, { sku, qty }) => total + qty * pricing[sku], 0)
+   * })
+   * await store.derive('users:count', 'user:*', async (entries) => entries.length)
+   */
+  async derive (k, deps, fn, options) {
+    const derivation = new Derivation(k, deps, fn, options)
+    const previous = this.derived.get(k)
+    this.derived.set(k, derivation)
+    const cycle = this.cycle(k)
+    if (cycle) {
+      if (previous) this.derived.set(k, previous)
+      else this.derived.delete(k)
+      throw new InvalidArgumentError('store.error.derived.cycle', cycle.join(' -> '))
+    }
+    await this.recompute(k)
+  }
+
+  /**
+   * Stops deriving a key, that becomes a regular entry
+   *
+   * @param {string} k The derived key
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async underive (k) {
+    if (!this.derived.has(k)) throw new NotFoundError('store.error.derived.not.exists', k)
+    this.derived.delete(k)
+    this.dirty.delete(k)
+  }
+
+  /**
+   * Finds a path of derived keys leading from a derived key back to itself
+   *
+   * @private
+   * @param {string} k The derived key
+   * @returns {Array<string>|undefined} The keys of the cycle, undefined if there is none
+   */
+  cycle (k) {
+    const visited = new Set()
+    const visit = (key, path) => {
+      if (key === k && path.length > 0) return [...path, key]
+      if (visited.has(key)) return undefined
+      visited.add(key)
+      for (const dep of this.derived.get(key).upstream(this.derived)) {
+        const cycle = visit(dep, [...path, key])
+        if (cycle) return cycle
+      }
+      return undefined
+    }
+    return visit(k, [])
+  }
+
+  /**
+   * Marks the derived keys depending on applied operations, and schedules their recomputation at the next tick
+   *
+   * @private
+   * @param {Array<{k: string}>} applied The applied operations
+   */
+  invalidate (applied) {
+    for (const { k } of applied) {
+      for (const derivation of this.derived.values()) {
+        if (derivation.dependsOn(k)) this.dirty.add(derivation.k)
+      }
+    }
+    if (this.dirty.size > 0 && !this.recomputing) {
+      this.recomputing = new Promise(resolve => setImmediate(resolve)).then(() => this.recomputeDirty())
+    }
+  }
+
+  /**
+   * Recomputes the marked derived keys, each one after the derived keys it depends on
+   *
+   * @private
+   * @returns {Promise<void>} Resolves when no derived key is marked
+   */
+  async recomputeDirty () {
+    try {
+      while (this.dirty.size > 0) {
+        const upstream = (k, seen = new Set()) => this.derived.get(k).upstream(this.derived).some(dep => {
+          if (seen.has(dep)) return false
+          seen.add(dep)
+          return this.dirty.has(dep) || upstream(dep, seen)
+        })
+        const dirty = Array.from(this.dirty)
+        const k = dirty.find(k => !upstream(k)) || dirty[0]
+        this.dirty.delete(k)
+        await this.recompute(k)
+      }
+    } finally {
+      this.recomputing = null
+    }
+  }
+
+  /**
+   * Computes a derived key and writes it when its value changed, reporting the failures
+   *
+   * @private
+   * @param {string} k The derived key
+   * @returns {Promise<void>} Resolves when the derived key is written
+   */
+  async recompute (k) {
+    const derivation = this.derived.get(k)
+    if (!derivation) return
+    try {
+      const v = await derivation.compute(this)
+      const { src } = derivation
+      const exists = await this.present(k)
+      if (typeof v === 'undefined') {
+        if (exists) await this.write([{ op: 'del', k, src, derived: true }])
+      } else if (!exists || !isDeepStrictEqual(await this.read(k), v)) {
+        await this.write([{ op: 'set', k, v, src, derived: true }])
+      }
+    } catch (error) {
+      const e = new StoreError('store.error.derived.failed', k).causedBy(error)
+      /**
+       * The function of a derived key failed, the derived key keeps its previous value
+       *
+       * @event Store#derivedError
+       * @type {StoreError}
+       */
+      if (!this.emit('derivedError', e)) process.emitWarning(e)
+    }
+  }
+
+  /**
+   * Creates a secondary index on the entries, maintained on every write and used by {@link Store#findBy} and {@link Store#findRange}.
+   *
+   * Existing entries are indexed on creation. With the `unique` option, a write giving two entries the same indexed value
+   * is rejected with an {@link UniqueViolationError}, and changes nothing.
+   *
+   * @param {string} name The name of the index
+   * @param {function(v: any): any} fn The function computing the indexed value of an entry value, undefined to not index the entry
+   * @param {object} [options] the index options
+   * @param {boolean} [options.unique=false] forbids two entries with the same indexed value
+   * @returns {Promise<void>} Resolves when the existing entries are indexed
+   *
+   * @example
+   * await store.createIndex('email', v => v.email, { unique: true })
+   * const user = await store.findOneBy('email', 'foo@bar.com')
+   */
+  async createIndex (name, fn, options) {
+    if (this.indexes.has(name)) throw new InvalidArgumentError('store.error.index.already.exists', name)
+    const index = new StoreIndex(name, fn, options)
+    await this.queue(async () => {
+      const sets = []
+      for await (const [k, v] of this.db.entries()) sets.push({ k, v })
+      index.build(index.check(sets, new Set()))
+      this.indexes.set(name, index)
+    })
+  }
+
+  /**
+   * Drops a secondary index
+   *
+   * @param {string} name The name of the index
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async dropIndex (name) {
+    this.indexes.delete(name)
+  }
+
+  /**
+   * Defines the schema the values of some keys must match, replacing the one previously defined with the same pattern.
+   *
+   * A value set to a key matching several patterns must match every schema.
+   * Entries already in the Store are not checked, see {@link Store#validateAll}.
+   *
+   * @param {RegExp|string} pattern The pattern of the keys: a RegExp, a glob where `*` matches any characters and `?` any single character, or a prefix
+   * @param {any} schema The schema, a JSON Schema for the default validator
+   * @param {object} [options] the options of the schema
+   * @param {Validator} [options.validator] the validator of the schema, defaults to the validator of the Store
+   *
+   * @example
+   * store.defineSchema('user:*', {
+   *   type: 'object',
+   *   required: ['name'],
+   *   properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } }
+   * })
+   * await store.set('user:42', { age: -1 }) // throws a ValidationError
+   */
+  defineSchema (pattern, schema, { validator = this.validator } = {}) {
+    const { id, test } = keyPattern(pattern)
+    this.schemas.set(id, { test, schema, validator })
+  }
+
+  /**
+   * Removes the schema defined with a pattern
+   *
+   * @param {RegExp|string} pattern The pattern of the keys, as given to {@link Store#defineSchema}
+   */
+  dropSchema (pattern) {
+    this.schemas.delete(keyPattern(pattern).id)
+  }
+
+  /**
+   * Validates a value against the schemas of its key
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @returns {Array<{path: string, message: string}>} Every failing path of the value, empty if the value is valid
+   */
+  errorsOf (k, v) {
+    const errors = []
+    for (const { test, schema, validator } of this.schemas.values()) {
+      if (test(k)) errors.push(...validator(schema, v))
+    }
+    return errors
+  }
+
+  /**
+   * Throws if a value does not match the schemas of its key
+   *
+   * @private
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @throws {ValidationError} If the value does not match
+   */
+  check (k, v) {
+    if (this.schemas.size === 0) return
+    const errors = this.errorsOf(k, v)
+    if (errors.length > 0) throw new ValidationError(k, errors)
+  }
+
+  /**
+   * Validates every entry of the Store against the schemas of its key, to audit entries written before a schema was defined
+   *
+   * @returns {Promise<Array<{key: string, errors: Array<{path: string, message: string}>}>>} Resolves with the invalid entries and their errors
+   */
+  async validateAll () {
+    const invalid = []
+    if (this.schemas.size === 0) return invalid
+    for await (const [k, v] of this.scan(undefined, x => x)) {
+      const errors = this.errorsOf(k, v)
+      if (errors.length > 0) invalid.push({ key: k, errors })
+    }
+    return invalid
+  }
+
+  /**
+   * Gets a secondary index, throwing if it does not exist
+   *
+   * @private
+   * @param {string} name The name of the index
+   * @returns {StoreIndex} The index
+   */
+  index (name) {
+    const index = this.indexes.get(name)
+    if (!index) throw new NotFoundError('store.error.index.not.exists', name)
+    return index
+  }
+
+  /**
+   * Iterates over the entries of a list of keys, skipping the missing and expired ones
+   *
+   * @private
+   * @param {Array<string>} ks The keys of the entries
+   * @param {function(*): *} f A mapping function applied to each value
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, mappedValue] pairs.
+   */
+  async * entriesOf (ks, f) {
+    for (const k of ks) {
+      if (!(await this.present(k))) continue
+      const v = await this.db.get(k)
+      this.verify(k, v)
+      yield [k, f(this.outbound(v))]
+    }
+  }
+
+  /**
+   * Find entries by the value of a secondary index.
+   *
+   * @param {string} name The name of the index
+   * @param {any} value The indexed value
+   * @param {function(*): *} [f] - A mapping function applied to each value. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the query
+   * @param {string} [options.src] - The source reading the entries, given to the middlewares
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, mappedValue] pairs.
+   */
+  findBy (name, value, f = x => x, options = undefined) {
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    this.index(name)
+    const { src } = options || {}
+    return this.iterate('findBy', { name, value, f, src }, ({ name, value, f }) => this.entriesOf(this.index(name).get(value), f))
+  }
+
+  /**
+   * Finds the first entry by the value of a secondary index and returns its value
+   *
+   * @param {string} name The name of the index
+   * @param {any} value The indexed value
+   * @param {object} [options] - The options of the query, see {@link Store#findBy}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOneBy (name, value, options = undefined) {
+    const { value: kv, done } = await this.findBy(name, value, options).next()
+    if (!done) {
+      const [, v] = kv
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Find entries whose secondary index value is in a range, ordered by indexed value.
+   *
+   * @param {string} name The name of the index
+   * @param {object} range The bounds of the range, each one is optional
+   * @param {any} [range.gt] The indexed value must be greater
+   * @param {any} [range.gte] The indexed value must be greater or equal
+   * @param {any} [range.lt] The indexed value must be lower
+   * @param {any} [range.lte] The indexed value must be lower or equal
+   * @param {function(*): *} [f] - A mapping function applied to each value. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the query
+   * @param {string} [options.src] - The source reading the entries, given to the middlewares
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of [key, mappedValue] pairs.
+   *
+   * @example
+   * for await (const [k, v] of store.findRange('age', { gte: 18, lt: 30 })) {
+   *   console.log(k, v)
+   * }
+   */
+  findRange (name, range, f = x => x, options = undefined) {
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    this.index(name)
+    const { src } = options || {}
+    return this.iterate('findRange', { name, range, f, src }, ({ name, range, f }) => this.entriesOf(this.index(name).range(range), f))
+  }
+
   /**
    * Checks if a subscription exists on a key for a source
    *
@@ -156,8 +1633,8 @@ export default class Store {
    * @returns {Promise<void>} Resolves when the operation is complete
    */
   async pub (k) {
-    const v = await this.get(k)
-    await this.pubsub.pub(k, v, PubSubType.pub)
+    const v = await this.read(k)
+    await this.pubsub.pub(k, v, PubSubType.pub, await this.event(k, v, PubSubType.pub))
   }
 
   /**
@@ -165,20 +1642,24 @@ export default class Store {
    *
    * @param {string} src The source of the subscription
    * @param {string} k The key of the subscribed value
-   * @param {function(k: string, v: any, t: PubSubType):void} cb The callback triggered when a publish is triggered on a subscribed entry
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a subscribed entry
    *  - `k` The key of the subscribed value
    *  - `v` The subscribed value
    *  - `t` The type of trigger
+   *  - `e` The event describing the publish, see {@link ChangeEvent}
    * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
    * @returns {Promise<void>} Resolves when the operation is complete
    */
-  async sub (src, k, cb, now) {
-    if (!await this.has(k)) throw new StoreError('store.error.sub.key.not.exists(k)', k)
-    await this.pubsub.sub(src, k, cb)
-    if (now) {
-      const v = await this.get(k)
-      await this.pubsub.pubTo(src, k, v, PubSubType.sub)
-    }
+  async sub (src, k, cb, now, options) {
+    await this.instruments.trace('sub', { src, k }, () => this.intercept('sub', { src, k, cb, now, options }, async ({ src, k, cb, now, options }) => {
+      if (!await this.present(k)) throw new NotFoundError('store.error.sub.key.not.exists', k)
+      await this.pubsub.sub(src, k, cb, options)
+      if (now) {
+        const v = await this.read(k)
+        await this.pubsub.pubTo(src, k, v, PubSubType.sub, await this.event(k, v, PubSubType.sub))
+      }
+    }))
   }
 
   /**
@@ -189,10 +1670,107 @@ export default class Store {
    * @returns {Promise<void>} Resolves when the operation is complete
    */
   async unsub (src, k) {
-    if (!await this.has(k)) throw new StoreError('store.error.unsub.key.not.exists(k)', k)
+    if (!await this.present(k)) throw new NotFoundError('store.error.unsub.key.not.exists', k)
     await this.pubsub.unsub(src, k)
   }
 
+  /**
+   * Checks if a pattern subscription exists for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, see {@link Store#subPattern}
+   * @returns {Promise<boolean>} Resolves with the presence of a subscription when the operation is complete
+   */
+  async hasSubPattern (src, pattern) {
+    return await this.pubsub.hasPattern(src, pattern)
+  }
+
+  /**
+   * Subscribes to every entry whose key matches a pattern for a source with a callback on changes,
+   * including entries created after the subscription.
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern: a RegExp, a glob where `*` matches any characters and `?` any single character, or a key prefix
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on a matching entry
+   *  - `k` The key of the subscribed value
+   *  - `v` The subscribed value
+   *  - `t` The type of trigger
+   *  - `e` The event describing the publish, see {@link ChangeEvent}
+   * @param {boolean} now Triggers a publish with {@link PubSubType.sub} type for every existing matching entry
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   *
+   * @example
+   * await store.subPattern('mailer', 'user:*', (k, v, t) => { ... })
+   * await store.subPattern('search', 'doc:*', reindex, false, { buffer: 100, overflow: 'coalesce' })
+   */
+  async subPattern (src, pattern, cb, now, options) {
+    await this.pubsub.subPattern(src, pattern, cb, options)
+    if (now) {
+      const { prefix, test } = keyPattern(pattern)
+      for await (const [k, v] of this.scan(prefix, x => x)) {
+        if (test(k)) await this.pubsub.pubToPattern(src, pattern, k, v, PubSubType.sub, await this.event(k, v, PubSubType.sub))
+      }
+    }
+  }
+
+  /**
+   * Unsubscribes to a key pattern for a source
+   *
+   * @param {string} src The source of the subscription
+   * @param {RegExp|string} pattern The key pattern, see {@link Store#subPattern}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async unsubPattern (src, pattern) {
+    await this.pubsub.unsubPattern(src, pattern)
+  }
+
+  /**
+   * Watches the changes of a key, or of every key matching a pattern, as an async iterable of events.
+   *
+   * The subscription starts with the iteration, and ends when the iteration is left or when the signal is aborted,
+   * so that no source has to be named nor unsubscribed. Events are buffered until they are consumed.
+   *
+   * @param {RegExp|string} [pattern='*'] A key, a RegExp or a glob where `*` matches any characters and `?` any single character
+   * @param {object} [options] the options of the watch
+   * @param {AbortSignal} [options.signal] ends the iteration when aborted
+   * @param {boolean} [options.initial=false] starts with an event of {@link PubSubType.sub} type for every existing matching entry
+   * @returns {AsyncIterable.<ChangeEvent>} Async iterable of change events
+   *
+   * @example
+   * const controller = new AbortController()
+   * for await (const e of store.watch('user:*', { signal: controller.signal, initial: true })) {
+   *   console.log(e.type, e.key, e.value)
+   * }
+   */
+  async * watch (pattern = '*', { signal, initial = false } = {}) {
+    if (signal && signal.aborted) return
+    // a key is watched exactly, not as a prefix
+    if (typeof pattern === 'string' && !/[*?]/.test(pattern)) pattern = new RegExp('^' + escapeRegExp(pattern) + '$')
+    const src = Symbol('watch')
+    const events = []
+    let wake = null
+    const notify = () => {
+      if (wake) wake()
+      wake = null
+    }
+    if (signal) signal.addEventListener('abort', notify, { once: true })
+    try {
+      await this.subPattern(src, pattern, (k, v, t, e) => {
+        events.push(e)
+        notify()
+      }, initial)
+      for (;;) {
+        if (signal && signal.aborted) return
+        if (events.length > 0) yield events.shift()
+        else await new Promise(resolve => { wake = resolve })
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', notify)
+      await this.pubsub.unsubEveryWhere(src)
+    }
+  }
+
   /**
    * Checks if a global subscription exists for a source
    *
@@ -207,14 +1785,16 @@ export default class Store {
    * Subscribes globally for a source with a callback on changes
    *
    * @param {string} src The source of the subscription
-   * @param {function(k: string, v: any, t: PubSubType):void} cb The callback triggered when a publish is triggered on the store
+   * @param {function(k: string, v: any, t: PubSubType, e: ChangeEvent):void} cb The callback triggered when a publish is triggered on the store
    *  - `k` The key of the subscribed value
    *  - `v` The subscribed value
    *  - `t` The type of trigger
+   *  - `e` The event describing the publish, see {@link ChangeEvent}
+   * @param {DeliveryOptions} [options] the delivery options of the subscription, see {@link PubSub}
    * @returns {Promise<void>} Resolves when the operation is complete
    */
-  async subGlobal (src, cb) {
-    await this.pubsub.subGlobal(src, cb)
+  async subGlobal (src, cb, options) {
+    await this.pubsub.subGlobal(src, cb, options)
   }
 
   /**
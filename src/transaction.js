@@ -0,0 +1,179 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { ClosedError, NotFoundError } from './store-error.js'
+import { arrange, predicate } from './query.js'
+
+/**
+ * A view on a Store buffering writes until they are committed, given by {@link Store#transaction}
+ *
+ * @class Transaction
+ *
+ * @param {Store} store The Store the transaction commits to
+ * @param {object} [options] the options of the transaction
+ * @param {string} [options.src] the source making the changes, given to subscribers
+ */
+export default class Transaction {
+  constructor (store, { src } = {}) {
+    this.store = store
+    this.src = src
+    this.writes = new Map()
+    this.closed = false
+  }
+
+  /**
+   * Throws if the transaction is already committed or rolled back
+   *
+   * @private
+   */
+  check () {
+    if (this.closed) throw new ClosedError('store.error.transaction.closed')
+  }
+
+  /**
+   * Checks presence of one entry, as seen by the transaction
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<boolean>} Resolves with the presence when the operation is complete
+   */
+  async has (k) {
+    this.check()
+    const w = this.writes.get(k)
+    return w ? w.op === 'set' : await this.store.present(k)
+  }
+
+  /**
+   * Gets one entry, as seen by the transaction
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<any>} Resolves with the value when the operation is complete
+   */
+  async get (k) {
+    this.check()
+    const w = this.writes.get(k)
+    return w ? w.v : await this.store.read(k)
+  }
+
+  /**
+   * Sets one entry when the transaction is committed, the value must match the schemas of its key
+   *
+   * @param {string} k The key of the entry
+   * @param {any} v The value of the entry
+   * @param {object} [options] the options of the entry, see {@link Store#set}
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async set (k, v, { ttl } = {}) {
+    this.check()
+    this.store.check(k, v)
+    this.writes.set(k, { op: 'set', k, v, ttl })
+  }
+
+  /**
+   * Deletes one entry when the transaction is committed
+   *
+   * @param {string} k The key of the entry
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async del (k) {
+    if (!(await this.has(k))) throw new NotFoundError('store.error.delete.key.not.exists', k)
+    this.writes.set(k, { op: 'del', k })
+  }
+
+  /**
+   * Find entries matching a query, as seen by the transaction, see {@link Store#find}
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries are included.
+   * @param {function(*): *} [f] - A mapping function applied to each value before filtering. Defaults to the identity function, and can be omitted when options are given.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  find (q = undefined, f = x => x, options = undefined) {
+    this.check()
+    if (typeof f !== 'function') {
+      options = f
+      f = x => x
+    }
+    const entries = this.scan(q, f)
+    return options ? arrange(entries, options) : entries
+  }
+
+  /**
+   * Scans the entries of the Store, as seen by the transaction
+   *
+   * @private
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - The query, see {@link Store#find}
+   * @param {function(*): *} f - A mapping function applied to each value before filtering
+   * @returns {AsyncIterable.<[string, *]>} Async iterable of filtered [key, mappedValue] pairs.
+   */
+  async * scan (q, f) {
+    const p = predicate(q)
+    const match = (k, v) => {
+      const kv = [k, f(v)]
+      return p(kv) ? kv : undefined
+    }
+    // only queries on keys can be given to the Store, as the transaction may have changed values
+    const keys = (q instanceof RegExp || typeof q === 'string') ? q : undefined
+    const seen = new Set()
+    for await (const [k, v] of this.store.scan(keys, x => x)) {
+      seen.add(k)
+      const w = this.writes.get(k)
+      const kv = w ? (w.op === 'set' ? match(k, w.v) : undefined) : match(k, v)
+      if (kv) yield kv
+    }
+    for (const [k, w] of this.writes) {
+      if (seen.has(k) || w.op !== 'set') continue
+      const kv = match(k, w.v)
+      if (kv) yield kv
+    }
+  }
+
+  /**
+   * Finds the first entry matching a query, as seen by the transaction, and returns its value
+   *
+   * @param {(function([string, *]): boolean|RegExp|string|object)} [q] - A predicate function that receives a [key, value] pair and returns true to include it, a RegExp to match keys, a prefix keys must start with, or a serializable query object. If omitted, all entries are included.
+   * @param {object} [options] - The options of the result, see {@link Store#find}
+   * @returns {Promise<any|undefined>} The value if found, undefined otherwise
+   */
+  async findOne (q = undefined, options = undefined) {
+    const { value, done } = await this.find(q, options).next()
+    if (!done) {
+      const [, v] = value
+      return v
+    } else return undefined
+  }
+
+  /**
+   * Applies every buffered write to the Store atomically, then publishes them
+   *
+   * @private
+   * @returns {Promise<void>} Resolves when the operation is complete
+   */
+  async commit () {
+    this.check()
+    this.closed = true
+    const ops = []
+    for (const w of this.writes.values()) {
+      // a key deleted by the transaction may have been deleted meanwhile
+      if (w.op === 'set' || await this.store.present(w.k)) ops.push({ ...w, src: this.src })
+    }
+    await this.store.write(ops)
+  }
+
+  /**
+   * Discards every buffered write
+   *
+   * @private
+   */
+  rollback () {
+    this.closed = true
+    this.writes.clear()
+  }
+}
@@ -0,0 +1,273 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import { EventEmitter } from 'node:events'
+import { createHash, randomBytes } from 'node:crypto'
+import http from 'node:http'
+import https from 'node:https'
+import StoreError, { ClosedError, ForbiddenError, InvalidArgumentError } from './store-error.js'
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const VERSION = '13'
+
+const OPCODE = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+}
+
+const acceptKey = (key) => createHash('sha1').update(key + GUID).digest('base64')
+
+/**
+ * Encodes a frame, masked when sent by a client
+ *
+ * @private
+ * @param {number} opcode The opcode of the frame
+ * @param {Buffer} payload The payload of the frame
+ * @param {boolean} masked Masks the payload
+ * @returns {Buffer} The frame
+ */
+function frame (opcode, payload, masked) {
+  const length = payload.length
+  const size = length < 126 ? 0 : length < 0x10000 ? 2 : 8
+  const header = Buffer.alloc(2 + size + (masked ? 4 : 0))
+  header[0] = 0x80 | opcode
+  header[1] = (masked ? 0x80 : 0) | (size === 0 ? length : size === 2 ? 126 : 127)
+  if (size === 2) header.writeUInt16BE(length, 2)
+  else if (size === 8) header.writeBigUInt64BE(BigInt(length), 2)
+  if (!masked) return Buffer.concat([header, payload])
+  const mask = randomBytes(4)
+  mask.copy(header, 2 + size)
+  const data = Buffer.from(payload)
+  for (let i = 0; i < data.length; i++) data[i] ^= mask[i & 3]
+  return Buffer.concat([header, data])
+}
+
+/**
+ * A minimal WebSocket connection (RFC 6455) exchanging text messages over a socket already upgraded,
+ * see {@link WebSocketConnection.accept} and {@link WebSocketConnection.connect}.
+ *
+ * @private
+ * @class WebSocketConnection
+ *
+ * @param {Duplex} socket The upgraded socket
+ * @param {object} [options] the connection options
+ * @param {boolean} [options.client=false] masks the frames sent, as a client must
+ * @param {number} [options.maxPayload=16777216] the maximum size in bytes of a message, a larger one closes the connection
+ * @param {Buffer} [head] The first bytes received after the upgrade
+ *
+ * @fires WebSocketConnection#message
+ * @fires WebSocketConnection#close
+ */
+export default class WebSocketConnection extends EventEmitter {
+  constructor (socket, { client = false, maxPayload = 16 * 1024 * 1024 } = {}, head = Buffer.alloc(0)) {
+    super()
+    this.socket = socket
+    this.client = client
+    this.maxPayload = maxPayload
+    this.buffer = Buffer.alloc(0)
+    this.fragments = []
+    this.closed = false
+    socket.setNoDelay(true)
+    socket.on('data', chunk => this.receive(chunk))
+    socket.on('error', () => socket.destroy())
+    socket.on('close', () => this.end(1006))
+    if (head.length > 0) this.receive(head)
+  }
+
+  /**
+   * Accepts the upgrade request of a HTTP server to a WebSocket connection
+   *
+   * @param {IncomingMessage} req The upgrade request
+   * @param {Duplex} socket The socket of the request
+   * @param {Buffer} head The first bytes received after the upgrade request
+   * @param {object} [options] the connection options, see {@link WebSocketConnection}
+   * @returns {WebSocketConnection} The connection
+   * @throws {StoreError} If the request is not a WebSocket upgrade
+   * @throws {InvalidArgumentError} If the request is not for the version 13 of the protocol, the only one supported
+   */
+  static accept (req, socket, head, options) {
+    const key = req.headers['sec-websocket-key']
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) throw new StoreError('store.error.websocket.invalid.upgrade')
+    const version = req.headers['sec-websocket-version']
+    if (version !== VERSION) throw new InvalidArgumentError('store.error.websocket.unsupported.version', version)
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Accept: ' + acceptKey(key),
+      '',
+      ''
+    ].join('\r\n'))
+    return new WebSocketConnection(socket, options, head)
+  }
+
+  /**
+   * Opens a WebSocket connection to a `ws:` or `wss:` URL
+   *
+   * @param {string|URL} url The URL
+   * @param {object} [options] the connection options, see {@link WebSocketConnection}
+   * @param {object} [options.headers] the headers of the upgrade request, like `Authorization`
+   * @returns {Promise<WebSocketConnection>} Resolves with the connection once it is upgraded, rejects with a {@link ForbiddenError} if the server denies it
+   */
+  static connect (url, { headers = {}, ...options } = {}) {
+    const { protocol, hostname, port, pathname, search } = new URL(url)
+    const secure = protocol === 'wss:' || protocol === 'https:'
+    const key = randomBytes(16).toString('base64')
+    return new Promise((resolve, reject) => {
+      const req = (secure ? https : http).request({
+        hostname,
+        port,
+        path: pathname + search,
+        headers: {
+          ...headers,
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Version': VERSION,
+          'Sec-WebSocket-Key': key
+        }
+      })
+      req.on('upgrade', (res, socket, head) => {
+        if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+          socket.destroy()
+          return reject(new StoreError('store.error.websocket.invalid.accept', String(url)))
+        }
+        resolve(new WebSocketConnection(socket, { ...options, client: true }, head))
+      })
+      req.on('response', res => {
+        res.resume()
+        const E = res.statusCode === 401 || res.statusCode === 403 ? ForbiddenError : StoreError
+        reject(new E('store.error.websocket.rejected', String(url), res.statusCode))
+      })
+      req.on('error', e => reject(new ClosedError('store.error.websocket.unreachable', String(url)).causedBy(e)))
+      req.end()
+    })
+  }
+
+  /**
+   * Parses the frames received
+   *
+   * @private
+   * @param {Buffer} chunk The bytes received
+   */
+  receive (chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk])
+    while (this.buffer.length >= 2 && !this.closed) {
+      const b = this.buffer
+      const fin = (b[0] & 0x80) !== 0
+      const opcode = b[0] & 0x0f
+      const masked = (b[1] & 0x80) !== 0
+      // the frames of a client are masked, the ones of a server are not
+      if (masked !== !this.client) return this.close(1002)
+      let length = b[1] & 0x7f
+      let offset = 2
+      if (length === 126) {
+        if (b.length < 4) return
+        length = b.readUInt16BE(2)
+        offset = 4
+      } else if (length === 127) {
+        if (b.length < 10) return
+        length = Number(b.readBigUInt64BE(2))
+        offset = 10
+      }
+      if (length > this.maxPayload) return this.close(1009)
+      const mask = masked ? b.subarray(offset, offset + 4) : null
+      if (masked) offset += 4
+      if (b.length < offset + length) return
+      const payload = Buffer.from(b.subarray(offset, offset + length))
+      if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3]
+      this.buffer = b.subarray(offset + length)
+      this.handle(fin, opcode, payload)
+    }
+  }
+
+  /**
+   * Handles a frame, a continuation frame without message in progress or a new message before the end of the
+   * previous one closing the connection
+   *
+   * @private
+   * @param {boolean} fin Whether the frame ends a message
+   * @param {number} opcode The opcode of the frame
+   * @param {Buffer} payload The unmasked payload of the frame
+   */
+  handle (fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODE.continuation:
+      case OPCODE.text:
+      case OPCODE.binary:
+        if ((opcode === OPCODE.continuation) !== (this.fragments.length > 0)) return this.close(1002)
+        this.fragments.push(payload)
+        if (this.fragments.reduce((n, f) => n + f.length, 0) > this.maxPayload) return this.close(1009)
+        if (fin) {
+          const message = Buffer.concat(this.fragments.splice(0)).toString('utf8')
+          /**
+           * Emitted for every message received, as a string
+           *
+           * @event WebSocketConnection#message
+           * @type {string}
+           */
+          this.emit('message', message)
+        }
+        break
+      case OPCODE.ping:
+        this.socket.write(frame(OPCODE.pong, payload, this.client))
+        break
+      case OPCODE.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000)
+        break
+    }
+  }
+
+  /**
+   * Sends a text message
+   *
+   * @param {string} message The message
+   * @throws {ClosedError} If the connection is closed
+   */
+  send (message) {
+    if (this.closed) throw new ClosedError('store.error.websocket.closed')
+    this.socket.write(frame(OPCODE.text, Buffer.from(message, 'utf8'), this.client))
+  }
+
+  /**
+   * Closes the connection
+   *
+   * @param {number} [code=1000] The status code of the closure
+   */
+  close (code = 1000) {
+    if (this.closed) return
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code)
+    this.socket.end(frame(OPCODE.close, payload, this.client))
+    this.end(code)
+  }
+
+  /**
+   * Marks the connection closed
+   *
+   * @private
+   * @param {number} code The status code of the closure
+   */
+  end (code) {
+    if (this.closed) return
+    this.closed = true
+    /**
+     * Emitted once when the connection is closed, with its status code
+     *
+     * @event WebSocketConnection#close
+     * @type {number}
+     */
+    this.emit('close', code)
+  }
+}
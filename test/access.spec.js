@@ -0,0 +1,122 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, ForbiddenError, InvalidArgumentError } from '../src/index.js'
+
+const denied = async (t, fn, right, k) => {
+  try {
+    await fn()
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ForbiddenError)
+    t.equal(e.code, 'store.error.access.denied')
+    t.deepEqual(e.params.slice(1), [right, k])
+  }
+}
+
+test('access checks reads and writes', async function (t) {
+  const store = Store.build()
+  store.allow('*', 'public:', 'read')
+  store.allow('alice', 'user:alice:', ['read', 'write'])
+  await store.set('public:motd', 'hello')
+  await store.set('user:bob:name', 'Bob')
+
+  const alice = store.as('alice')
+  const events = []
+  await store.subGlobal('audit', (k, v, t, e) => { events.push([k, e.src]) })
+  await alice.set('user:alice:name', 'Alice')
+  t.equal(await alice.get('user:alice:name'), 'Alice')
+  t.equal(await alice.get('public:motd'), 'hello', 'granted to every source')
+  t.deepEqual(events, [['user:alice:name', 'alice']], 'writes are made for the source')
+
+  await denied(t, () => alice.get('user:bob:name'), 'read', 'user:bob:name')
+  await denied(t, () => alice.set('public:motd', 'bye'), 'write', 'public:motd')
+  await denied(t, () => alice.del('user:bob:name'), 'write', 'user:bob:name')
+  await denied(t, () => store.as('bob').get('user:alice:name'), 'read', 'user:alice:name')
+
+  const found = []
+  for await (const [k] of alice.find()) found.push(k)
+  t.deepEqual(found, ['public:motd', 'user:alice:name'], 'find skips the entries the source may not read')
+  t.equal(await alice.findOne(/^user:/), 'Alice')
+
+  store.disallow('alice', 'user:alice:')
+  await denied(t, () => alice.get('user:alice:name'), 'read', 'user:alice:name')
+  t.end()
+})
+
+test('access find never shows unreadable entries to the query', async function (t) {
+  const store = Store.build()
+  store.allow('alice', 'user:alice:', 'read')
+  await store.set('user:alice:name', 'Alice')
+  await store.set('user:bob:name', 'Bob')
+  await store.set('user:bob:token', 'secret')
+
+  const seen = []
+  const mapped = []
+  const found = []
+  const q = ([k, v]) => { seen.push(k); return v.length > 3 }
+  const f = (v) => { mapped.push(v); return v.toUpperCase() }
+  for await (const kv of store.as('alice').find(q, f)) found.push(kv)
+  t.deepEqual(found, [['user:alice:name', 'ALICE']])
+  t.deepEqual(seen, ['user:alice:name'], 'the predicate only sees readable entries')
+  t.deepEqual(mapped, ['Alice'], 'the mapper only sees readable values')
+
+  found.length = 0
+  for await (const kv of store.as('alice').find({ $key: { $regex: ':name$' } }, { sort: { $key: -1 } })) found.push(kv)
+  t.deepEqual(found, [['user:alice:name', 'Alice']], 'queries and options still apply')
+  t.end()
+})
+
+test('access filters subscriptions', async function (t) {
+  const store = Store.build()
+  store.allow('ui', 'todo:', ['read', 'subscribe'])
+  store.allow('ui', 'secret:', 'subscribe')
+  await store.set('todo:1', 'a')
+  await store.set('secret:1', 's')
+  const ui = store.as('ui')
+
+  await denied(t, () => ui.sub('secret:1', () => {}), 'read', 'secret:1')
+  await denied(t, () => ui.sub('other', () => {}), 'subscribe', 'other')
+
+  const global = []
+  const patterns = []
+  const keys = []
+  await ui.subGlobal((k, v) => { global.push([k, v]) })
+  await ui.subPattern('*:1', (k, v) => { patterns.push([k, v]) }, true)
+  await ui.sub('todo:1', (k, v) => { keys.push([k, v]) })
+  t.ok(await ui.hasSub('todo:1'))
+  t.ok(await ui.hasSubGlobal())
+  await store.set('todo:1', 'b')
+  await store.set('secret:1', 't')
+  await store.set('other', 'x')
+  await store.flush()
+  t.deepEqual(global, [['todo:1', 'b']], 'global subscription only gets the readable keys')
+  t.deepEqual(patterns, [['todo:1', 'a'], ['todo:1', 'b']])
+  t.deepEqual(keys, [['todo:1', 'b']])
+
+  await ui.unsubEveryWhere()
+  t.notOk(await ui.hasSubGlobal())
+  t.notOk(await ui.hasSub('todo:1'))
+  t.end()
+})
+
+test('access rights are validated', async function (t) {
+  const store = Store.build()
+  t.throws(() => store.allow('ui', 'todo:', ['read', 'admin']), InvalidArgumentError)
+  t.notOk(store.can('ui', 'read', 'todo:1'), 'nothing is granted')
+  store.allow('ui', 'todo:*', 'read')
+  store.allow('ui', 'todo:*', 'write')
+  t.ok(store.can('ui', 'read', 'todo:1'), 'rights add up')
+  t.ok(store.can('ui', 'write', 'todo:1'))
+  t.notOk(store.can('ui', 'subscribe', 'todo:1'))
+  t.end()
+})
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { Store, PubSub, Delivery, InvalidArgumentError } from '../src/index.js'
+
+const gate = () => {
+  let open
+  const opened = new Promise(resolve => { open = resolve })
+  return { opened, open }
+}
+
+test('delivery keeps the order of the writes for every subscriber', async function (t) {
+  const store = Store.build()
+  const seen = []
+  await store.subGlobal('slow', async (k, v) => {
+    await sleep(v % 2 === 0 ? 5 : 0)
+    seen.push(v)
+  }, { buffer: 10 })
+
+  // writes are not awaited one after the other
+  await Promise.all([1, 2, 3, 4].map(v => store.set('foo', v)))
+  await store.flush()
+  t.deepEqual(seen, [1, 2, 3, 4])
+
+  await store.del('foo')
+  await store.flush()
+  t.deepEqual(seen, [1, 2, 3, 4, 4], 'a delete publishes the previous value')
+  t.end()
+})
+
+test('delivery does not let a slow subscriber delay the others', async function (t) {
+  const store = Store.build()
+  const { opened, open } = gate()
+  const seen = []
+  await store.subGlobal('slow', async (k, v) => {
+    await opened
+    seen.push('slow ' + v)
+  }, { buffer: 10 })
+  await store.subGlobal('fast', (k, v) => { seen.push('fast ' + v) })
+
+  await store.set('foo', 1)
+  await store.set('foo', 2)
+  t.deepEqual(seen, ['fast 1', 'fast 2'], 'the writer only waits for the unbuffered subscriber')
+  open()
+  await store.flush()
+  t.deepEqual(seen, ['fast 1', 'fast 2', 'slow 1', 'slow 2'])
+  t.end()
+})
+
+test('delivery serial and concurrent modes', async function (t) {
+  const pubsub = new PubSub()
+  const running = { serial: 0, concurrent: 0 }
+  const max = { serial: 0, concurrent: 0 }
+  const track = (mode) => async () => {
+    max[mode] = Math.max(max[mode], ++running[mode])
+    await sleep(2)
+    running[mode] -= 1
+  }
+  await pubsub.subGlobal('serial', track('serial'), { mode: 'serial', buffer: 10 })
+  await pubsub.subGlobal('concurrent', track('concurrent'), { mode: 'concurrent', buffer: 10 })
+
+  for (let i = 0; i < 3; i++) await pubsub.pub('foo', i, 'set')
+  await pubsub.flush()
+  t.deepEqual(max, { serial: 1, concurrent: 3 })
+  t.end()
+})
+
+test('delivery overflow policies', async function (t) {
+  const pubsub = new PubSub()
+  const { opened, open } = gate()
+  const seen = { dropOldest: [], coalesce: [], block: [] }
+  for (const overflow of Object.keys(seen)) {
+    await pubsub.subGlobal(overflow, async (k, v) => {
+      await opened
+      seen[overflow].push(k + v)
+    }, { buffer: 2, overflow })
+  }
+
+  const accepted = []
+  const pub = (k, v) => pubsub.pub(k, v, 'set').then(() => accepted.push(k + v))
+  const pubs = [pub('a', 1)]
+  await sleep(1)
+  // the first publish is being delivered, the next ones are queued
+  pubs.push(pub('b', 1), pub('a', 2), pub('a', 3))
+  await sleep(1)
+  t.deepEqual(accepted, ['a1', 'b1', 'a2'], 'the blocked subscriber makes the last publish wait for room')
+  open()
+  await Promise.all(pubs)
+  await pubsub.flush()
+  t.deepEqual(seen.dropOldest, ['a1', 'a2', 'a3'])
+  t.deepEqual(seen.coalesce, ['a1', 'b1', 'a3'], 'coalesce keeps the latest publish of a key')
+  t.deepEqual(seen.block, ['a1', 'b1', 'a2', 'a3'])
+  t.end()
+})
+
+test('delivery throttle and debounce', async function (t) {
+  const store = Store.build()
+  const seen = { throttle: [], debounce: [] }
+  await store.subGlobal('throttle', (k, v) => { seen.throttle.push(v) }, { throttle: 1000 })
+  await store.subGlobal('debounce', (k, v) => { seen.debounce.push(v) }, { debounce: 1000 })
+
+  for (let i = 1; i <= 3; i++) await store.set('foo', i)
+  await sleep(1)
+  t.deepEqual(seen, { throttle: [1], debounce: [] })
+  await store.flush()
+  t.deepEqual(seen, { throttle: [1, 3], debounce: [3] }, 'flush delivers the held publishes')
+
+  await store.set('foo', 4)
+  await store.set('bar', 1)
+  await sleep(1)
+  t.deepEqual(seen.throttle, [1, 3, 4, 1], 'keys are throttled separately')
+  await store.flush()
+  t.deepEqual(seen.debounce, [3, 4, 1])
+  t.end()
+})
+
+test('delivery short timings', async function (t) {
+  const store = Store.build()
+  const seen = []
+  await store.set('foo', 1)
+  await store.sub('debounce', 'foo', (k, v) => { seen.push(v) }, false, { debounce: 5 })
+  await store.set('foo', 2)
+  await store.set('foo', 3)
+  await sleep(20)
+  t.deepEqual(seen, [3], 'the publish is delivered once the period elapsed')
+  t.end()
+})
+
+test('delivery subscribers are removed after their pending publishes', async function (t) {
+  const store = Store.build()
+  const seen = []
+  await store.set('foo', 1)
+  await store.sub('key', 'foo', (k, v, type) => { seen.push(type) }, false, { buffer: 10 })
+  await store.set('foo', 2)
+  await store.del('foo')
+  await store.set('foo', 3)
+  await store.flush()
+  t.deepEqual(seen, ['set', 'del'], 'the deleted key is not subscribed anymore')
+  t.end()
+})
+
+test('delivery cancelled by unsubscribing', async function (t) {
+  const store = Store.build()
+  const seen = []
+  await store.set('foo', 1)
+  await store.subGlobal('global', (k, v) => { seen.push(['global', v]) }, { debounce: 5 })
+  await store.sub('key', 'foo', (k, v) => { seen.push(['key', v]) }, false, { throttle: 5 })
+  await store.subPattern('pattern', 'f*', (k, v) => { seen.push(['pattern', v]) }, false, { debounce: 5 })
+  await store.set('foo', 2)
+  await store.set('foo', 3)
+  await store.unsubGlobal('global')
+  await store.unsub('key', 'foo')
+  await store.unsubPattern('pattern', 'f*')
+  await sleep(20)
+  await store.flush()
+  t.deepEqual(seen, [['key', 2]], 'only the publish delivered before unsubscribing is seen')
+  t.equal(store.pubsub.busy.size, 0, 'no timer is left')
+
+  const delivery = new Delivery(async () => {}, { debounce: 1000 })
+  const pushed = delivery.push('k', 1)
+  delivery.cancel()
+  await pushed
+  t.pass('a pending push is settled')
+  await delivery.push('k', 2)
+  t.equal(delivery.timers.size, 0, 'a cancelled delivery takes no publish')
+  t.end()
+})
+
+test('delivery to a subscriber writing to the store', async function (t) {
+  const store = Store.build()
+  await store.subGlobal('agg', async (k, v) => {
+    if (k !== 'total') await store.set('total', v * 10)
+  })
+  const seen = []
+  await store.subPattern('b', 'x', async (k, v) => {
+    seen.push(k)
+    await store.set('y', v)
+  })
+  await store.subPattern('c', 'y', async (k, v) => {
+    seen.push(k)
+    if (v < 3) await store.set('x', v + 1)
+  })
+  await store.set('a', 1)
+  t.equal(await store.get('total'), 10, 'a callback writing does not wait for its own delivery')
+  await store.set('x', 1)
+  await store.flush()
+  t.deepEqual(seen, ['x', 'y', 'x', 'y', 'x', 'y'], 'callbacks triggering each other do not wait for each other')
+  t.end()
+})
+
+test('delivery invalid options', async function (t) {
+  t.throws(() => new Delivery(() => {}, { mode: 'parallel' }), InvalidArgumentError)
+  t.throws(() => new Delivery(() => {}, { overflow: 'drop' }), InvalidArgumentError)
+  t.throws(() => new Delivery(() => {}, { buffer: 0 }), InvalidArgumentError)
+  const pubsub = new PubSub()
+  try {
+    await pubsub.subGlobal('foo', () => {}, { mode: 'parallel' })
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.code, 'store.error.delivery.invalid.mode')
+  }
+  t.end()
+})
@@ -0,0 +1,169 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, ForbiddenError, InvalidArgumentError, NotFoundError } from '../src/index.js'
+
+test('derived key from keys', async function (t) {
+  const store = Store.build()
+  await store.set('cart:items', [{ sku: 'a', qty: 2 }])
+  await store.set('pricing', { a: 10, b: 5 })
+  let calls = 0
+  await store.derive('cart:total', ['cart:items', 'pricing'], async (items = [], pricing = {}) => {
+    calls += 1
+    return items.reduce((total, { sku, qty }) => total + qty * pricing[sku], 0)
+  }, { src: 'cart' })
+  t.equal(await store.get('cart:total'), 20, 'computed when derived')
+
+  const events = []
+  await store.sub('test', 'cart:total', (k, v, type, e) => { events.push([e.type, v, e.src]) })
+  await store.set('cart:items', [{ sku: 'a', qty: 2 }, { sku: 'b', qty: 1 }])
+  await store.set('pricing', { a: 10, b: 6 })
+  await store.flush()
+  t.equal(await store.get('cart:total'), 26)
+  t.equal(calls, 2, 'changes of the same tick are recomputed once')
+  t.deepEqual(events, [['update', 26, 'cart']])
+
+  await store.set('pricing', { a: 10, b: 6 })
+  await store.flush()
+  t.equal(calls, 3)
+  t.equal(events.length, 1, 'an unchanged value is not written')
+  t.end()
+})
+
+test('derived key is read-only', async function (t) {
+  const store = Store.build()
+  await store.derive('total', ['a'], async (a = 0) => a * 2)
+  const writes = [
+    () => store.set('total', 1),
+    () => store.del('total'),
+    () => store.expire('total', 10),
+    () => store.transaction(async tx => { await tx.set('total', 1) })
+  ]
+  for (const write of writes) {
+    try {
+      await write()
+      t.fail('should throw')
+    } catch (e) {
+      t.ok(e instanceof ForbiddenError)
+      t.equal(e.code, 'store.error.derived.read.only')
+    }
+  }
+  t.equal(await store.get('total'), 0)
+
+  await store.underive('total')
+  await store.set('total', 1)
+  t.equal(await store.get('total'), 1, 'an underived key is a regular entry')
+  try {
+    await store.underive('total')
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof NotFoundError)
+  }
+  t.end()
+})
+
+test('derived key from a pattern', async function (t) {
+  const store = Store.build()
+  await store.set('user:a', { age: 30 })
+  await store.derive('user:count', 'user:*', async (entries) => entries.length)
+  t.equal(await store.get('user:count'), 1, 'the derived key is not one of its inputs')
+  await store.set('user:b', { age: 20 })
+  await store.set('item:a', {})
+  await store.flush()
+  t.equal(await store.get('user:count'), 2)
+  await store.del('user:a')
+  await store.flush()
+  t.equal(await store.get('user:count'), 1)
+  t.end()
+})
+
+test('derived keys depending on derived keys', async function (t) {
+  const store = Store.build()
+  const calls = []
+  await store.set('x', 1)
+  await store.derive('c', ['b', 'x'], async (b, x) => {
+    calls.push('c')
+    return b + x
+  })
+  await store.derive('b', ['a'], async (a) => {
+    calls.push('b')
+    return a * 10
+  })
+  await store.derive('a', ['x'], async (x) => {
+    calls.push('a')
+    return x + 1
+  })
+  await store.flush()
+  t.equal(await store.get('c'), 21)
+
+  calls.length = 0
+  await store.set('x', 2)
+  await store.flush()
+  t.deepEqual(calls, ['a', 'b', 'c'], 'every derived key is recomputed once, after the ones it depends on')
+  t.equal(await store.get('c'), 32)
+  t.end()
+})
+
+test('derived key cycles', async function (t) {
+  const store = Store.build()
+  await store.derive('a', ['b'], async (b) => b)
+  await store.derive('b', ['c'], async (c) => c)
+  try {
+    await store.derive('c', ['a'], async (a) => a)
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof InvalidArgumentError)
+    t.equal(e.code, 'store.error.derived.cycle')
+    t.deepEqual(e.params, ['c -> a -> b -> c'])
+  }
+  try {
+    await store.derive('c', 'a*', async (entries) => entries)
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.code, 'store.error.derived.cycle')
+  }
+  await store.set('c', 1)
+  await store.flush()
+  t.equal(await store.get('a'), 1, 'a refused derivation is not kept')
+  t.end()
+})
+
+test('derived key deletion and failure', async function (t) {
+  const store = Store.build()
+  const errors = []
+  store.on('derivedError', e => errors.push(e))
+  await store.set('n', 1)
+  await store.derive('inverse', ['n'], async (n) => {
+    if (n === 0) throw new Error('division by zero')
+    return typeof n === 'undefined' ? undefined : 1 / n
+  })
+  await store.set('n', 0)
+  await store.flush()
+  t.equal(await store.get('inverse'), 1, 'a failure keeps the previous value')
+  t.deepEqual(errors.map(e => [e.code, e.params, e.cause.message]), [['store.error.derived.failed', ['inverse'], 'division by zero']])
+
+  await store.del('n')
+  await store.flush()
+  t.equal(await store.has('inverse'), false, 'undefined deletes the derived key')
+
+  const warnings = []
+  const onWarning = w => warnings.push(w)
+  process.on('warning', onWarning)
+  store.removeAllListeners('derivedError')
+  const failed = new Promise(resolve => store.once('derivedError', resolve))
+  await store.set('n', 0)
+  await failed
+  await new Promise(resolve => setImmediate(resolve))
+  process.off('warning', onWarning)
+  t.deepEqual(warnings, [], 'a failure heard by a once listener is not a warning')
+  t.end()
+})
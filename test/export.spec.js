@@ -0,0 +1,150 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Readable } from 'node:stream'
+import { Store, StoreError, InvalidArgumentError, encode, decode } from '../src/index.js'
+
+const read = async (stream) => {
+  let text = ''
+  for await (const chunk of stream) text += chunk
+  return text
+}
+
+test('tagged encoding keeps the types JSON loses', async function (t) {
+  const v = {
+    date: new Date(0),
+    map: new Map([[1, { a: undefined }], ['k', new Set([1n])]]),
+    set: new Set(['a', /x+/gi]),
+    big: 12345678901234567890n,
+    numbers: [NaN, Infinity, -Infinity, -0, 1.5],
+    nothing: undefined,
+    bytes: new Uint8Array([1, 2, 3]),
+    floats: new Float64Array([0.5, -1]).subarray(1),
+    buffer: Buffer.from('wool'),
+    raw: new Uint16Array([258]).buffer,
+    view: new DataView(new Uint8Array([0, 1, 2, 3]).buffer, 1, 2),
+    tagged: { $t: 'Date', v: 0 },
+    array: [1, undefined, 'x']
+  }
+  const decoded = decode(JSON.parse(JSON.stringify(encode(v))))
+  t.deepEqual(decoded, v)
+  t.ok(decoded.date instanceof Date)
+  t.ok(Number.isNaN(decode(JSON.parse(JSON.stringify(encode(new Date(NaN))))).getTime()), 'an invalid date stays invalid')
+  t.ok(Object.is(decoded.numbers[3], -0))
+  t.equal(decoded.set.has('a'), true)
+  t.equal(Array.from(decoded.set)[1].flags, 'gi')
+  t.ok(decoded.floats instanceof Float64Array)
+  t.deepEqual(Array.from(decoded.floats), [-1])
+  t.ok(Buffer.isBuffer(decoded.buffer))
+  t.ok(decoded.view instanceof DataView)
+  t.equal(decoded.view.getUint16(0), 258, 'a DataView keeps its bytes')
+  t.deepEqual(decoded.tagged, { $t: 'Date', v: 0 }, 'an object with a tag is escaped')
+  t.ok('nothing' in decoded)
+
+  t.throws(() => encode({ f: () => {} }), InvalidArgumentError)
+  const cycle = { a: {} }
+  cycle.a.b = cycle
+  t.throws(() => encode(cycle), InvalidArgumentError)
+  const shared = [1]
+  t.doesNotThrow(() => encode({ a: shared, b: shared }), 'a value held twice is not a cycle')
+  t.throws(() => decode({ $t: 'Unknown' }), InvalidArgumentError)
+  t.end()
+})
+
+test('export then import entries', async function (t) {
+  let now = 0
+  const source = Store.build({ clock: () => now, sweepInterval: 0 })
+  await source.set('user:1', { name: 'ada', since: new Date(0), roles: new Set(['admin']) })
+  await source.set('user:2', { name: 'bob' }, { ttl: 100 })
+  await source.set('config', new Map([['depth', 2n]]))
+  now = 40
+
+  const text = await read(source.export())
+  const lines = text.trim().split('\n').map(line => JSON.parse(line))
+  t.deepEqual(lines.map(({ k }) => k), ['user:1', 'user:2', 'config'])
+  t.equal(lines[1].ttl, 60, 'the remaining time to live is exported')
+  t.notOk('ttl' in lines[0])
+
+  const users = await read(source.export({ filter: 'user:' }))
+  t.equal(users.trim().split('\n').length, 2)
+  const filtered = await read(source.export({ filter: k => k === 'config' }))
+  t.equal(filtered.trim().split('\n').length, 1)
+
+  let later = 1000
+  const target = Store.build({ clock: () => later, sweepInterval: 0 })
+  const events = []
+  await target.subGlobal('test', (k, v, type, e) => { events.push([k, e.src]) })
+  t.equal(await target.import(Readable.from([text]), { src: 'seed' }), 3)
+  await target.flush()
+  t.deepEqual(await target.get('user:1'), { name: 'ada', since: new Date(0), roles: new Set(['admin']) })
+  t.deepEqual(await target.get('config'), new Map([['depth', 2n]]))
+  t.equal(await target.ttl('user:2'), 60)
+  t.deepEqual(events, [['user:1', 'seed'], ['user:2', 'seed'], ['config', 'seed']])
+  later += 60
+  t.notOk(await target.has('user:2'), 'the imported entry expires')
+  t.end()
+})
+
+test('import modes, filter and publishing', async function (t) {
+  const store = Store.build()
+  await store.set('user:1', 'old')
+  await store.set('user:9', 'gone')
+  await store.set('config', 'kept')
+  const events = []
+  await store.subGlobal('test', (k) => { events.push(k) })
+  const dump = [{ k: 'user:1', v: 'new' }, { k: 'user:2', v: 'two' }, { k: 'other', v: 'skipped' }].map(r => JSON.stringify(r)).join('\n')
+
+  t.equal(await store.import(Readable.from([dump]), { mode: 'replace', filter: /^user:/, publish: false }), 2)
+  await store.flush()
+  t.deepEqual(events, [], 'nothing is published')
+  const entries = []
+  for await (const kv of store.find()) entries.push(kv)
+  t.deepEqual(entries, [['user:1', 'new'], ['config', 'kept'], ['user:2', 'two']], 'only the filtered keys are replaced')
+
+  await store.derive('count', ['user:1'], async () => 1)
+  await store.flush()
+  await store.import(Readable.from([JSON.stringify({ k: 'count', v: 5 })]))
+  t.equal(await store.get('count'), 1, 'derived keys are skipped')
+
+  try {
+    await store.import(Readable.from(['{"k":"a","v":1}\nnot json\n']))
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof StoreError)
+    t.equal(e.code, 'store.error.import.invalid.record')
+    t.deepEqual(e.params, [2])
+  }
+  t.notOk(await store.has('a'), 'nothing is imported from an invalid dump')
+  try {
+    await store.import(Readable.from(['{"k":"a","v":1}\n\n{"k":"b","v":{"$t":"BigInt","v":"x"}}\n']))
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.code, 'store.error.import.invalid.record')
+    t.deepEqual(e.params, [3], 'a value that cannot be decoded gives its line')
+    t.ok(e.cause instanceof SyntaxError)
+  }
+  try {
+    await store.import(Readable.from(['{"k":"a","v":{"$t":"Unknown"}}']))
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.code, 'store.error.import.invalid.record')
+    t.equal(e.cause.code, 'store.error.codec.unknown.tag')
+  }
+  t.notOk(await store.has('a'))
+  try {
+    await store.import(Readable.from([]), { mode: 'overwrite' })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof InvalidArgumentError)
+  }
+  t.end()
+})
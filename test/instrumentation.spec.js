@@ -0,0 +1,100 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import * as diagnostics from 'node:diagnostics_channel'
+import { Store, Histogram, NotFoundError } from '../src/index.js'
+
+test('histogram summarizes latencies', async function (t) {
+  const h = new Histogram()
+  t.deepEqual(h.toJSON().p50, 0, 'empty')
+  ;[0.05, 0.3, 0.3, 3, 20000].forEach(ms => h.record(ms))
+  const { count, min, max, mean, p50, p90, buckets } = h.toJSON()
+  t.equal(count, 5)
+  t.equal(min, 0.05)
+  t.equal(max, 20000)
+  t.equal(mean, 20003.65 / 5)
+  t.equal(p50, 0.5)
+  t.equal(p90, 20000, 'the last bucket is bounded by the maximum')
+  t.equal(buckets['0.1'], 1)
+  t.equal(buckets['0.5'], 2)
+  t.equal(buckets['+Inf'], 1)
+  t.end()
+})
+
+test('stats count keys, subscriptions and operations', async function (t) {
+  let now = 0
+  const store = Store.build({ clock: () => now, sweepInterval: 0 })
+  await store.subGlobal('audit', () => {})
+  await store.set('a', 1)
+  await store.set('b', 2, { ttl: 10 })
+  await store.set('c', 3)
+  await store.sub('ui', 'a', () => {})
+  await store.sub('log', 'a', () => {})
+  await store.subPattern('ui', 'c*', () => {})
+  await store.get('a')
+  for await (const [k] of store.find('a')) t.equal(k, 'a')
+  try {
+    await store.del('missing')
+  } catch (e) {
+    t.ok(e instanceof NotFoundError)
+  }
+  now = 20
+
+  const { keys, expiring, version, subscriptions, operations } = await store.stats()
+  t.equal(keys, 2, 'expired entries are not counted')
+  t.equal(expiring, 1)
+  t.equal(version, 3)
+  t.deepEqual(subscriptions, { global: 1, keys: { a: 2 }, patterns: { 'glob:c*': 1 }, queued: 0 })
+  t.equal(operations.set.count, 3)
+  t.equal(operations.get.count, 1)
+  t.equal(operations.find.count, 1)
+  t.deepEqual([operations.del.count, operations.del.errors], [1, 1])
+  t.equal(operations.pub.count, 3)
+  t.equal(operations.deliver.count, 3, 'the global subscription received the three sets')
+  t.equal(operations.set.latency.count, 3)
+  t.ok(operations.set.latency.max >= operations.set.latency.min)
+  t.end()
+})
+
+test('operations and deliveries are traced on diagnostics channels', { skip: typeof diagnostics.tracingChannel !== 'function' }, async function (t) {
+  const store = Store.build()
+  const events = []
+  const tracing = (name) => ({
+    start: (ctx) => events.push([name, 'start', ctx.k]),
+    asyncEnd: (ctx) => events.push([name, 'asyncEnd', ctx.k]),
+    error: (ctx) => events.push([name, 'error', ctx.error.code])
+  })
+  const channels = ['set', 'pub', 'deliver', 'del', 'find'].map(name => [diagnostics.tracingChannel('wool-store:' + name), tracing(name)])
+  channels.forEach(([channel, handlers]) => channel.subscribe(handlers))
+  try {
+    await store.subGlobal('audit', () => {})
+    await store.set('k', 1, { src: 'app' })
+    await store.del('missing').catch(() => {})
+    for await (const entry of store.find()) t.ok(entry)
+  } finally {
+    channels.forEach(([channel, handlers]) => channel.unsubscribe(handlers))
+  }
+  t.deepEqual(events, [
+    ['set', 'start', 'k'],
+    ['pub', 'start', 'k'],
+    ['deliver', 'start', 'k'],
+    ['deliver', 'asyncEnd', 'k'],
+    ['pub', 'asyncEnd', 'k'],
+    ['set', 'asyncEnd', 'k'],
+    ['del', 'start', 'missing'],
+    ['del', 'error', 'store.error.delete.key.not.exists'],
+    ['del', 'asyncEnd', 'missing'],
+    ['find', 'start', undefined],
+    ['find', 'asyncEnd', undefined]
+  ])
+  t.end()
+})
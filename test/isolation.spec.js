@@ -0,0 +1,153 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, InvalidArgumentError } from '../src/index.js'
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+test('isolation reference', async function (t) {
+  const store = Store.build()
+  const v = { foo: { bar: 1 } }
+  await store.set('k', v)
+  t.equal(await store.get('k'), v)
+  t.throws(() => Store.build({ isolation: 'copy' }), InvalidArgumentError)
+  t.end()
+})
+
+test('isolation clone', async function (t) {
+  const store = Store.build({ isolation: 'clone' })
+  const v = { foo: { bar: 1 } }
+  const events = []
+  await store.set('k', v)
+  await store.sub('test', 'k', (k, v, type, e) => { events.push([v, e.previous]) })
+
+  v.foo.bar = 2
+  t.deepEqual(await store.get('k'), { foo: { bar: 1 } }, 'the caller keeps its object')
+
+  const got = await store.get('k')
+  got.foo.bar = 3
+  t.deepEqual(await store.get('k'), { foo: { bar: 1 } }, 'a read value is a copy')
+  t.notEqual(await store.get('k'), await store.get('k'))
+
+  const [[, found]] = await collect(store.find('k'))
+  found.foo.bar = 4
+  t.deepEqual(await store.findOne('k'), { foo: { bar: 1 } }, 'a found value is a copy')
+
+  await store.set('k', { foo: { bar: 5 } })
+  const [[value, previous]] = events
+  value.foo.bar = 6
+  previous.foo.bar = 7
+  t.deepEqual(await store.get('k'), { foo: { bar: 5 } }, 'a published value is a copy')
+
+  try {
+    await store.set('fn', { f: () => {} })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof InvalidArgumentError)
+    t.equal(e.code, 'store.error.isolation.unclonable')
+    t.deepEqual(e.params, ['fn'])
+    t.equal(e.cause.name, 'DataCloneError')
+  }
+  t.notOk(await store.has('fn'), 'nothing is stored')
+  t.end()
+})
+
+test('isolation clone for every subscriber and mapper', async function (t) {
+  const store = Store.build({ isolation: 'clone' })
+  await store.set('k', { n: 1 })
+  const seen = []
+  await store.sub('a', 'k', (k, v, type, e) => {
+    v.n = 'mutated by a'
+    e.previous.n = 'mutated by a'
+  })
+  await store.sub('b', 'k', (k, v, type, e) => { seen.push([v.n, e.value.n, e.previous.n]) })
+  await store.set('k', { n: 2 })
+  await store.flush()
+  t.deepEqual(seen, [[2, 2, 1]], 'a subscriber mutating its value does not change the others')
+
+  await collect(store.find('k', v => {
+    v.n = 'mutated by the mapper'
+    return v
+  }))
+  t.deepEqual(await store.get('k'), { n: 2 }, 'the mapper is given a copy')
+  const snapshot = await store.snapshot()
+  await collect(snapshot.find('k', v => {
+    v.n = 'mutated by the snapshot mapper'
+    return v
+  }))
+  snapshot.release()
+  t.deepEqual(await store.get('k'), { n: 2 }, 'the snapshot mapper is given a copy')
+  await store.createIndex('n', v => v.n)
+  await collect(store.findBy('n', 2, v => {
+    v.n = 'mutated by the index mapper'
+    return v
+  }))
+  t.deepEqual(await store.get('k'), { n: 2 }, 'the index mapper is given a copy')
+  t.end()
+})
+
+test('isolation freeze', async function (t) {
+  const store = Store.build({ isolation: 'freeze' })
+  const v = { foo: { bar: [1] } }
+  await store.set('k', v)
+
+  const got = await store.get('k')
+  t.equal(got, v)
+  t.ok(Object.isFrozen(got))
+  t.ok(Object.isFrozen(got.foo))
+  t.ok(Object.isFrozen(got.foo.bar))
+  t.throws(() => got.foo.bar.push(2), TypeError)
+  t.deepEqual(await store.get('k'), { foo: { bar: [1] } })
+
+  await store.set('bytes', { data: new Uint8Array([1]), view: new DataView(new ArrayBuffer(2)) })
+  await store.set('buffer', Buffer.from('x'))
+  const bytes = await store.get('bytes')
+  t.ok(Object.isFrozen(bytes), 'a value holding a typed array is frozen')
+  t.deepEqual(Array.from(bytes.data), [1], 'the typed array is kept as is')
+  t.equal((await store.get('buffer')).toString(), 'x')
+  t.end()
+})
+
+test('detect mutations', async function (t) {
+  const reports = []
+  const store = Store.build({ detectMutations: e => reports.push(e) })
+  const v = { foo: 1 }
+  await store.set('k', v)
+  await store.set('other', { foo: 1 })
+  t.deepEqual(await store.get('k'), { foo: 1 })
+  t.deepEqual(reports, [])
+
+  v.foo = 2
+  await store.get('k')
+  await store.get('k')
+  t.equal(reports.length, 1, 'a mutation is reported once')
+  t.ok(reports[0] instanceof StoreError)
+  t.equal(reports[0].code, 'store.error.value.mutated')
+  t.deepEqual(reports[0].params, ['k', { foo: 1 }, { foo: 2 }])
+
+  const got = await store.get('other')
+  got.foo = 3
+  await collect(store.find(undefined, v => v.foo))
+  t.equal(reports.length, 2)
+  t.equal(reports[1].params[0], 'other')
+
+  v.foo = 4
+  await store.set('k', { foo: 5 })
+  t.equal(reports.length, 3, 'a mutation is reported when the value is replaced')
+  await store.get('k')
+  t.equal(reports.length, 3)
+  t.end()
+})
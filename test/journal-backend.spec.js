@@ -0,0 +1,192 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { appendFile, mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Store, StoreError } from '../src/index.js'
+
+const collect = async (store) => {
+  const found = []
+  for await (const e of store.find()) found.push(e)
+  return found
+}
+
+test('journal set del reopen', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  let store = await Store.open(dir)
+  const events = []
+
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+  await store.set('foo', { foo: 'bar' })
+  await store.set('bar', 42)
+  await Promise.all([store.set('baz', 1), store.set('baz', 2), store.set('baz', 3)])
+  await store.del('bar')
+  await store.close()
+
+  t.deepEqual(events.length, 6)
+  t.deepEqual((await readFile(join(dir, 'journal.ndjson'), 'utf8')).split('\n').length, 7)
+
+  store = await Store.open(dir)
+  t.deepEqual(await collect(store), [['foo', { foo: 'bar' }], ['baz', 3]])
+
+  // a torn write at the end of the journal is dropped
+  await appendFile(join(dir, 'journal.ndjson'), '{"op":"set","k":"qux"')
+  await store.close()
+  store = await Store.open(dir)
+  t.deepEqual(await collect(store), [['foo', { foo: 'bar' }], ['baz', 3]])
+  await store.set('qux', 'ok')
+  await store.close()
+
+  store = await Store.open(dir)
+  t.deepEqual(await store.get('qux'), 'ok')
+  await store.close()
+
+  try {
+    await store.set('late', true)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  await rm(dir, { recursive: true })
+  t.plan(6)
+  t.end()
+})
+
+test('journal compaction', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  let store = await Store.open(dir, { compactEvery: 3 })
+
+  await store.set('a', 1)
+  await store.set('b', 2)
+  await store.set('a', 3)
+  await store.flush()
+
+  t.deepEqual(await readFile(join(dir, 'journal.ndjson'), 'utf8'), '')
+  t.deepEqual(await readFile(join(dir, 'snapshot.ndjson'), 'utf8'), '{"k":"a","v":3}\n{"k":"b","v":2}\n')
+
+  await store.del('b')
+  await store.set('c', [1, 2])
+  await store.close()
+
+  store = await Store.open(dir, { compactEvery: 3 })
+  t.deepEqual(await collect(store), [['a', 3], ['c', [1, 2]]])
+  await store.db.compact()
+  await store.close()
+
+  store = await Store.open(dir)
+  t.deepEqual(await collect(store), [['a', 3], ['c', [1, 2]]])
+  await store.close()
+
+  await appendFile(join(dir, 'journal.ndjson'), 'not json\n')
+  try {
+    await Store.open(dir)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  await rm(dir, { recursive: true })
+  t.plan(5)
+  t.end()
+})
+
+test('journal keeps expiry times', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  const clock = () => clock.now
+  clock.now = 1000
+  let store = await Store.open(dir, { clock, sweepInterval: 0, compactEvery: 4 })
+  await store.set('session', 1, { ttl: 10 })
+  await store.set('token', 2)
+  await store.expire('token', 20)
+  await store.set('perm', 3)
+  await store.close()
+
+  store = await Store.open(dir, { clock, sweepInterval: 0 })
+  t.equal(await store.ttl('session'), 10, 'the snapshot keeps the expiry time')
+  t.equal(await store.ttl('token'), 20, 'the journal keeps the new expiry time')
+  t.equal(await store.ttl('perm'), Infinity)
+  await store.set('session', 4)
+  await store.close()
+
+  clock.now += 15
+  store = await Store.open(dir, { clock, sweepInterval: 0 })
+  t.equal(await store.ttl('session'), Infinity, 'a set without ttl removes the expiry time')
+  t.ok(await store.has('token'))
+  clock.now += 10
+  t.notOk(await store.has('token'), 'an entry expires after a restart')
+  await store.close()
+
+  await rm(dir, { recursive: true })
+  t.end()
+})
+
+test('journal compaction failure is reported', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  const store = await Store.open(dir, { compactEvery: 2 })
+  const snapshot = store.db.snapshot
+  store.db.snapshot = async function () {
+    this.snapshot = snapshot
+    throw new Error('disk full')
+  }
+  const failed = new Promise(resolve => store.once('compactError', resolve))
+
+  await store.set('a', 1)
+  await store.set('b', 2)
+  const e = await failed
+  t.ok(e instanceof StoreError)
+  t.equal(e.code, 'store.error.journal.compaction.failed')
+  t.equal(e.cause.message, 'disk full')
+  t.deepEqual(await collect(store), [['a', 1], ['b', 2]], 'the writes are applied')
+  t.equal((await readFile(join(dir, 'journal.ndjson'), 'utf8')).split('\n').length, 3, 'the records stay in the journal')
+
+  await store.set('c', 3)
+  await store.flush()
+  t.deepEqual(await readFile(join(dir, 'journal.ndjson'), 'utf8'), '', 'the next write compacts again')
+  await store.close()
+
+  await rm(dir, { recursive: true })
+  t.end()
+})
+
+test('journal encodes values', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  const value = {
+    at: new Date(0),
+    tags: new Map([['a', new Set([1])]]),
+    bytes: new Uint8Array([1, 2, 3]),
+    big: 2n ** 64n,
+    none: undefined
+  }
+  let store = await Store.open(dir, { compactEvery: 3 })
+  await store.set('snapshot', value)
+  await store.set('batch', 0)
+  await store.set('other', 0)
+  await store.flush()
+  await store.set('journal', value)
+  await store.transaction(async tx => {
+    await tx.set('batch', [{ big: 1n }])
+    await tx.del('other')
+  })
+  await store.close()
+
+  store = await Store.open(dir)
+  t.deepEqual(await store.get('snapshot'), value, 'the snapshot decodes the values')
+  t.deepEqual(await store.get('journal'), value, 'the journal decodes the values')
+  t.ok((await store.get('journal')).at instanceof Date)
+  t.ok((await store.get('journal')).bytes instanceof Uint8Array)
+  t.equal((await store.get('batch'))[0].big, 1n, 'a batch decodes the values')
+  t.notOk(await store.has('other'))
+  await store.close()
+
+  await rm(dir, { recursive: true })
+  t.end()
+})
@@ -0,0 +1,38 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { diff } from '../src/json-patch.js'
+
+test('json patch diff', function (t) {
+  t.deepEqual(diff(1, 1), [])
+  t.deepEqual(diff(undefined, { foo: 'bar' }), [{ op: 'add', path: '', value: { foo: 'bar' } }])
+  t.deepEqual(diff({ foo: 'bar' }, undefined), [{ op: 'remove', path: '' }])
+  t.deepEqual(diff('a', 'b'), [{ op: 'replace', path: '', value: 'b' }])
+  t.deepEqual(diff([1], { 0: 1 }), [{ op: 'replace', path: '', value: { 0: 1 } }])
+
+  t.deepEqual(diff(
+    { foo: 1, bar: [1, 2, 3], baz: { a: 'b' }, 'x/y~z': true },
+    { foo: 2, bar: [1, 4], baz: { a: 'b', c: null }, qux: [] }
+  ), [
+    { op: 'replace', path: '/foo', value: 2 },
+    { op: 'replace', path: '/bar/1', value: 4 },
+    { op: 'remove', path: '/bar/2' },
+    { op: 'add', path: '/baz/c', value: null },
+    { op: 'remove', path: '/x~1y~0z' },
+    { op: 'add', path: '/qux', value: [] }
+  ])
+
+  t.deepEqual(diff([1], [1, 2, 3]), [{ op: 'add', path: '/1', value: 2 }, { op: 'add', path: '/2', value: 3 }])
+  t.deepEqual(diff([1, 2, 3], []), [{ op: 'remove', path: '/2' }, { op: 'remove', path: '/1' }, { op: 'remove', path: '/0' }])
+
+  t.end()
+})
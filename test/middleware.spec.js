@@ -0,0 +1,170 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Readable } from 'node:stream'
+import { Store, StoreError, ForbiddenError, InvalidArgumentError } from '../src/index.js'
+
+test('middleware hooks run in order around an operation', async function (t) {
+  const store = Store.build()
+  const calls = []
+  const tracing = (name) => ({
+    set: {
+      before: async ({ k }) => { calls.push(`${name}:before:${k}`) },
+      after: async ({ k }) => { calls.push(`${name}:after:${k}`) }
+    }
+  })
+  t.equal(store.use(tracing('a')).use(tracing('b')), store, 'use is chainable')
+  await store.set('k', 1)
+  t.deepEqual(calls, ['a:before:k', 'b:before:k', 'b:after:k', 'a:after:k'])
+  t.end()
+})
+
+test('middleware transforms arguments and results', async function (t) {
+  const store = Store.build()
+  store.use({
+    set: { before: async (ctx) => { ctx.k = ctx.k.toLowerCase(); ctx.v = { ...ctx.v, at: 1 } } },
+    get: {
+      before: async (ctx) => { ctx.k = ctx.k.toLowerCase() },
+      after: async (ctx) => { if (ctx.result === undefined) ctx.result = null }
+    },
+    del: { before: async (ctx) => { ctx.k = ctx.k.toLowerCase() } },
+    find: {
+      after: async (ctx) => {
+        const entries = ctx.result
+        ctx.result = (async function * () {
+          for await (const [k, v] of entries) if (!k.startsWith('secret')) yield [k, v]
+        })()
+      }
+    }
+  })
+  await store.set('User:1', { name: 'ada' })
+  await store.set('secret', { name: 'key' })
+  t.deepEqual(await store.get('USER:1'), { name: 'ada', at: 1 })
+  t.equal(await store.get('missing'), null)
+  const found = []
+  for await (const [k] of store.find()) found.push(k)
+  t.deepEqual(found, ['user:1'])
+  await store.del('USER:1')
+  t.notOk(await store.has('user:1'))
+  t.end()
+})
+
+test('middleware short-circuits with an error', async function (t) {
+  const store = Store.build()
+  store.use({
+    set: { before: async ({ src }) => { if (src !== 'admin') throw new ForbiddenError('test.error.not.admin', src) } },
+    sub: { before: async ({ k }) => { if (k === 'boom') throw new Error('boom') } }
+  })
+  try {
+    await store.set('k', 1, { src: 'guest' })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ForbiddenError, 'a StoreError is thrown as is')
+    t.deepEqual(e.params, ['guest'])
+  }
+  t.notOk(await store.has('k'), 'the operation did not run')
+  await store.set('boom', 1, { src: 'admin' })
+  try {
+    await store.sub('test', 'boom', () => {})
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof StoreError)
+    t.equal(e.code, 'store.error.middleware.failed')
+    t.equal(e.cause.message, 'boom')
+  }
+  t.notOk(await store.hasSub('test', 'boom'))
+  t.end()
+})
+
+test('middleware suppresses publishing', async function (t) {
+  const store = Store.build()
+  store.use({
+    set: { before: async (ctx) => { ctx.publish = ctx.src !== 'import' } },
+    del: { before: async (ctx) => { ctx.publish = ctx.src !== 'import' } }
+  })
+  await store.set('k', 1)
+  const events = []
+  await store.sub('test', 'k', (k, v) => { events.push(v) })
+  await store.set('k', 2, { src: 'import' })
+  await store.set('k', 3)
+  await store.del('k', { src: 'import' })
+  await store.flush()
+  t.deepEqual(events, [3])
+  t.notOk(await store.hasSub('test', 'k'), 'a silent delete still unsubscribes')
+  t.end()
+})
+
+test('middleware runs for namespaces', async function (t) {
+  const store = Store.build()
+  const keys = []
+  store.use({ set: { before: async ({ k, src }) => { keys.push([k, src]) } } })
+  await store.namespace('tenant:a').set('x', 1, { src: 'app' })
+  t.deepEqual(keys, [['tenant:a:x', 'app']])
+  t.end()
+})
+
+test('middleware is given the source of reads', async function (t) {
+  const store = Store.build()
+  const reads = []
+  const recording = { before: async ({ op, k, src }) => { reads.push([op, k, src]) } }
+  store.use({ has: recording, get: recording, getWithMeta: recording, find: recording })
+  store.allow('alice', '*', ['read'])
+  await store.set('k', 1)
+  const alice = store.as('alice')
+  await alice.get('k')
+  await alice.has('k')
+  await alice.getWithMeta('k')
+  for await (const kv of alice.find('k')) t.deepEqual(kv, ['k', 1])
+  await store.get('k', { src: 'app' })
+  await store.namespace('ns').get('k', { src: 'app' })
+  t.deepEqual(reads, [
+    ['get', 'k', 'alice'],
+    ['has', 'k', 'alice'],
+    ['getWithMeta', 'k', 'alice'],
+    ['find', undefined, 'alice'],
+    ['get', 'k', 'app'],
+    ['get', 'ns:k', 'app']
+  ])
+  t.end()
+})
+
+test('middleware runs on every read and import', async function (t) {
+  const store = Store.build()
+  const ops = []
+  const recording = { before: async ({ op }) => { ops.push(op) } }
+  const middleware = {}
+  for (const op of ['has', 'getWithMeta', 'findBy', 'findRange', 'del', 'import']) middleware[op] = recording
+  store.use(middleware)
+  await store.set('ns:a', { age: 20 })
+  await store.set('ns:b', { age: 30 })
+  await store.createIndex('age', v => v.age)
+
+  t.equal(await store.has('ns:a'), true)
+  t.deepEqual((await store.getWithMeta('ns:a')).value, { age: 20 })
+  const byAge = []
+  for await (const [k] of store.findBy('age', 20)) byAge.push(k)
+  for await (const [k] of store.findRange('age', { gt: 20 })) byAge.push(k)
+  t.deepEqual(byAge, ['ns:a', 'ns:b'])
+  t.deepEqual(await store.findOneBy('age', 30), { age: 30 }, 'findOneBy runs through findBy')
+  t.equal(await store.namespace('ns').clear(), 2)
+  t.equal(await store.import(Readable.from(['{"k":"ns:c","v":1}\n'])), 1)
+  t.deepEqual(ops, ['has', 'getWithMeta', 'findBy', 'findRange', 'findBy', 'del', 'del', 'import'])
+  t.end()
+})
+
+test('middleware is validated', async function (t) {
+  const store = Store.build()
+  t.throws(() => store.use({ expire: { before: () => {} } }), InvalidArgumentError)
+  t.throws(() => store.use({ get: { around: () => {} } }), InvalidArgumentError)
+  t.throws(() => store.use({ get: { before: 1 } }), InvalidArgumentError)
+  t.end()
+})
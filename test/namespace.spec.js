@@ -0,0 +1,154 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, PubSubType } from '../src/index.js'
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+test('namespace entries and find', async function (t) {
+  const store = Store.build()
+  const carts = store.namespace('cart')
+  const users = store.namespace('user')
+
+  await carts.set('1', { total: 10 })
+  await carts.set('2', { total: 20 })
+  await users.set('1', { name: 'foo' })
+  await store.set('cartography', 'not in the namespace')
+
+  t.deepEqual(await store.get('cart:1'), { total: 10 })
+  t.deepEqual(await carts.get('1'), { total: 10 })
+  t.ok(await users.has('1'))
+  t.notOk(await users.has('2'))
+  t.deepEqual(await collect(carts.find()), [['1', { total: 10 }], ['2', { total: 20 }]])
+  t.deepEqual(await collect(carts.find(/^2$/)), [['2', { total: 20 }]])
+  t.deepEqual(await collect(carts.find('2', v => v.total)), [['2', 20]])
+  t.deepEqual(await collect(carts.find({ $key: '1' })), [['1', { total: 10 }]])
+  t.deepEqual(await collect(carts.find({ total: { $gt: 5 } }, { sort: { total: -1 }, limit: 1 })), [['2', { total: 20 }]])
+  t.deepEqual(await users.findOne(), { name: 'foo' })
+
+  const version = await carts.compareAndSet('3', 0, { total: 30 }, { ttl: 1000 })
+  t.deepEqual(await carts.getWithMeta('3'), { value: { total: 30 }, version })
+  t.ok(await carts.ttl('3') <= 1000)
+  await carts.compareAndDelete('3', version)
+  await carts.del('2')
+  t.notOk(await store.has('cart:2'))
+
+  await carts.transaction(async tx => {
+    await tx.set('4', { total: 40 })
+    t.deepEqual(await collect(tx.find()), [['1', { total: 10 }], ['4', { total: 40 }]])
+  })
+  t.deepEqual(await store.get('cart:4'), { total: 40 })
+  t.end()
+})
+
+test('namespace nesting and clear', async function (t) {
+  const store = Store.build()
+  const cart = store.namespace('cart').namespace('42')
+  const items = cart.namespace('item')
+  await items.set('a', 1)
+  await items.set('b', 2)
+  await cart.set('owner', 'foo')
+  await store.set('cart:43:item:a', 3)
+
+  t.equal(items.prefix, 'cart:42:item:')
+  t.deepEqual(await collect(cart.find()), [['item:a', 1], ['item:b', 2], ['owner', 'foo']])
+
+  const dels = []
+  await store.subGlobal('test', (k, v, type, e) => { dels.push([k, v, type, e.type, e.src]) })
+  t.equal(await cart.clear({ src: 'cleaner' }), 3)
+  t.deepEqual(dels, [
+    ['cart:42:item:a', 1, PubSubType.del, PubSubType.del, 'cleaner'],
+    ['cart:42:item:b', 2, PubSubType.del, PubSubType.del, 'cleaner'],
+    ['cart:42:owner', 'foo', PubSubType.del, PubSubType.del, 'cleaner']
+  ])
+  t.deepEqual(await collect(store.find()), [['cart:43:item:a', 3]])
+  t.equal(await cart.clear(), 0)
+  t.end()
+})
+
+test('namespace subscriptions', async function (t) {
+  const store = Store.build()
+  const carts = store.namespace('cart')
+  const events = []
+  const track = (name) => (k, v, type, e) => { events.push([name, k, v, e.key]) }
+
+  await carts.set('1', 1)
+  await store.set('user:1', 1)
+  await carts.subGlobal('global', track('global'))
+  await carts.sub('key', '1', track('key'))
+  await carts.subPattern('glob', '?', track('glob'))
+  await carts.subPattern('re', /2$/, track('re'))
+  t.ok(await carts.hasSubGlobal('global'))
+  t.notOk(await store.hasSubGlobal('global'))
+  t.ok(await carts.hasSub('key', '1'))
+  t.ok(await carts.hasSubPattern('glob', '?'))
+  t.ok(await carts.hasSubPattern('re', /2$/))
+
+  await carts.set('1', 2)
+  await carts.set('12', 3)
+  await store.set('user:2', 4)
+  t.deepEqual(events, [
+    ['key', '1', 2, '1'],
+    ['global', '1', 2, '1'],
+    ['glob', '1', 2, '1'],
+    ['global', '12', 3, '12'],
+    ['re', '12', 3, '12']
+  ])
+
+  await store.subGlobal('global', () => {})
+  await store.subPattern('re', 'user:', () => {})
+  await carts.unsubEveryWhere('global')
+  await carts.unsubEveryWhere('re')
+  t.notOk(await carts.hasSubGlobal('global'))
+  t.ok(await store.hasSubGlobal('global'), 'subscriptions out of the namespace are kept')
+  t.notOk(await carts.hasSubPattern('re', /2$/))
+  t.ok(await store.hasSubPattern('re', 'user:'))
+
+  await carts.unsub('key', '1')
+  await carts.unsubPattern('glob', '?')
+  t.notOk(await carts.hasSub('key', '1'))
+  t.notOk(await carts.hasSubPattern('glob', '?'))
+  events.length = 0
+  await carts.set('1', 5)
+  t.deepEqual(events, [])
+  t.end()
+})
+
+test('namespace anchored patterns', async function (t) {
+  const store = Store.build()
+  const ns = store.namespace('ns')
+  const keys = []
+  await ns.subPattern('test', /^a|^b/, (k) => { keys.push(k) })
+  await ns.subPattern('end', /[^x]z$/, (k) => { keys.push('end:' + k) })
+  for (const k of ['b', 'ns:a1', 'ns:b2', 'ns:xb', 'ns:yz', 'ns:xz', 'a']) await store.set(k, 1)
+  t.deepEqual(keys, ['a1', 'b2', 'end:yz'], 'the anchors match at the start of the keys of the namespace')
+  t.end()
+})
+
+test('namespace clear goes through del', async function (t) {
+  const store = Store.build()
+  const ns = store.namespace('ns')
+  await ns.set('a', 1)
+  await ns.set('b', 2)
+  await store.derive('ns:count', ['ns:a', 'ns:b'], async (a, b) => [a, b].filter(x => x !== undefined).length)
+  const deleted = []
+  store.use({ del: { before: async ({ k }) => { deleted.push(k) } } })
+  t.equal(await ns.clear(), 2)
+  t.deepEqual(deleted, ['ns:a', 'ns:b'], 'the del middleware runs')
+  await store.flush()
+  t.equal(await ns.get('count'), 0, 'derived keys are kept')
+  t.end()
+})
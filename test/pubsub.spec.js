@@ -0,0 +1,87 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { PubSub, Store } from '../src/index.js'
+
+test('pubsub subPattern trie', async function (t) {
+  const pubsub = new PubSub()
+  const calls = []
+  const track = (name) => (k, v, t) => { calls.push([name, k, v, t]) }
+
+  await pubsub.subPattern('a', 'user:', track('prefix'))
+  await pubsub.subPattern('a', 'user:*:profile', track('glob'))
+  await pubsub.subPattern('b', /^user:\d+$/, track('regexp'))
+  await pubsub.subPattern('b', /admin/, track('anywhere'))
+  await pubsub.subPattern('c', 'user:4?', track('single'))
+
+  t.ok(await pubsub.hasPattern('a', 'user:*:profile'))
+  t.notOk(await pubsub.hasPattern('a', /^user:\d+$/))
+  t.ok(await pubsub.hasPattern('b', /^user:\d+$/))
+
+  await pubsub.pub('user:42', 1, 'set')
+  await pubsub.pub('user:42:profile', 2, 'set')
+  await pubsub.pub('cart:admin', 3, 'set')
+  await pubsub.pub('other', 4, 'set')
+
+  t.deepEqual(calls, [
+    ['prefix', 'user:42', 1, 'set'],
+    ['regexp', 'user:42', 1, 'set'],
+    ['single', 'user:42', 1, 'set'],
+    ['prefix', 'user:42:profile', 2, 'set'],
+    ['glob', 'user:42:profile', 2, 'set'],
+    ['anywhere', 'cart:admin', 3, 'set']
+  ])
+
+  await pubsub.unsubPattern('a', 'user:')
+  await pubsub.unsubEveryWhere('b')
+  t.notOk(await pubsub.hasPattern('b', /admin/))
+  calls.length = 0
+  await pubsub.pub('user:42', 1, 'set')
+  await pubsub.pub('user:1:profile', 2, 'set')
+  t.deepEqual(calls, [
+    ['single', 'user:42', 1, 'set'],
+    ['glob', 'user:1:profile', 2, 'set']
+  ])
+
+  await pubsub.unsubPattern('a', 'user:*:profile')
+  await pubsub.unsubPattern('c', 'user:4?')
+  t.deepEqual(pubsub.trie.children.size, 0)
+  t.deepEqual(pubsub.trie.subs.size, 0)
+
+  t.end()
+})
+
+test('store subPattern for keys created later', async function (t) {
+  const store = Store.build()
+  const calls = []
+
+  await store.set('user:1', 'foo')
+  await store.set('cart:1', 'bar')
+  await store.subPattern('test', 'user:*', (k, v, t) => { calls.push([k, v, t]) }, true)
+  t.ok(await store.hasSubPattern('test', 'user:*'))
+
+  await store.set('user:2', 'baz')
+  await store.set('cart:2', 'qux')
+  await store.del('user:1')
+
+  await store.unsubPattern('test', 'user:*')
+  t.notOk(await store.hasSubPattern('test', 'user:*'))
+  await store.set('user:3', 'nope')
+
+  t.deepEqual(calls, [
+    ['user:1', 'foo', 'sub'],
+    ['user:2', 'baz', 'set'],
+    ['user:1', 'foo', 'del']
+  ])
+
+  t.end()
+})
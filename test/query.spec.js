@@ -0,0 +1,131 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, InvalidArgumentError } from '../src/index.js'
+import { compile } from '../src/query.js'
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+const keys = async (it) => (await collect(it)).map(([k]) => k)
+
+const users = async () => {
+  const store = Store.build()
+  await store.set('user:1', { name: 'foo', age: 42, tags: ['admin', 'staff'], profile: { city: 'Paris' } })
+  await store.set('user:2', { name: 'bar', age: 17, tags: ['guest'], profile: { city: 'Lyon' } })
+  await store.set('user:3', { name: 'baz', age: 25, tags: [], profile: { city: 'Paris', zip: '75001' } })
+  await store.set('item:1', { name: 'qux', price: 10 })
+  return store
+}
+
+test('query operators', async function (t) {
+  const match = (q, v, k = 'k') => compile(q)([k, v])
+
+  t.ok(match({ a: 1 }, { a: 1 }))
+  t.notOk(match({ a: 1 }, { a: 2 }))
+  t.ok(match({ a: { b: [1] } }, { a: { b: [1] } }))
+  t.ok(match({ a: { $ne: 1 } }, { a: 2 }))
+  t.ok(match({ a: { $gt: 1, $lte: 3 } }, { a: 3 }))
+  t.notOk(match({ a: { $gt: 1, $lt: 3 } }, { a: 3 }))
+  t.notOk(match({ a: { $gt: 1 } }, { a: '2' }))
+  t.ok(match({ a: { $gte: new Date(1000) } }, { a: new Date(2000) }))
+  t.ok(match({ a: { $in: [1, 2] } }, { a: 2 }))
+  t.ok(match({ a: { $nin: [1, 2] } }, { a: 3 }))
+  t.ok(match({ a: { $exists: false } }, { b: 1 }))
+  t.ok(match({ a: { $exists: true } }, { a: null }))
+  t.ok(match({ a: { $regex: '^fo', $options: 'i' } }, { a: 'FOO' }))
+  t.ok(match({ a: /^fo/ }, { a: 'foo' }))
+  t.ok(match({ a: 'x' }, { a: ['x', 'y'] }))
+  t.ok(match({ a: { $size: 2 } }, { a: ['x', 'y'] }))
+  t.ok(match({ a: { $all: ['y', 'x'] } }, { a: ['x', 'y', 'z'] }))
+  t.ok(match({ a: { $elemMatch: { $gt: 2, $lt: 4 } } }, { a: [1, 3, 5] }))
+  t.notOk(match({ a: { $elemMatch: { $gt: 3, $lt: 4 } } }, { a: [1, 3, 5] }))
+  t.ok(match({ a: { $not: { $gt: 2 } } }, { a: 1 }))
+  t.ok(match({ a: { $type: 'array' } }, { a: [] }))
+  t.ok(match({ 'a.b.0': 1 }, { a: { b: [1] } }))
+  t.ok(match({ $or: [{ a: 1 }, { b: 1 }] }, { b: 1 }))
+  t.notOk(match({ $and: [{ a: 1 }, { b: 1 }] }, { b: 1 }))
+  t.ok(match({ $nor: [{ a: 1 }] }, { b: 1 }))
+  t.ok(match({ $key: { $regex: '^user:' } }, {}, 'user:1'))
+  t.notOk(match({ $key: 'user' }, {}, 'user:1'))
+
+  t.throws(() => compile({ a: { $foo: 1 } }), StoreError)
+  t.throws(() => compile({ $foo: [] }), StoreError)
+  for (const op of ['$in', '$nin', '$all']) {
+    t.throws(() => compile({ a: { [op]: 'admin' } }), InvalidArgumentError, op + ' needs an array')
+    t.throws(() => compile({ a: { $elemMatch: { [op]: 1 } } }), InvalidArgumentError, 'nested conditions are checked when compiled')
+    t.throws(() => compile({ a: { $not: { [op]: null } } }), InvalidArgumentError)
+  }
+  t.end()
+})
+
+test('store find with query object', async function (t) {
+  const store = await users()
+
+  t.deepEqual(await keys(store.find({ age: { $gte: 18 } })), ['user:1', 'user:3'])
+  t.deepEqual(await keys(store.find({ $key: { $regex: '^user:' }, 'profile.city': 'Paris' })), ['user:1', 'user:3'])
+  t.deepEqual(await keys(store.find({ tags: 'staff' })), ['user:1'])
+  t.deepEqual(await keys(store.find({ $or: [{ price: { $lt: 20 } }, { age: { $lt: 18 } }] })), ['user:2', 'item:1'])
+  t.deepEqual(await store.findOne({ name: 'qux' }), { name: 'qux', price: 10 })
+  t.deepEqual(await store.findOne({ name: 'none' }), undefined)
+  t.end()
+})
+
+test('store find sort skip limit projection', async function (t) {
+  const store = await users()
+  const q = { $key: { $regex: '^user:' } }
+
+  t.deepEqual(await keys(store.find(q, { sort: { age: 1 } })), ['user:2', 'user:3', 'user:1'])
+  t.deepEqual(await keys(store.find(q, { sort: { age: -1 }, skip: 1, limit: 1 })), ['user:3'])
+  t.deepEqual(await keys(store.find(undefined, { sort: { $key: -1 }, limit: 2 })), ['user:3', 'user:2'])
+  t.deepEqual(await keys(store.find(undefined, { sort: { price: 1, $key: 1 } })), ['user:1', 'user:2', 'user:3', 'item:1'])
+  t.deepEqual(await keys(store.find(undefined, { skip: 3 })), ['item:1'])
+  t.deepEqual(await keys(store.find(undefined, { limit: 0 })), ['user:1', 'user:2', 'user:3', 'item:1'], 'a limit of 0 is no limit')
+  t.deepEqual(await keys(store.find(undefined, { skip: 1, limit: 0 })), ['user:2', 'user:3', 'item:1'])
+  t.deepEqual(await collect(store.find(q, { sort: { age: 1 }, limit: 1, projection: { name: 1, 'profile.city': 1 } })), [['user:2', { name: 'bar', profile: { city: 'Lyon' } }]])
+  t.deepEqual(await collect(store.find('item:', { projection: { price: 0 } })), [['item:1', { name: 'qux' }]])
+  t.deepEqual(await collect(store.find('item:', v => v.price, { projection: { price: 0 } })), [['item:1', 10]])
+  t.deepEqual(await store.findOne(q, { sort: { age: -1 } }), { name: 'foo', age: 42, tags: ['admin', 'staff'], profile: { city: 'Paris' } })
+  t.deepEqual(await store.get('item:1'), { name: 'qux', price: 10 }, 'projection does not change the stored value')
+
+  try {
+    await collect(store.find(q, { projection: { name: 1, age: 0 } }))
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof StoreError)
+    t.equal(e.message, 'store.error.query.mixed.projection')
+  }
+  for (const limit of [-1, NaN, '10']) {
+    try {
+      await collect(store.find(q, { limit }))
+      t.fail('should throw')
+    } catch (e) {
+      t.ok(e instanceof InvalidArgumentError)
+      t.equal(e.code, 'store.error.query.invalid.limit')
+    }
+  }
+  t.end()
+})
+
+test('transaction find with query object', async function (t) {
+  const store = await users()
+
+  await store.transaction(async tx => {
+    await tx.set('user:4', { name: 'quux', age: 30 })
+    await tx.del('user:1')
+    t.deepEqual(await keys(tx.find({ age: { $gte: 18 } }, { sort: { age: -1 } })), ['user:4', 'user:3'])
+  })
+  t.end()
+})
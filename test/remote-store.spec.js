@@ -0,0 +1,330 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import http from 'node:http'
+import net from 'node:net'
+import { once } from 'node:events'
+import { Store, StoreServer, RemoteStore, ChangeEvent, NotFoundError, InvalidArgumentError, ForbiddenError, TimeoutError, ClosedError } from '../src/index.js'
+import WebSocketConnection from '../src/websocket.js'
+
+const serve = async (store, options) => {
+  const server = new StoreServer(store, options)
+  const { port } = await server.listen(0, '127.0.0.1')
+  return { server, url: `ws://127.0.0.1:${port}/`, http: `http://127.0.0.1:${port}/` }
+}
+
+test('remote store entries', async function (t) {
+  const store = Store.build()
+  const { server, url } = await serve(store)
+  const remote = await RemoteStore.connect(url)
+
+  await remote.set('foo', { bar: [1, 2] })
+  t.deepEqual(await store.get('foo'), { bar: [1, 2] })
+  t.deepEqual(await remote.get('foo'), { bar: [1, 2] })
+  t.equal(await remote.has('foo'), true)
+  await remote.del('foo')
+  t.equal(await remote.has('foo'), false)
+  t.equal(await remote.get('foo'), undefined)
+
+  try {
+    await remote.del('foo')
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof NotFoundError, 'errors are revived')
+    t.equal(e.code, 'store.error.delete.key.not.exists')
+    t.deepEqual(e.params, ['foo'])
+  }
+
+  await remote.close()
+  await server.close()
+  t.end()
+})
+
+test('remote store find', async function (t) {
+  const store = Store.build()
+  for (const [k, age] of [['user:a', 30], ['user:b', 12], ['user:c', 45], ['item:a', 1]]) await store.set(k, { age })
+  const { server, url } = await serve(store)
+  const remote = await RemoteStore.connect(url)
+  const all = async (it) => {
+    const entries = []
+    for await (const [k] of it) entries.push(k)
+    return entries
+  }
+
+  t.deepEqual(await all(remote.find('user:')), ['user:a', 'user:b', 'user:c'])
+  t.deepEqual(await all(remote.find(/:a$/)), ['user:a', 'item:a'])
+  t.deepEqual(await all(remote.find({ $key: { $regex: '^user:' }, age: { $gte: 18 } }, { sort: { age: -1 } })), ['user:c', 'user:a'])
+  t.deepEqual(await all(remote.find(([k, v]) => v.age < 20)), ['user:b', 'item:a'], 'predicates are applied by the client')
+  t.deepEqual(await all(remote.find('user:', v => v.age, { sort: { $key: -1 }, limit: 2 })), ['user:c', 'user:b'])
+  t.deepEqual(await remote.findOne('user:', { sort: { age: 1 } }), { age: 12 })
+
+  await remote.close()
+  await server.close()
+  t.end()
+})
+
+test('remote store subscriptions', async function (t) {
+  const store = Store.build()
+  await store.set('foo', 1)
+  const { server, url } = await serve(store)
+  const remote = await RemoteStore.connect(url)
+  const events = []
+  const record = (name) => (k, v, type, e) => {
+    t.ok(e instanceof ChangeEvent)
+    events.push([name, type, k, v, e.src])
+  }
+
+  await remote.sub('app', 'foo', record('key'), true)
+  await remote.subPattern('app', /^ba/, record('pattern'))
+  await remote.subGlobal('app', record('global'))
+  t.equal(await remote.hasSub('app', 'foo'), true)
+  t.equal(await remote.hasSubPattern('app', /^ba/), true)
+  t.equal(await remote.hasSubGlobal('app'), true)
+  t.equal(await store.hasSubGlobal('app'), false, 'sources are mapped per connection')
+
+  await store.set('foo', 2, { src: 'server' })
+  await store.set('bar', 1)
+  await remote.unsubGlobal('app')
+  await store.del('foo')
+  await store.set('foo', 3)
+  await remote.del('bar')
+  t.deepEqual(events, [
+    ['key', 'sub', 'foo', 1, undefined],
+    ['global', 'set', 'foo', 2, 'server'],
+    ['key', 'set', 'foo', 2, 'server'],
+    ['global', 'set', 'bar', 1, undefined],
+    ['pattern', 'set', 'bar', 1, undefined],
+    ['key', 'del', 'foo', 2, undefined],
+    ['pattern', 'del', 'bar', 1, undefined]
+  ])
+
+  const closed = once(remote, 'close')
+  await remote.close()
+  await closed
+  while (server.connections.size > 0) await new Promise(resolve => setTimeout(resolve, 1))
+  await Promise.resolve()
+  t.equal(store.pubsub.src_patterns.size, 0, 'subscriptions are removed on disconnect')
+
+  await server.close()
+  t.end()
+})
+
+test('remote store subscriber failures', async function (t) {
+  const store = Store.build()
+  await store.set('foo', 1)
+  const { server, url } = await serve(store)
+  const remote = await RemoteStore.connect(url)
+  const failures = []
+  remote.on('subscriberError', (e) => { failures.push([e.code, e.src, e.key, e.cause.message]) })
+
+  await remote.sub('throwing', 'foo', () => { throw new Error('thrown') })
+  await remote.subGlobal('rejecting', async () => { throw new Error('rejected') })
+  let last
+  const delivered = new Promise(resolve => { last = resolve })
+  await remote.subPattern('last', 'foo', () => last())
+  await store.set('foo', 2)
+  await delivered
+  await new Promise(resolve => setImmediate(resolve))
+  t.deepEqual(failures.sort(), [
+    ['store.error.subscriber.failed', 'rejecting', 'foo', 'rejected'],
+    ['store.error.subscriber.failed', 'throwing', 'foo', 'thrown']
+  ], 'the client keeps running')
+
+  const warned = once(process, 'warning')
+  Array.from(server.connections)[0].ws.send('not json')
+  const [warning] = await warned
+  t.equal(warning.code, 'store.error.remote.invalid.message', 'a malformed frame is a warning')
+  t.equal(await remote.get('foo'), 2)
+
+  await remote.close()
+  await server.close()
+  t.end()
+})
+
+test('remote store over http', async function (t) {
+  const store = Store.build()
+  await store.set('foo', 'bar')
+  const { server, http: url } = await serve(store)
+  const post = async (body, path = '') => {
+    const res = await fetch(url + path, { method: 'POST', body: JSON.stringify(body) })
+    return [res.status, await res.json()]
+  }
+
+  t.deepEqual(await post({ method: 'get', params: ['foo'] }), [200, { result: 'bar' }])
+  t.deepEqual(await post({ method: 'find', params: [''] }), [200, { result: [['foo', 'bar']] }])
+  const [status, { error }] = await post({ method: 'del', params: ['missing'] })
+  t.equal(status, 404)
+  t.ok(NotFoundError.fromJSON(error) instanceof NotFoundError)
+  t.equal((await post({ method: 'subGlobal', params: ['app'] }))[0], 400, 'subscriptions need a WebSocket')
+  t.equal((await post({ method: 'get', params: ['foo'] }, 'other'))[0], 404)
+
+  await server.close()
+  t.end()
+})
+
+test('remote store unserializable result', async function (t) {
+  const store = Store.build()
+  await store.set('big', 1n)
+  const { server, url, http: httpUrl } = await serve(store)
+  const remote = await RemoteStore.connect(url)
+
+  try {
+    await remote.get('big')
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.code, 'store.error.server.unserializable.result')
+    t.deepEqual(e.params, ['get'])
+  }
+  t.equal(await remote.has('big'), true, 'the connection still answers')
+
+  const res = await fetch(httpUrl, { method: 'POST', body: JSON.stringify({ method: 'get', params: ['big'] }) })
+  t.equal(res.status, 500)
+  t.equal((await res.json()).error.code, 'store.error.server.unserializable.result')
+  const again = await fetch(httpUrl, { method: 'POST', body: JSON.stringify({ method: 'has', params: ['big'] }) })
+  t.deepEqual(await again.json(), { result: true }, 'the server still answers')
+
+  await remote.close()
+  await server.close()
+  t.end()
+})
+
+test('remote store authentication', async function (t) {
+  const store = Store.build()
+  const { server, url, http: httpUrl } = await serve(store, {
+    authenticate: async (req) => req.headers.authorization === 'Bearer secret' && { user: 'alice' }
+  })
+
+  try {
+    await RemoteStore.connect(url)
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ForbiddenError)
+    t.deepEqual(e.params, [url, 403])
+  }
+  const res = await fetch(httpUrl, { method: 'POST', body: JSON.stringify({ method: 'get', params: ['foo'] }) })
+  t.equal(res.status, 403)
+  t.equal((await res.json()).error.code, 'store.error.server.unauthenticated')
+
+  const remote = await RemoteStore.connect(url, { headers: { Authorization: 'Bearer secret' } })
+  t.equal(await remote.has('foo'), false)
+  t.deepEqual(Array.from(server.connections).map(c => c.principal), [{ user: 'alice' }])
+
+  const srcs = []
+  const record = { before: async ({ op, src }) => { srcs.push([op, src]) } }
+  store.use({ set: record, get: record, del: record, find: record })
+  const changes = []
+  await store.subGlobal('server', (k, v, type, e) => { changes.push([type, k, e.src]) })
+  const remoteChanges = []
+  await remote.subGlobal('client', (k, v, type, e) => { remoteChanges.push([type, k, e.src]) })
+  await remote.set('foo', 1, { src: 'admin' })
+  await remote.get('foo')
+  for await (const kv of remote.find('foo')) t.ok(kv)
+  await remote.del('foo', { src: 'admin' })
+  await fetch(httpUrl, { method: 'POST', headers: { Authorization: 'Bearer secret' }, body: JSON.stringify({ method: 'set', params: ['bar', 2, { src: 'admin' }] }) })
+  await store.flush()
+  await remote.get('bar')
+  const alice = { user: 'alice' }
+  t.deepEqual(srcs, [['set', alice], ['get', alice], ['find', alice], ['del', alice], ['set', alice], ['get', alice]], 'the principal is the source of the calls')
+  t.deepEqual(changes, [['set', 'foo', alice], ['del', 'foo', alice], ['set', 'bar', alice]], 'the client cannot give another source')
+  t.deepEqual(remoteChanges, [['set', 'foo', undefined], ['del', 'foo', undefined], ['set', 'bar', undefined]], 'the principal is not sent to clients')
+
+  await remote.close()
+  await server.close()
+  t.end()
+})
+
+test('remote store timeout and closure', async function (t) {
+  const silent = http.createServer()
+  silent.on('upgrade', (req, socket, head) => WebSocketConnection.accept(req, socket, head))
+  silent.listen(0, '127.0.0.1')
+  await once(silent, 'listening')
+  const remote = await RemoteStore.connect(`ws://127.0.0.1:${silent.address().port}/`, { timeout: 10 })
+
+  try {
+    await remote.get('foo')
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof TimeoutError)
+    t.deepEqual(e.params, ['get', 10])
+  }
+
+  await remote.close()
+  try {
+    await remote.get('foo')
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ClosedError)
+  }
+  try {
+    await new StoreServer(Store.build()).invoke({ method: 'close' })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof InvalidArgumentError)
+  }
+
+  silent.closeAllConnections()
+  silent.close()
+  t.end()
+})
+
+test('remote store websocket protocol errors', async function (t) {
+  const store = Store.build()
+  const { server } = await serve(store)
+  const { port } = server.server.address()
+  const handshake = async (version = '13') => {
+    const socket = net.connect(port, '127.0.0.1')
+    await once(socket, 'connect')
+    socket.write([
+      'GET / HTTP/1.1',
+      'Host: 127.0.0.1',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      ...(version ? ['Sec-WebSocket-Version: ' + version] : []),
+      '',
+      ''
+    ].join('\r\n'))
+    const [response] = await once(socket, 'data')
+    return { socket, response: response.toString('utf8') }
+  }
+  // sends frames, masked with a zero mask unless told otherwise, then reads the status code of the close frame answered
+  const closure = async (frames) => {
+    const { socket } = await handshake()
+    let received = Buffer.alloc(0)
+    socket.on('data', chunk => { received = Buffer.concat([received, chunk]) })
+    for (const [first, payload, masked = true] of frames) {
+      const bytes = Buffer.from(payload)
+      socket.write(Buffer.concat([Buffer.from([first, (masked ? 0x80 : 0) | bytes.length]), masked ? Buffer.alloc(4) : Buffer.alloc(0), bytes]))
+    }
+    await once(socket, 'end')
+    socket.destroy()
+    return received[0] === 0x88 ? received.readUInt16BE(2) : undefined
+  }
+
+  t.equal(await closure([[0x81, 'x', false]]), 1002, 'an unmasked client frame closes the connection')
+  t.equal(await closure([[0x80, 'x']]), 1002, 'a continuation frame without message closes the connection')
+  t.equal(await closure([[0x01, 'x'], [0x81, 'y']]), 1002, 'a new message in the middle of another closes the connection')
+
+  for (const version of ['8', null]) {
+    const { socket, response } = await handshake(version)
+    t.ok(response.startsWith('HTTP/1.1 400 '), 'an unsupported version is refused')
+    t.ok(response.includes('Sec-WebSocket-Version: 13\r\n'), 'with the supported version')
+    socket.destroy()
+  }
+
+  const remote = await RemoteStore.connect(`ws://127.0.0.1:${port}/`)
+  await remote.set('foo', 1)
+  t.equal(await remote.get('foo'), 1, 'a valid client is served')
+  await remote.close()
+  await server.close()
+  t.end()
+})
@@ -0,0 +1,184 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { once } from 'node:events'
+import { Duplex, PassThrough } from 'node:stream'
+import { MessageChannel } from 'node:worker_threads'
+import { Store, ForbiddenError, ClosedError } from '../src/index.js'
+
+const pair = () => {
+  const a = new PassThrough()
+  const b = new PassThrough()
+  return [Duplex.from({ readable: a, writable: b }), Duplex.from({ readable: b, writable: a })]
+}
+
+const caughtUp = async (replication, primary) => {
+  while (replication.acked < primary.version) await once(replication, 'ack')
+}
+
+test('replication sends the whole store then every operation', async function (t) {
+  const primary = Store.build()
+  await primary.set('foo', { n: 1 })
+  await primary.set('bar', 'bar')
+  const [p, r] = pair()
+  const replication = primary.replicate(p)
+  const replica = await Store.replicaOf(r)
+
+  t.deepEqual(await replica.get('foo'), { n: 1 })
+  t.deepEqual(await replica.getWithMeta('bar'), await primary.getWithMeta('bar'), 'versions are the sequences of the primary')
+
+  const events = []
+  await replica.subGlobal('test', (k, v, type, e) => { events.push([e.type, k, e.value]) })
+  await primary.set('foo', { n: 2 })
+  await primary.del('bar')
+  await primary.transaction(async tx => {
+    await tx.set('a', 1)
+    await tx.set('b', 2)
+  })
+  await caughtUp(replication, primary)
+  t.deepEqual(events, [['update', 'foo', { n: 2 }], ['del', 'bar', undefined], ['create', 'a', 1], ['create', 'b', 2]])
+  t.equal(replica.version, primary.version)
+  t.equal(replication.acked, primary.version)
+
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replica is read-only', async function (t) {
+  const primary = Store.build()
+  await primary.set('foo', 'bar')
+  const [p, r] = pair()
+  const replication = primary.replicate(p)
+  const replica = await Store.replicaOf(r)
+  for (const write of [() => replica.set('foo', 'baz'), () => replica.del('foo'), () => replica.expire('foo', 10)]) {
+    try {
+      await write()
+      t.fail('should throw')
+    } catch (e) {
+      t.ok(e instanceof ForbiddenError)
+      t.equal(e.code, 'store.error.replica.read.only')
+      t.equal(e.status, 403)
+    }
+  }
+  t.equal(await replica.get('foo'), 'bar')
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replica resumes from its last sequence', async function (t) {
+  const primary = Store.build()
+  await primary.set('foo', 1)
+  let [p, r] = pair()
+  let replication = primary.replicate(p)
+  const replica = await Store.replicaOf(r)
+  const events = []
+  await replica.subGlobal('test', (k, v) => { events.push(k + v) })
+
+  replica.follower.close()
+  await once(replication, 'close')
+  await primary.set('foo', 2)
+  await primary.set('bar', 1)
+
+  ;[p, r] = pair()
+  const sent = []
+  r.on('data', chunk => sent.push(...chunk.toString().split('\n').filter(line => line).map(line => JSON.parse(line).type)))
+  replication = primary.replicate(p)
+  await replica.follow(r)
+  t.deepEqual(events, ['foo2', 'bar1'])
+  t.deepEqual(sent, ['ops', 'ready'], 'only the missing operations are sent')
+  t.deepEqual(await replica.get('foo'), 2)
+
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replica is sent the whole store when operations are missing', async function (t) {
+  const primary = Store.build()
+  await primary.set('foo', 1)
+  await primary.set('bar', 1)
+  await primary.set('baz', 1)
+  let [p, r] = pair()
+  let replication = primary.replicate(p, { backlog: 2 })
+  const replica = await Store.replicaOf(r)
+  const events = []
+  await replica.subGlobal('test', (k, v, type) => { events.push(type + ' ' + k) })
+
+  replication.close()
+  await once(replica.follower, 'close')
+  await primary.set('foo', 2)
+  await primary.del('bar')
+  await primary.set('qux', 1)
+
+  ;[p, r] = pair()
+  replication = primary.replicate(p)
+  await replica.follow(r)
+  t.deepEqual(events.sort(), ['del bar', 'set foo', 'set qux'], 'only the changed entries are written')
+  const entries = []
+  for await (const kv of replica.find()) entries.push(kv)
+  t.deepEqual(entries.sort(), [['baz', 1], ['foo', 2], ['qux', 1]])
+  t.equal(replica.version, primary.version)
+
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replication over a MessagePort', async function (t) {
+  const primary = Store.build()
+  await primary.set('foo', new Date(0))
+  const { port1, port2 } = new MessageChannel()
+  const replication = primary.replicate(port1)
+  const replica = await Store.replicaOf(port2)
+  t.deepEqual(await replica.get('foo'), new Date(0), 'values are cloned by the port')
+  await primary.set('bar', [1, 2])
+  await caughtUp(replication, primary)
+  t.deepEqual(await replica.get('bar'), [1, 2])
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replication of expirations', async function (t) {
+  let now = 0
+  const primary = Store.build({ clock: () => now, sweepInterval: 0 })
+  await primary.set('foo', 'bar', { ttl: 10 })
+  const [p, r] = pair()
+  const replication = primary.replicate(p)
+  const replica = await Store.replicaOf(r)
+  t.equal(await replica.ttl('foo'), Infinity, 'times to live are not replicated')
+  const events = []
+  await replica.subGlobal('test', (k, v, type) => { events.push(type) })
+  now = 10
+  await primary.sweep()
+  await caughtUp(replication, primary)
+  t.deepEqual(events, ['expire'])
+  t.equal(await replica.has('foo'), false)
+  replication.close()
+  await once(replica.follower, 'close')
+  t.end()
+})
+
+test('replica fails to follow a closed stream', async function (t) {
+  const [p, r] = pair()
+  p.end()
+  try {
+    await Store.replicaOf(r)
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ClosedError)
+    t.equal(e.code, 'store.error.replication.ended')
+  }
+  t.end()
+})
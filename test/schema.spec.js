@@ -0,0 +1,121 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, ValidationError, validate } from '../src/index.js'
+
+const user = {
+  type: 'object',
+  required: ['name', 'email'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    tags: { type: 'array', items: { enum: ['admin', 'staff'] }, uniqueItems: true },
+    address: {
+      type: 'object',
+      properties: { zip: { type: ['string', 'null'], maxLength: 5 } }
+    }
+  }
+}
+
+test('validate', function (t) {
+  t.deepEqual(validate(user, { name: 'foo', email: 'foo@bar.com', age: 42, tags: ['admin'], address: { zip: null } }), [])
+  t.deepEqual(validate(user, { name: '', email: 'foo', age: 1.5, tags: ['admin', 'admin', 'guest'], address: { zip: '123456' }, other: 1 }), [
+    { path: '/name', message: 'must have at least 1 characters' },
+    { path: '/email', message: 'must match ^[^@]+@[^@]+$' },
+    { path: '/age', message: 'must be of type integer' },
+    { path: '/tags', message: 'must have unique items' },
+    { path: '/tags/2', message: 'must be one of ["admin","staff"]' },
+    { path: '/address/zip', message: 'must have at most 5 characters' },
+    { path: '/other', message: 'is not allowed' }
+  ])
+  t.deepEqual(validate(user, []), [{ path: '', message: 'must be of type object' }])
+  t.deepEqual(validate(user, {}), [
+    { path: '', message: 'required property name is missing' },
+    { path: '', message: 'required property email is missing' }
+  ])
+  t.deepEqual(validate({ properties: { 'a/b': { const: 1 } } }, { 'a/b': 2 }), [{ path: '/a~1b', message: 'must be 1' }])
+  t.deepEqual(validate({ type: 'number', exclusiveMinimum: 0, multipleOf: 0.5 }, 0.75), [{ path: '', message: 'must be a multiple of 0.5' }])
+  t.deepEqual(validate({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true), [{ path: '', message: 'must match a schema in anyOf' }])
+  t.deepEqual(validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1), [{ path: '', message: 'must match exactly one schema in oneOf' }])
+  t.deepEqual(validate({ not: { type: 'null' } }, null), [{ path: '', message: 'must not match the schema in not' }])
+  t.deepEqual(validate({ allOf: [{ minimum: 2 }, { maximum: 0 }] }, 1), [{ path: '', message: 'must be >= 2' }, { path: '', message: 'must be <= 0' }])
+  t.end()
+})
+
+test('store defineSchema rejects invalid values', async function (t) {
+  const store = Store.build()
+  const events = []
+  await store.set('user:1', { name: 'foo', email: 'foo@bar.com' })
+  await store.sub('test', 'user:1', (k, v) => { events.push(v) })
+  store.defineSchema('user:*', user)
+
+  try {
+    await store.set('user:1', { name: 'foo', email: 'foo', age: -1 })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ValidationError)
+    t.ok(e instanceof StoreError)
+    t.equal(e.key, 'user:1')
+    t.deepEqual(e.errors, [{ path: '/email', message: 'must match ^[^@]+@[^@]+$' }, { path: '/age', message: 'must be >= 0' }])
+  }
+  t.deepEqual(await store.get('user:1'), { name: 'foo', email: 'foo@bar.com' })
+  t.deepEqual(events, [])
+
+  await store.set('user:1', { name: 'bar', email: 'bar@bar.com' })
+  await store.set('other', 'not validated')
+  t.deepEqual(events, [{ name: 'bar', email: 'bar@bar.com' }])
+
+  try {
+    await store.transaction(async tx => {
+      await tx.set('user:2', { name: 'baz', email: 'baz@bar.com' })
+      await tx.set('user:3', {})
+    })
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ValidationError)
+  }
+  t.notOk(await store.has('user:2'))
+
+  store.dropSchema('user:*')
+  await store.set('user:3', {})
+  t.deepEqual(await store.get('user:3'), {})
+  t.end()
+})
+
+test('store defineSchema custom validator and validateAll', async function (t) {
+  const store = Store.build({ validator: (schema, v) => schema(v) ? [] : [{ path: '', message: 'is invalid' }] })
+  await store.set('count:1', 1)
+  await store.set('count:2', -2)
+  await store.set('name:1', 'foo')
+  await store.set('name:2', 42)
+
+  t.deepEqual(await store.validateAll(), [])
+
+  store.defineSchema('count:', v => v >= 0)
+  store.defineSchema(/^name:/, { type: 'string' }, { validator: validate })
+
+  t.deepEqual(await store.validateAll(), [
+    { key: 'count:2', errors: [{ path: '', message: 'is invalid' }] },
+    { key: 'name:2', errors: [{ path: '', message: 'must be of type string' }] }
+  ])
+  try {
+    await store.set('count:3', -1)
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ValidationError)
+  }
+  t.notOk(await store.has('count:3'))
+  await store.set('name:3', 'bar')
+  t.end()
+})
@@ -0,0 +1,133 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, ClosedError, SqliteBackend } from '../src/index.js'
+
+const skip = !(await import('node:sqlite').then(() => true, () => false))
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+const writes = async (store) => {
+  await store.set('a', 1)
+  await store.set('b', { foo: 'bar' })
+  await store.set('c', 3)
+  const snapshot = await store.snapshot()
+
+  await store.set('a', 10)
+  await store.del('b')
+  await store.set('d', 4)
+  await store.set('b', 20)
+  return snapshot
+}
+
+test('snapshot has get find', async function (t) {
+  const store = Store.build()
+  const snapshot = await writes(store)
+
+  t.equal(await snapshot.get('a'), 1)
+  t.deepEqual(await snapshot.get('b'), { foo: 'bar' })
+  t.ok(await snapshot.has('c'))
+  t.notOk(await snapshot.has('d'))
+  t.equal(await snapshot.get('d'), undefined)
+  t.deepEqual(await collect(snapshot.find()), [['a', 1], ['c', 3], ['b', { foo: 'bar' }]])
+  t.deepEqual(await collect(snapshot.find(undefined, { sort: { $key: 1 } })), [['a', 1], ['b', { foo: 'bar' }], ['c', 3]])
+  t.deepEqual(await collect(snapshot.find({ foo: 'bar' })), [['b', { foo: 'bar' }]])
+  t.equal(await snapshot.findOne(([, v]) => v > 1), 3)
+  t.equal(snapshot.overlay.size, 3, 'only the written entries are kept')
+
+  t.deepEqual(await collect(store.find()), [['a', 10], ['c', 3], ['d', 4], ['b', 20]])
+
+  snapshot.release()
+  t.equal(store.readers.size, 0)
+  try {
+    await snapshot.get('a')
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof ClosedError)
+  }
+  await store.set('a', 11)
+  t.equal(snapshot.overlay.size, 0)
+  t.end()
+})
+
+test('snapshot iteration while writing', async function (t) {
+  const store = Store.build()
+  for (let i = 0; i < 10; i++) await store.set('k' + i, i)
+  const snapshot = await store.snapshot()
+
+  const found = []
+  for await (const [k, v] of snapshot.find()) {
+    found.push([k, v])
+    if (k === 'k2') {
+      await store.del('k5')
+      await store.set('k3', 30)
+      await store.set('k1', 10)
+      await store.set('k10', 10)
+      await store.del('k7')
+      await store.set('k7', 70)
+    }
+  }
+  t.deepEqual(found.sort(([a], [b]) => Number(a.slice(1)) - Number(b.slice(1))), Array.from({ length: 10 }, (_, i) => ['k' + i, i]))
+  snapshot.release()
+  t.end()
+})
+
+test('snapshot expiration and transaction', async function (t) {
+  let now = 0
+  const store = Store.build({ clock: () => now, sweepInterval: 0 })
+  await store.set('short', 1, { ttl: 10 })
+  await store.set('long', 2, { ttl: 100 })
+  await store.set('old', 3, { ttl: 1 })
+  now = 5
+  const snapshot = await store.snapshot()
+  now = 50
+  await store.transaction(async tx => {
+    await tx.set('long', 20)
+    await tx.set('new', 4)
+  })
+
+  t.notOk(await store.has('short'))
+  t.ok(await snapshot.has('short'), 'an entry is visible until its expiration time after the snapshot')
+  t.notOk(await snapshot.has('old'))
+  t.equal(await snapshot.get('long'), 2)
+  t.notOk(await snapshot.has('new'))
+  t.deepEqual(await collect(snapshot.find()), [['long', 2], ['short', 1]])
+  snapshot.release()
+  t.end()
+})
+
+test('snapshot isolation', async function (t) {
+  const store = Store.build({ isolation: 'clone' })
+  await store.set('a', { foo: 1 })
+  const snapshot = await store.snapshot()
+  const got = await snapshot.get('a')
+  got.foo = 2
+  t.deepEqual(await snapshot.get('a'), { foo: 1 })
+  snapshot.release()
+  t.end()
+})
+
+test('snapshot sqlite backend', { skip }, async function (t) {
+  const backend = await SqliteBackend.open()
+  const store = Store.build({ backend })
+  const snapshot = await writes(store)
+
+  t.deepEqual(await collect(snapshot.find()), [['a', 1], ['c', 3], ['b', { foo: 'bar' }]])
+  t.deepEqual(await collect(snapshot.find(/^[ab]$/)), [['a', 1], ['b', { foo: 'bar' }]])
+  snapshot.release()
+  await store.close()
+  t.end()
+})
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, SqliteBackend, StoreError } from '../src/index.js'
+import { literalPrefix } from '../src/query.js'
+
+const skip = !(await import('node:sqlite').then(() => true, () => false))
+
+test('literalPrefix', function (t) {
+  t.deepEqual(literalPrefix(/^Prefix: /), 'Prefix: ')
+  t.deepEqual(literalPrefix(/^user:\d+/), 'user:')
+  t.deepEqual(literalPrefix(/^a\.b\*c/), 'a.b*c')
+  t.deepEqual(literalPrefix(/^abc?/), 'ab')
+  t.deepEqual(literalPrefix(/^ab+/), 'ab')
+  t.deepEqual(literalPrefix(/^a(b|c)/), '')
+  t.deepEqual(literalPrefix(/^foo/i), '')
+  t.deepEqual(literalPrefix(/foo/), '')
+  t.end()
+})
+
+test('sqlite backend set sub get del', { skip }, async function (t) {
+  const backend = await SqliteBackend.open()
+  const store = Store.build({ backend })
+  const events = []
+
+  await store.set('foo', { foo: 'bar' })
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+
+  t.ok(await store.has('foo'))
+  t.deepEqual(await store.get('foo'), { foo: 'bar' })
+  t.notOk(await store.has('bar'))
+  t.deepEqual(await store.get('bar'), undefined)
+
+  await store.set('foo', [1, 2, 3])
+  await store.set('undef', undefined)
+  t.ok(await store.has('undef'))
+  t.deepEqual(await store.get('undef'), undefined)
+
+  await store.del('foo')
+  t.notOk(await store.has('foo'))
+
+  try {
+    await store.del('foo')
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  t.deepEqual(events, [
+    ['foo', [1, 2, 3], 'set'],
+    ['undef', undefined, 'set'],
+    ['foo', [1, 2, 3], 'del']
+  ])
+
+  await backend.close()
+  t.plan(9)
+  t.end()
+})
+
+test('sqlite backend keeps expiry times', { skip }, async function (t) {
+  const { DatabaseSync } = await import('node:sqlite')
+  const db = new DatabaseSync(':memory:')
+  db.exec('CREATE TABLE store (k TEXT PRIMARY KEY, v TEXT)')
+  db.prepare('INSERT INTO store (k, v) VALUES (?, ?)').run('old', '1')
+  const clock = () => clock.now
+  clock.now = 1000
+  let store = Store.build({ backend: new SqliteBackend(db), clock, sweepInterval: 0 })
+  t.equal(await store.get('old'), 1, 'a table without expiry times is given the column')
+  await store.set('session', 1, { ttl: 10 })
+  await store.set('token', 2)
+  await store.expire('token', 20)
+  await store.transaction(async tx => {
+    await tx.set('a', 3, { ttl: 30 })
+    await tx.set('b', 4)
+  })
+
+  store = Store.build({ backend: new SqliteBackend(db), clock, sweepInterval: 0 })
+  t.equal(await store.ttl('session'), 10)
+  t.equal(await store.ttl('token'), 20)
+  t.equal(await store.ttl('a'), 30, 'a batch keeps expiry times')
+  t.equal(await store.ttl('b'), Infinity)
+  clock.now += 15
+  t.notOk(await store.has('session'))
+  db.close()
+  t.end()
+})
+
+test('sqlite backend find', { skip }, async function (t) {
+  const backend = await SqliteBackend.open(':memory:', { table: 'entries' })
+  const store = Store.build({ backend })
+  const data = [
+    ['Prefix: 42', 42],
+    ['Prefix: 142', 'this is a string'],
+    ['Prefix* 513', [1, 2, 3, 4]],
+    ['Other: 42', 42],
+    ['Other: foo', { foo: 'bar' }]
+  ]
+  const collect = async (q, f) => {
+    const found = []
+    for await (const e of store.find(q, f)) found.push(e)
+    return found
+  }
+
+  for (const [k, v] of data) await store.set(k, v)
+  await store.set('Prefix: 42', 43)
+
+  t.deepEqual(await collect(), [['Prefix: 42', 43], ...data.slice(1)])
+  t.deepEqual(await collect('Prefix* '), [['Prefix* 513', [1, 2, 3, 4]]])
+  t.deepEqual(await collect(/^Prefix: \d{3}$/), [['Prefix: 142', 'this is a string']])
+  t.deepEqual(await collect(/: 42$/), [['Prefix: 42', 43], ['Other: 42', 42]])
+  t.deepEqual(await collect(([, v]) => typeof v === 'object', v => JSON.stringify(v)), [])
+  t.deepEqual(await store.findOne(/^Other/), 42)
+  t.deepEqual(await collect({ $key: { $regex: '^Other' }, foo: 'bar' }), [['Other: foo', { foo: 'bar' }]])
+  t.deepEqual(await collect({ $key: 'Other: 42' }), [['Other: 42', 42]])
+
+  t.throws(() => new SqliteBackend(backend.db, { table: 'bad name' }), StoreError)
+
+  await backend.close()
+  t.end()
+})
@@ -0,0 +1,122 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, NotFoundError, InvalidArgumentError, ForbiddenError, ClosedError, TimeoutError, ConflictError, UniqueViolationError, ValidationError } from '../src/index.js'
+
+const caught = async (f) => {
+  try {
+    await f()
+  } catch (e) {
+    return e
+  }
+  throw new Error('should throw')
+}
+
+test('error codes kinds and status', async function (t) {
+  const store = Store.build()
+  await store.set('foo', 1)
+
+  const notFound = await caught(() => store.del('missing'))
+  t.ok(notFound instanceof NotFoundError)
+  t.ok(notFound instanceof StoreError)
+  t.equal(notFound.name, 'NotFoundError')
+  t.equal(notFound.code, 'store.error.delete.key.not.exists')
+  t.deepEqual(notFound.params, ['missing'])
+  t.equal(notFound.message, 'store.error.delete.key.not.exists(missing)')
+  t.equal(notFound.kind, 'not_found')
+  t.equal(notFound.status, 404)
+
+  const sub = await caught(() => store.sub('src', 'missing', () => {}))
+  t.equal(sub.code, 'store.error.sub.key.not.exists')
+  t.equal(sub.message, 'store.error.sub.key.not.exists(missing)')
+
+  const conflict = await caught(() => store.compareAndSet('foo', 42, 2))
+  t.ok(conflict instanceof ConflictError)
+  t.equal(conflict.status, 409)
+
+  const invalid = await caught(() => store.findOne({ a: { $foo: 1 } }))
+  t.ok(invalid instanceof InvalidArgumentError)
+  t.equal(invalid.status, 400)
+
+  store.defineSchema('foo', { type: 'number' })
+  const validation = await caught(() => store.set('foo', 'bar'))
+  t.equal(validation.kind, 'validation')
+  t.equal(validation.status, 422)
+
+  t.equal(new StoreError('store.error.unknown').status, 500)
+  t.equal(new TimeoutError('store.error.timeout').status, 504)
+  t.equal(new ClosedError('store.error.transaction.closed').status, 409)
+  t.equal(new ForbiddenError('store.error.replica.read.only').status, 403)
+  t.equal(new UniqueViolationError('email', 'a@b.c', 'k', 'owner').status, 409)
+  t.end()
+})
+
+test('error cause and json', async function (t) {
+  const cause = new SyntaxError('Unexpected token')
+  const e = new StoreError('store.error.journal.corrupted', 'path', 3).causedBy(cause)
+  t.equal(e.cause, cause)
+  t.notOk(Object.keys(e).includes('cause'))
+
+  const json = JSON.parse(JSON.stringify(e))
+  t.deepEqual(json, {
+    name: 'StoreError',
+    code: 'store.error.journal.corrupted',
+    message: 'store.error.journal.corrupted(path, 3)',
+    params: ['path', 3],
+    cause: { name: 'SyntaxError', message: 'Unexpected token' }
+  })
+  const revived = StoreError.fromJSON(json)
+  t.ok(revived instanceof StoreError)
+  t.ok(revived instanceof Error)
+  t.equal(revived.message, e.message)
+  t.equal(revived.code, e.code)
+  t.deepEqual(revived.params, e.params)
+  t.ok(revived.cause instanceof Error)
+  t.equal(revived.cause.name, 'SyntaxError')
+  t.equal(revived.cause.message, 'Unexpected token')
+
+  const conflict = new ConflictError('foo', 1, 2).causedBy(new NotFoundError('store.error.index.not.exists', 'age'))
+  const other = StoreError.fromJSON(JSON.parse(JSON.stringify(conflict)))
+  t.ok(other instanceof ConflictError)
+  t.equal(other.name, 'ConflictError')
+  t.equal(other.status, 409)
+  t.equal(other.key, 'foo')
+  t.equal(other.expected, 1)
+  t.equal(other.actual, 2)
+  t.ok(other.cause instanceof NotFoundError)
+  t.equal(other.cause.code, 'store.error.index.not.exists')
+
+  const validation = StoreError.fromJSON(new ValidationError('foo', [{ path: '/a', message: 'is not allowed' }]).toJSON())
+  t.ok(validation instanceof ValidationError)
+  t.deepEqual(validation.errors, [{ path: '/a', message: 'is not allowed' }])
+
+  class CustomError extends StoreError {
+    static kind = 'timeout'
+  }
+  StoreError.register(CustomError)
+  t.ok(StoreError.fromJSON(new CustomError('custom').toJSON()) instanceof CustomError)
+  t.ok(StoreError.fromJSON({ name: 'Unknown', code: 'unknown', message: 'unknown' }) instanceof StoreError)
+  t.end()
+})
+
+test('error formatter', function (t) {
+  const format = StoreError.format
+  const messages = { 'store.error.delete.key.not.exists': (k) => `La clé ${k} n'existe pas` }
+  StoreError.format = (code, params) => messages[code] ? messages[code](...params) : format(code, params)
+  try {
+    t.equal(new NotFoundError('store.error.delete.key.not.exists', 'foo').message, 'La clé foo n\'existe pas')
+    t.equal(new NotFoundError('store.error.index.not.exists', 'age').message, 'store.error.index.not.exists(age)')
+  } finally {
+    StoreError.format = format
+  }
+  t.end()
+})
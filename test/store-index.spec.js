@@ -0,0 +1,141 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, UniqueViolationError } from '../src/index.js'
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+test('index findBy findRange', async function (t) {
+  const store = Store.build()
+
+  await store.set('user:1', { name: 'foo', age: 42 })
+  await store.set('user:2', { name: 'bar', age: 17 })
+  await store.createIndex('age', v => v.age)
+  await store.set('user:3', { name: 'baz', age: 42 })
+  await store.set('user:4', { name: 'qux', age: 25 })
+  await store.set('other', 'not indexed')
+
+  t.deepEqual(await collect(store.findBy('age', 42, v => v.name)), [['user:1', 'foo'], ['user:3', 'baz']])
+  t.deepEqual(await store.findOneBy('age', 17), { name: 'bar', age: 17 })
+  t.deepEqual(await store.findOneBy('age', 99), undefined)
+  t.deepEqual((await collect(store.findRange('age', { gte: 18 }))).map(([k]) => k), ['user:4', 'user:1', 'user:3'])
+  t.deepEqual((await collect(store.findRange('age', { gt: 17, lt: 42 }))).map(([k]) => k), ['user:4'])
+  t.deepEqual((await collect(store.findRange('age', { lte: 25 }))).map(([k]) => k), ['user:2', 'user:4'])
+
+  await store.set('user:1', { name: 'foo', age: 43 })
+  await store.del('user:3')
+  t.deepEqual(await collect(store.findBy('age', 42)), [])
+  t.deepEqual((await collect(store.findRange('age', {}))).map(([k]) => k), ['user:2', 'user:4', 'user:1'])
+
+  try {
+    store.findBy('nope', 1)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+  try {
+    await store.createIndex('age', v => v.age)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  await store.dropIndex('age')
+  t.deepEqual(store.indexes.size, 0)
+
+  t.plan(11)
+  t.end()
+})
+
+test('index unique violation', async function (t) {
+  const store = Store.build()
+  const events = []
+
+  await store.set('user:1', { email: 'foo@bar.com' })
+  await store.set('user:2', { email: 'foo@bar.com' })
+  try {
+    await store.createIndex('email', v => v.email, { unique: true })
+  } catch (e) {
+    t.ok(e instanceof UniqueViolationError)
+  }
+  t.deepEqual(store.indexes.size, 0)
+
+  await store.del('user:2')
+  await store.createIndex('email', v => v.email, { unique: true })
+  await store.subGlobal('test', (k) => { events.push(k) })
+
+  try {
+    await store.set('user:3', { email: 'foo@bar.com' })
+  } catch (e) {
+    t.ok(e instanceof UniqueViolationError)
+    t.ok(e instanceof StoreError)
+    t.deepEqual([e.index, e.value, e.key, e.owner], ['email', 'foo@bar.com', 'user:3', 'user:1'])
+  }
+  t.notOk(await store.has('user:3'))
+  t.deepEqual(events, [])
+
+  // the owner itself can keep its value, and values can be swapped in a transaction
+  await store.set('user:1', { email: 'foo@bar.com', name: 'foo' })
+  await store.set('user:2', { email: 'bar@foo.com' })
+  await store.transaction(async tx => {
+    await tx.set('user:1', { email: 'bar@foo.com' })
+    await tx.set('user:2', { email: 'foo@bar.com' })
+  })
+  t.deepEqual(await store.findOneBy('email', 'bar@foo.com'), { email: 'bar@foo.com' })
+
+  try {
+    await store.transaction(async tx => {
+      await tx.set('user:4', { email: 'baz@foo.com' })
+      await tx.set('user:5', { email: 'baz@foo.com' })
+    })
+  } catch (e) {
+    t.ok(e instanceof UniqueViolationError)
+  }
+  t.notOk(await store.has('user:4'))
+
+  t.deepEqual(events, ['user:1', 'user:2', 'user:1', 'user:2'])
+
+  t.plan(11)
+  t.end()
+})
+
+test('index failing on a value writes nothing', async function (t) {
+  const store = Store.build()
+  await store.createIndex('email', v => v.email)
+  await store.set('a', { email: 'a@x' })
+  const events = []
+  await store.subGlobal('test', (k) => { events.push(k) })
+  try {
+    await store.set('x', null)
+    t.fail('should throw')
+  } catch (e) {
+    t.ok(e instanceof TypeError)
+  }
+  t.notOk(await store.has('x'), 'the value is not written')
+  t.deepEqual(events, [])
+  await store.set('b', { email: 'a@x' })
+  t.deepEqual(store.index('email').get('a@x'), ['a', 'b'])
+  t.end()
+})
+
+test('index built over existing entries is sorted', async function (t) {
+  const store = Store.build()
+  const ages = [42, 7, 19, 7, 63, 19, 1]
+  for (const [i, age] of ages.entries()) await store.set('user:' + i, { age })
+  await store.createIndex('age', v => v.age)
+  const keys = store.index('age').range({ gte: 7, lt: 63 })
+  t.deepEqual(keys, ['user:1', 'user:3', 'user:2', 'user:5', 'user:0'])
+  t.deepEqual(store.index('age').sorted, [1, 7, 19, 42, 63])
+  t.end()
+})
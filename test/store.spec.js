@@ -10,7 +10,7 @@
  */
 
 import test from 'tape'
-import { Store, StoreError } from '../src/index.js'
+import { Store, StoreError, ConflictError, ChangeEvent, PubSubType } from '../src/index.js'
 
 const newId = () => (Date.now().toString(16))
 
@@ -378,3 +378,143 @@ test('set find findOne', async function (t) {
   t.plan(9)
   t.end()
 })
+
+test('custom backend', async function (t) {
+  const map = new Map()
+  const calls = []
+  const backend = {
+    async has (k) { calls.push('has'); return map.has(k) },
+    async get (k) { calls.push('get'); return map.get(k) },
+    async set (k, v) { calls.push('set'); map.set(k, v) },
+    async delete (k) { calls.push('delete'); map.delete(k) },
+    async * entries (q) {
+      calls.push('entries')
+      t.ok(q instanceof RegExp)
+      yield * map.entries()
+    }
+  }
+  const store = Store.build({ backend })
+
+  await store.set('foo', 42)
+  await store.set('bar', 'plop')
+
+  t.ok(await store.has('foo'))
+  t.deepEqual(await store.get('bar'), 'plop')
+  t.deepEqual(map.get('foo'), 42)
+
+  const found = []
+  for await (const e of store.find(/^f/)) {
+    found.push(e)
+  }
+  t.deepEqual(found, [['foo', 42]])
+
+  await store.del('foo')
+  t.notOk(map.has('foo'))
+
+  t.deepEqual(calls, ['has', 'set', 'has', 'set', 'has', 'get', 'entries', 'has', 'get', 'delete'])
+
+  t.plan(7)
+  t.end()
+})
+
+test('versions compareAndSet compareAndDelete', async function (t) {
+  const store = Store.build({ backend: new Map([['old', 'value']]) })
+  const versions = []
+
+  await store.subGlobal('test', (k, v, t, { version }) => { versions.push([k, t, version]) })
+
+  t.deepEqual(await store.getWithMeta('nope'), undefined)
+
+  const { value, version: v0 } = await store.getWithMeta('old')
+  t.deepEqual(value, 'value')
+  t.ok(v0 > 0)
+  t.deepEqual((await store.getWithMeta('old')).version, v0)
+
+  await store.set('foo', 1)
+  const { version: v1 } = await store.getWithMeta('foo')
+  t.ok(v1 > v0)
+
+  const v2 = await store.compareAndSet('foo', v1, 2)
+  t.ok(v2 > v1)
+  t.deepEqual(await store.getWithMeta('foo'), { value: 2, version: v2 })
+
+  try {
+    await store.compareAndSet('foo', v1, 3)
+  } catch (e) {
+    t.ok(e instanceof ConflictError)
+    t.ok(e instanceof StoreError)
+    t.deepEqual([e.key, e.expected, e.actual], ['foo', v1, v2])
+  }
+  t.deepEqual(await store.get('foo'), 2)
+
+  // concurrent read-modify-write, only one wins
+  const results = await Promise.allSettled([store.compareAndSet('foo', v2, 'a'), store.compareAndSet('foo', v2, 'b')])
+  t.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected'])
+  t.deepEqual(await store.get('foo'), 'a')
+
+  const v3 = await store.compareAndSet('bar', 0, 'created')
+  try {
+    await store.compareAndSet('bar', 0, 'again')
+  } catch (e) {
+    t.ok(e instanceof ConflictError)
+  }
+
+  try {
+    await store.compareAndDelete('bar', v2)
+  } catch (e) {
+    t.ok(e instanceof ConflictError)
+  }
+  await store.compareAndDelete('bar', v3)
+  t.notOk(await store.has('bar'))
+
+  t.deepEqual(versions.map(([k, t]) => [k, t]), [['foo', 'set'], ['foo', 'set'], ['foo', 'set'], ['bar', 'set'], ['bar', 'del']])
+  t.deepEqual(versions[1][2], v2)
+  t.deepEqual(versions[3][2], v3)
+  t.ok(versions[4][2] > v3)
+
+  t.plan(20)
+  t.end()
+})
+
+test('change events', async function (t) {
+  let now = 1000
+  const store = Store.build({ clock: () => now })
+  const events = []
+  const legacy = []
+
+  await store.subGlobal('test', (k, v, t, e) => { events.push(e) })
+  await store.subPattern('legacy', 'user:', (k, v, t) => { legacy.push([k, v, t]) })
+
+  await store.set('user:1', { name: 'foo', tags: ['a'] }, { src: 'signup' })
+  now += 10
+  await store.set('user:1', { name: 'foo', tags: ['a', 'b'] }, { src: 'profile' })
+  await store.del('user:1', { src: 'admin' })
+  await store.transaction(async tx => { await tx.set('user:2', 'bar') }, { src: 'batch' })
+
+  t.ok(events.every(e => e instanceof ChangeEvent))
+  t.deepEqual(events.map(({ key, type, src, timestamp }) => [key, type, src, timestamp]), [
+    ['user:1', PubSubType.create, 'signup', 1000],
+    ['user:1', PubSubType.update, 'profile', 1010],
+    ['user:1', PubSubType.del, 'admin', 1010],
+    ['user:2', PubSubType.create, 'batch', 1010]
+  ])
+  t.deepEqual(events[1].previous, { name: 'foo', tags: ['a'] })
+  t.deepEqual(events[1].value, { name: 'foo', tags: ['a', 'b'] })
+  t.deepEqual(events[1].patch, [{ op: 'add', path: '/tags/1', value: 'b' }])
+  t.deepEqual(events[0].patch, [{ op: 'add', path: '', value: { name: 'foo', tags: ['a'] } }])
+  t.deepEqual(events[2].value, undefined)
+  t.deepEqual(events[2].patch, [{ op: 'remove', path: '' }])
+  t.deepEqual(events[1].version, (await store.getWithMeta('user:2')).version - 2)
+
+  t.deepEqual(legacy, [
+    ['user:1', { name: 'foo', tags: ['a'] }, 'set'],
+    ['user:1', { name: 'foo', tags: ['a', 'b'] }, 'set'],
+    ['user:1', { name: 'foo', tags: ['a', 'b'] }, 'del'],
+    ['user:2', 'bar', 'set']
+  ])
+
+  await store.pub('user:2')
+  t.deepEqual([events[4].type, events[4].value, events[4].patch], ['pub', 'bar', []])
+
+  t.end()
+})
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, PubSub, PubSubType, SubscriberError } from '../src/index.js'
+
+const failing = (times) => {
+  const calls = []
+  const cb = (k, v) => {
+    calls.push(v)
+    if (calls.length <= times) throw new Error('failure ' + calls.length)
+  }
+  return { cb, calls }
+}
+
+test('subscriber errors are isolated from the writer', async function (t) {
+  const store = Store.build()
+  const reported = []
+  store.on('subscriberError', e => reported.push(e))
+  const seen = []
+
+  await store.set('foo', 1)
+  await store.subGlobal('global', () => { throw new Error('global failure') })
+  await store.sub('key', 'foo', () => { throw new Error('key failure') })
+  await store.subPattern('pattern', 'f*', (k, v) => { seen.push(v) })
+
+  await store.set('foo', 2, { src: 'writer' })
+  t.equal(await store.get('foo'), 2)
+  t.deepEqual(seen, [2], 'the other subscribers are called')
+  t.equal(reported.length, 2)
+  t.ok(reported.every(e => e instanceof SubscriberError))
+  t.deepEqual(reported.map(e => [e.src, e.key, e.event.src, e.event.value, e.attempts, e.unsubscribed, e.cause.message]), [
+    ['global', 'foo', 'writer', 2, 1, false, 'global failure'],
+    ['key', 'foo', 'writer', 2, 1, false, 'key failure']
+  ])
+  t.equal(reported[0].code, 'store.error.subscriber.failed')
+  t.end()
+})
+
+test('subscriber errors onError hook and dead letters', async function (t) {
+  const errors = []
+  const store = Store.build({ onError: e => errors.push(e), subscriberErrors: { deadLetters: 2 } })
+  await store.set('foo', 1)
+  await store.sub('key', 'foo', () => { throw new Error('failure') }, true)
+  await store.set('foo', 2)
+  await store.set('foo', 3)
+
+  t.equal(errors.length, 3)
+  t.equal(errors[0].event.type, PubSubType.sub)
+  t.deepEqual(store.deadLetters.map(e => e.event.value), [2, 3], 'the last failures are kept')
+  t.end()
+})
+
+test('subscriber errors retry with backoff', async function (t) {
+  const store = Store.build({ subscriberErrors: { retries: 2, backoff: 1 } })
+  const reported = []
+  store.on('subscriberError', e => reported.push(e))
+  await store.set('foo', 1)
+
+  const twice = failing(2)
+  await store.sub('twice', 'foo', twice.cb)
+  await store.set('foo', 2)
+  t.deepEqual(twice.calls, [2, 2, 2])
+  t.equal(reported.length, 0, 'a callback succeeding on retry is not reported')
+
+  const always = failing(Infinity)
+  await store.subPattern('always', 'foo', always.cb)
+  await store.set('foo', 3)
+  t.deepEqual(always.calls, [3, 3, 3])
+  t.equal(reported.length, 1)
+  t.equal(reported[0].attempts, 3)
+  t.end()
+})
+
+test('subscriber errors unsubscribe after max failures', async function (t) {
+  const store = Store.build({ subscriberErrors: { maxFailures: 2 } })
+  const reported = []
+  store.on('subscriberError', e => reported.push(e))
+  await store.set('foo', 1)
+
+  const key = failing(Infinity)
+  const flaky = failing(1)
+  const pattern = failing(Infinity)
+  const global = failing(Infinity)
+  await store.sub('key', 'foo', key.cb)
+  await store.sub('flaky', 'foo', flaky.cb)
+  await store.subPattern('pattern', /^f/, pattern.cb)
+  await store.subGlobal('global', global.cb)
+
+  await store.set('foo', 2)
+  await store.set('foo', 3)
+  await store.set('foo', 4)
+  t.deepEqual(key.calls, [2, 3])
+  t.deepEqual(pattern.calls, [2, 3])
+  t.deepEqual(global.calls, [2, 3])
+  t.deepEqual(flaky.calls, [2, 3, 4], 'failures must be consecutive')
+  t.notOk(await store.hasSub('key', 'foo'))
+  t.notOk(await store.hasSubPattern('pattern', /^f/))
+  t.notOk(await store.hasSubGlobal('global'))
+  t.ok(await store.hasSub('flaky', 'foo'))
+  t.deepEqual(reported.filter(e => e.unsubscribed).map(e => e.src).sort(), ['global', 'key', 'pattern'])
+  t.end()
+})
+
+test('subscriber errors without report', async function (t) {
+  const pubsub = new PubSub()
+  await pubsub.sub('src', 'foo', () => { throw new Error('failure') })
+  try {
+    await pubsub.pub('foo', 1)
+    t.fail('should throw')
+  } catch (e) {
+    t.equal(e.message, 'failure', 'a PubSub rethrows by default')
+  }
+
+  const store = Store.build()
+  const warnings = []
+  const onWarning = w => warnings.push(w)
+  process.on('warning', onWarning)
+  await store.set('foo', 1)
+  await store.sub('src', 'foo', () => { throw new Error('failure') })
+  await store.set('foo', 2)
+  await new Promise(resolve => setImmediate(resolve))
+  process.off('warning', onWarning)
+  t.equal(warnings.length, 1, 'an unreported failure is a warning')
+  t.ok(warnings[0] instanceof SubscriberError)
+
+  process.on('warning', onWarning)
+  const failed = new Promise(resolve => store.once('subscriberError', resolve))
+  await store.set('foo', 3)
+  await failed
+  await new Promise(resolve => setImmediate(resolve))
+  process.off('warning', onWarning)
+  t.equal(warnings.length, 1, 'a failure heard by a once listener is not a warning')
+  t.end()
+})
+
+test('subscriber errors report failures do not reach the writer', async function (t) {
+  const store = Store.build({ onError: () => { throw new Error('hook broke') } })
+  store.on('subscriberError', () => { throw new Error('listener broke') })
+  const warnings = []
+  const onWarning = w => warnings.push(w)
+  process.on('warning', onWarning)
+  await store.set('foo', 1)
+  await store.sub('src', 'foo', () => { throw new Error('failure') })
+  await store.set('foo', 2)
+  await store.flush()
+  await new Promise(resolve => setImmediate(resolve))
+  process.off('warning', onWarning)
+  t.equal(await store.get('foo'), 2, 'the write succeeds')
+  t.deepEqual(warnings.map(w => [w.code, w.cause.message]), [
+    ['store.error.subscriber.report.failed', 'hook broke'],
+    ['store.error.subscriber.report.failed', 'listener broke']
+  ])
+  t.end()
+})
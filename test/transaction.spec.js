@@ -0,0 +1,171 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Store, StoreError, SqliteBackend } from '../src/index.js'
+
+const skipSqlite = !(await import('node:sqlite').then(() => true, () => false))
+
+const collect = async (it) => {
+  const found = []
+  for await (const e of it) found.push(e)
+  return found
+}
+
+test('transaction commit', async function (t) {
+  const store = Store.build()
+  const events = []
+
+  await store.set('a', 1)
+  await store.set('b', 2)
+  await store.set('c', 3)
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+
+  const result = await store.transaction(async tx => {
+    await tx.set('a', 10)
+    await tx.del('b')
+    await tx.set('d', 4)
+    await tx.set('e', 5)
+    await tx.del('e')
+
+    t.deepEqual(await tx.get('a'), 10)
+    t.notOk(await tx.has('b'))
+    t.notOk(await tx.has('e'))
+    t.ok(await tx.has('d'))
+    t.deepEqual(await collect(tx.find()), [['a', 10], ['c', 3], ['d', 4]])
+    t.deepEqual(await collect(tx.find(([, v]) => v > 3, v => v + 1)), [['a', 11], ['c', 4], ['d', 5]])
+    t.deepEqual(await tx.findOne(/^d/), 4)
+
+    t.deepEqual(await store.get('a'), 1)
+    t.ok(await store.has('b'))
+    t.deepEqual(events, [])
+    return 'done'
+  })
+
+  t.deepEqual(result, 'done')
+  t.deepEqual(await collect(store.find()), [['a', 10], ['c', 3], ['d', 4]])
+  t.deepEqual(events, [['a', 10, 'set'], ['b', 2, 'del'], ['d', 4, 'set']])
+
+  t.plan(13)
+  t.end()
+})
+
+test('transaction rollback', async function (t) {
+  const store = Store.build()
+  const events = []
+  let leaked
+
+  await store.set('a', 1)
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+
+  try {
+    await store.transaction(async tx => {
+      leaked = tx
+      await tx.set('a', 2)
+      await tx.set('b', 3)
+      await tx.del('nope')
+    })
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  t.deepEqual(await collect(store.find()), [['a', 1]])
+  t.deepEqual(events, [])
+
+  try {
+    await leaked.set('c', 4)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  t.plan(4)
+  t.end()
+})
+
+test('transaction restores previous values when the backend fails', async function (t) {
+  const map = new Map([['a', 1], ['b', 2]])
+  const backend = {
+    has: async (k) => map.has(k),
+    get: async (k) => map.get(k),
+    set: async (k, v) => {
+      if (k === 'boom') throw new Error('boom')
+      map.set(k, v)
+    },
+    delete: async (k) => map.delete(k),
+    entries: () => map.entries()
+  }
+  const store = Store.build({ backend })
+  const events = []
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+
+  try {
+    await store.transaction(async tx => {
+      await tx.set('a', 10)
+      await tx.del('b')
+      await tx.set('c', 3)
+      await tx.set('boom', 4)
+    })
+  } catch (e) {
+    t.deepEqual(e.message, 'boom')
+  }
+
+  t.deepEqual(Array.from(map), [['a', 1], ['b', 2]])
+  t.deepEqual(events, [])
+
+  t.plan(3)
+  t.end()
+})
+
+test('transaction on journal backend', async function (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'wool-store-'))
+  let store = await Store.open(dir)
+
+  await store.set('a', 1)
+  await store.transaction(async tx => {
+    await tx.del('a')
+    await tx.set('b', 2)
+  })
+  await store.close()
+
+  store = await Store.open(dir)
+  t.deepEqual(await collect(store.find()), [['b', 2]])
+  await store.close()
+
+  await rm(dir, { recursive: true })
+  t.end()
+})
+
+test('transaction on sqlite backend', { skip: skipSqlite }, async function (t) {
+  const backend = await SqliteBackend.open()
+  const store = Store.build({ backend })
+
+  await store.set('a', 1)
+  await store.transaction(async tx => {
+    await tx.del('a')
+    await tx.set('b', 2)
+    await tx.set('c', 3)
+  })
+  t.deepEqual(await collect(store.find()), [['b', 2], ['c', 3]])
+
+  try {
+    await backend.batch([{ op: 'set', k: 'd', v: 4 }, { op: 'set', k: 'e', v: 5n }])
+  } catch (e) {
+    t.ok(e instanceof TypeError)
+  }
+  t.deepEqual(await collect(store.find()), [['b', 2], ['c', 3]])
+
+  await store.close()
+  t.plan(3)
+  t.end()
+})
@@ -0,0 +1,165 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, StoreError, InvalidArgumentError } from '../src/index.js'
+
+const clock = () => {
+  const c = () => c.now
+  c.now = 1000
+  return c
+}
+
+test('ttl lazy expiration', async function (t) {
+  const now = clock()
+  const store = Store.build({ clock: now, sweepInterval: 0 })
+  const events = []
+  const subs = []
+
+  await store.subGlobal('test', (k, v, t) => { events.push([k, v, t]) })
+  await store.set('session', { user: 'foo' }, { ttl: 100 })
+  await store.set('token', 'abc', { ttl: 50 })
+  await store.set('perm', 42)
+  await store.sub('test', 'session', (k, v, t) => { subs.push([k, t]) })
+
+  t.deepEqual(await store.ttl('session'), 100)
+  t.deepEqual(await store.ttl('perm'), Infinity)
+  t.deepEqual(await store.ttl('nope'), undefined)
+
+  now.now += 50
+  t.deepEqual(await store.ttl('session'), 50)
+  t.notOk(await store.has('token'))
+  t.ok(await store.has('session'))
+
+  now.now += 50
+  t.deepEqual(await store.get('session'), undefined)
+  t.notOk(await store.hasSub('test', 'session'))
+
+  t.deepEqual(events, [
+    ['session', { user: 'foo' }, 'set'],
+    ['token', 'abc', 'set'],
+    ['perm', 42, 'set'],
+    ['token', 'abc', 'expire'],
+    ['session', { user: 'foo' }, 'expire']
+  ])
+  t.deepEqual(subs, [['session', 'expire']])
+
+  // set without ttl removes the expiration
+  await store.set('a', 1, { ttl: 10 })
+  await store.set('a', 2)
+  now.now += 20
+  t.deepEqual(await store.get('a'), 2)
+
+  await store.set('b', 1, { ttl: 10 })
+  await store.set('c', 1, { ttl: 10 })
+  now.now += 20
+  const found = []
+  for await (const e of store.find()) found.push(e)
+  t.deepEqual(found, [['perm', 42], ['a', 2]])
+  t.deepEqual(events.slice(-2), [['b', 1, 'expire'], ['c', 1, 'expire']])
+
+  await store.close()
+  t.end()
+})
+
+test('ttl expire sweep', async function (t) {
+  const now = clock()
+  const store = Store.build({ clock: now, sweepInterval: 10 })
+  const events = []
+
+  await store.subGlobal('test', (k, v, t) => { events.push([k, t]) })
+  await store.set('a', 1)
+  await store.set('b', 2)
+  t.deepEqual(store.sweeper, null)
+
+  await store.expire('a', 100)
+  await store.expire('b', 200)
+  t.notEqual(store.sweeper, null)
+  t.deepEqual(await store.ttl('a'), 100)
+
+  try {
+    await store.expire('nope', 100)
+  } catch (e) {
+    t.throws(() => { throw e }, StoreError)
+  }
+
+  now.now += 150
+  await new Promise(resolve => setTimeout(resolve, 30))
+  t.deepEqual(events, [['a', 'set'], ['b', 'set'], ['a', 'expire']])
+  t.notEqual(store.sweeper, null)
+
+  now.now += 50
+  await store.sweep()
+  t.deepEqual(events.slice(-1), [['b', 'expire']])
+  t.deepEqual(store.sweeper, null)
+
+  await store.set('c', 3)
+  await store.expire('c', 0)
+  t.notOk(await store.has('c'))
+
+  await store.transaction(async tx => {
+    await tx.set('d', 4, { ttl: 10 })
+  })
+  t.deepEqual(await store.ttl('d'), 10)
+
+  await store.close()
+  t.end()
+})
+
+test('ttl sweep failure is reported', async function (t) {
+  const now = clock()
+  const backend = new Map()
+  const store = Store.build({ backend, clock: now, sweepInterval: 5 })
+  await store.set('a', 1, { ttl: 10 })
+  // the backend fails once, so that no later sweep fails once the listener is removed
+  backend.delete = () => {
+    delete backend.delete
+    throw new Error('disk full')
+  }
+  const reported = new Promise(resolve => store.once('sweepError', resolve))
+  now.now += 20
+  // the sweeper does not keep the process alive
+  const alive = setTimeout(() => {}, 1000)
+  const e = await reported
+  clearTimeout(alive)
+  t.ok(e instanceof StoreError)
+  t.equal(e.code, 'store.error.sweep.failed')
+  t.equal(e.cause.message, 'disk full')
+  await store.sweep()
+  t.notOk(await store.has('a'), 'the next sweep removes the entry')
+  await store.close()
+  t.end()
+})
+
+test('ttl is validated', async function (t) {
+  const store = Store.build({ clock: clock(), sweepInterval: 10 })
+  await store.set('a', 1)
+  for (const ttl of ['10', NaN, Infinity, -1, null]) {
+    try {
+      await store.set('b', 1, { ttl })
+      t.fail('should throw')
+    } catch (e) {
+      t.ok(e instanceof InvalidArgumentError, `${String(ttl)} is rejected`)
+      t.equal(e.code, 'store.error.invalid.ttl')
+    }
+    try {
+      await store.expire('a', ttl)
+      t.fail('should throw')
+    } catch (e) {
+      t.ok(e instanceof InvalidArgumentError)
+    }
+  }
+  t.notOk(await store.has('b'))
+  t.equal(await store.ttl('a'), Infinity)
+  t.equal(store.sweeper, null, 'no sweep is scheduled')
+  await store.close()
+  t.end()
+})
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2017 Nicolas Lochet Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under the License is
+ * distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and limitations under the License.
+ */
+
+import test from 'tape'
+import { Store, PubSubType } from '../src/index.js'
+
+const next = async (it) => (await it.next()).value
+
+test('watch a key', async function (t) {
+  const store = Store.build()
+  await store.set('foo', 1)
+  await store.set('foobar', 1)
+  const it = store.watch('foo', { initial: true })
+
+  const initial = await next(it)
+  t.deepEqual([initial.type, initial.key, initial.value], [PubSubType.sub, 'foo', 1])
+
+  await store.set('foobar', 2)
+  await store.set('foo', 2)
+  await store.del('foo')
+  await store.set('foo', 3, { src: 'test' })
+  const events = [await next(it), await next(it), await next(it)]
+  t.deepEqual(events.map(({ type, key, value, previous, src }) => [type, key, value, previous, src]), [
+    [PubSubType.update, 'foo', 2, 1, undefined],
+    [PubSubType.del, 'foo', undefined, 2, undefined],
+    [PubSubType.create, 'foo', 3, undefined, 'test']
+  ])
+  t.equal(store.pubsub.src_patterns.size, 1)
+
+  await it.return()
+  t.equal(store.pubsub.src_patterns.size, 0, 'leaving the iteration unsubscribes')
+  t.equal(store.pubsub.trie.children.size, 0)
+  t.end()
+})
+
+test('watch a pattern with break', async function (t) {
+  const store = Store.build()
+  await store.set('user:1', 1)
+  const seen = []
+  const writes = (async () => {
+    await store.set('user:2', 2)
+    await store.set('item:1', 1)
+    await store.set('user:3', 3)
+  })()
+  for await (const e of store.watch('user:*')) {
+    seen.push(e.key)
+    if (e.key === 'user:3') break
+  }
+  await writes
+  t.deepEqual(seen, ['user:2', 'user:3'])
+  t.equal(store.pubsub.src_patterns.size, 0)
+
+  const all = []
+  for await (const e of store.watch(undefined, { initial: true })) {
+    all.push(e.key)
+    if (all.length === 4) break
+  }
+  t.deepEqual(all, ['user:1', 'user:2', 'item:1', 'user:3'])
+  t.end()
+})
+
+test('watch with an abort signal', async function (t) {
+  const store = Store.build()
+  const controller = new AbortController()
+  const seen = []
+  const loop = (async () => {
+    for await (const e of store.watch(/^k/, { signal: controller.signal })) seen.push(e.value)
+  })()
+  await new Promise(resolve => setImmediate(resolve))
+  await store.set('k', 1)
+  await store.set('k', 2)
+  await new Promise(resolve => setImmediate(resolve))
+  controller.abort()
+  await loop
+  t.deepEqual(seen, [1, 2])
+  t.equal(store.pubsub.src_patterns.size, 0, 'aborting unsubscribes')
+
+  const aborted = store.watch('k', { signal: AbortSignal.abort() })
+  t.deepEqual(await aborted.next(), { value: undefined, done: true })
+  t.end()
+})
+
+test('watch a namespace', async function (t) {
+  const store = Store.build()
+  const carts = store.namespace('cart')
+  await carts.set('1', 1)
+  await store.set('user:1', 1)
+  const it = carts.watch(undefined, { initial: true })
+  t.equal((await next(it)).key, '1')
+  await store.set('user:1', 2)
+  await carts.set('2', 2)
+  const e = await next(it)
+  t.deepEqual([e.key, e.value, e.type], ['2', 2, PubSubType.create])
+  await it.return()
+  t.equal(store.pubsub.src_patterns.size, 0)
+  t.end()
+})